@@ -0,0 +1,65 @@
+// ============================================================================
+// MOCK CYBERARK IDENTITY TOKEN ENDPOINT
+// ============================================================================
+//
+// Answers POST /oauth2/platformtoken like a CyberArk Identity tenant so the
+// "Privilege Cloud" login mode can be tried locally without a real tenant.
+//
+// USAGE:
+//   npm run mock:identity
+//   then set VITE_IDENTITY_URL=http://localhost:4010 (or enter it on the login form)
+//
+// ENVIRONMENT (all optional):
+//   MOCK_IDENTITY_PORT           port to listen on (default 4010)
+//   MOCK_IDENTITY_CLIENT_ID      only accept this client ID (default: any)
+//   MOCK_IDENTITY_CLIENT_SECRET  only accept this client secret (default: any)
+
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import process from 'node:process';
+
+const PORT = Number(process.env.MOCK_IDENTITY_PORT) || 4010;
+const TOKEN_PATH = '/oauth2/platformtoken';
+const { MOCK_IDENTITY_CLIENT_ID: CLIENT_ID, MOCK_IDENTITY_CLIENT_SECRET: CLIENT_SECRET } = process.env;
+
+const sendJSON = (response, status, body) => {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    // The app calls the endpoint straight from the browser
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  });
+  response.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = (request) => new Promise((resolve, reject) => {
+  let body = '';
+  request.setEncoding('utf8');
+  request.on('data', chunk => { body += chunk; });
+  request.on('end', () => resolve(body));
+  request.on('error', reject);
+});
+
+const server = http.createServer(async (request, response) => {
+  const { pathname } = new URL(request.url, `http://${request.headers.host}`);
+  if (request.method === 'OPTIONS') return sendJSON(response, 204);
+  if (pathname !== TOKEN_PATH) return sendJSON(response, 404, { error: 'not_found' });
+  if (request.method !== 'POST') return sendJSON(response, 405, { error: 'method_not_allowed' });
+
+  const params = new URLSearchParams(await readBody(request));
+  if (params.get('grant_type') !== 'client_credentials') {
+    return sendJSON(response, 400, { error: 'unsupported_grant_type', error_description: 'Only client_credentials is supported' });
+  }
+  const clientId = params.get('client_id');
+  if (!clientId || (CLIENT_ID && clientId !== CLIENT_ID) || (CLIENT_SECRET && params.get('client_secret') !== CLIENT_SECRET)) {
+    return sendJSON(response, 401, { error: 'invalid_client', error_description: 'Invalid client ID or secret' });
+  }
+
+  console.log(`Issued a token to "${clientId}"`);
+  sendJSON(response, 200, { access_token: `mock_${randomUUID()}`, token_type: 'Bearer', expires_in: 3600 });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock CyberArk Identity listening on http://localhost:${PORT}${TOKEN_PATH}`);
+});
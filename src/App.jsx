@@ -1,7 +1,8 @@
-import React, { useState, useEffect, useRef, useMemo } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import {
   Shield, LayoutDashboard, PlusCircle, Database, LogOut, Lock, Sun, Moon,
-  Trash2, Send, Users, Vault, Layers2, UserRoundPlus, UserRoundMinus, UserRoundPen, CircleMinus
+  Trash2, Send, Users, Vault, Layers2, UserRoundPlus, UserRoundMinus, UserRoundPen, CircleMinus,
+  ListChecks, Download, Upload
 } from 'lucide-react';
 
 // ============================================================================
@@ -146,6 +147,87 @@ const CONFIG = {
   SITE_NAME: "PXM-API-TOOL",
 };
 
+// ============================================================================
+// SAFE NAMING POLICY CONFIGURATION
+// ============================================================================
+//
+// New Safe names (form, bulk import and renames) are checked against this
+// policy before they can be staged. A name is split on `separator` and each
+// part is checked against the segment in the same position.
+//
+// CUSTOMIZATION GUIDE:
+// 1. enabled: false turns the policy off; only a non-empty name is required
+// 2. maxLength: PVWA accepts Safe names of up to 28 characters
+// 3. pattern: OPTIONAL regular expression the whole name must match
+// 4. segments: the parts of a name, in order. Each segment has
+//    - label: shown in the name builder and in violation messages
+//    - values: OPTIONAL list of allowed values (shown as a drop-down)
+//    - pattern: OPTIONAL regular expression for free-text segments
+//    - hint: OPTIONAL explanation shown when the pattern does not match
+//    - example: placeholder shown in the name builder
+//
+// The policy can also be replaced without a rebuild by storing a JSON object
+// of the same shape in localStorage under "safeNamingPolicy". An override with
+// a malformed segment or a pattern that does not compile is ignored.
+//
+// DEFAULT SAFE NAMING POLICY ("0000-ABCD-MSP-Example")
+const DEFAULT_SAFE_NAMING_POLICY = {
+  enabled: true,
+  maxLength: 28,
+  separator: '-',
+  pattern: null,
+  segments: [
+    { key: 'costCentre', label: 'Cost Centre', pattern: '^\\d{4}$', hint: 'must be four digits', example: '0000' },
+    { key: 'appCode', label: 'App Code', pattern: '^[A-Z0-9]{2,6}$', hint: 'must be 2-6 upper-case letters or digits', example: 'ABCD' },
+    { key: 'environment', label: 'Environment', values: ['DEV', 'TST', 'UAT', 'PRD', 'MSP'], example: 'MSP' },
+    { key: 'purpose', label: 'Purpose', pattern: '^[A-Za-z0-9_]+$', hint: 'may only contain letters, digits and underscores', example: 'Example' }
+  ]
+};
+
+// ============================================================================
+// SAFE BLUEPRINT CONFIGURATION
+// ============================================================================
+//
+// A blueprint bundles everything needed to onboard an application: the Safe,
+// its members and account stubs. Any text may contain placeholders such as
+// {app} or {env}; they are filled in once and the Safe, members and accounts
+// are staged into their queues together.
+//
+// CUSTOMIZATION GUIDE:
+// 1. safe: the Safe form fields (name, description, location, CPMManaging,
+//    olacEnabled, autoPurgeEnabled, addMembersOnCreation, retentionMode,
+//    retentionValue). Without CPMManaging the Safe uses
+//    VITE_DEFAULT_MANAGING_CPM; addMembersOnCreation defaults to true
+// 2. standardMembers: names from the standard members list, staged with the
+//    permissions currently configured for that member
+// 3. customMembers: { member, domain, role } where role is a PERM_TEMPLATES
+//    key, or { member, domain, perms } with explicit permissions
+// 4. accounts: account stubs (object, address, userName, platformId,
+//    automaticManagement, manualManagementReason, remoteMachines). Secrets are
+//    never part of a blueprint and accounts always go to the blueprint's Safe
+//
+// Blueprints saved from the Safe tab are kept in localStorage and listed after
+// these built-in ones.
+const DEFAULT_SAFE_BLUEPRINTS = [
+  {
+    name: 'Application Onboarding',
+    description: 'Application Safe with the standard groups, an owner group and a service account',
+    safe: {
+      name: '{costCentre}-{app}-{env}-App',
+      description: '{app} application accounts ({env})',
+      retentionMode: 'versions',
+      retentionValue: '5'
+    },
+    standardMembers: ['G_PAM_ADMINS', 'G_PROVISIONING_AUTOMATION', 'G_SAFE_HOLDERS_GLOBAL'],
+    customMembers: [
+      { member: 'G_{app}_{env}_OWNERS', domain: 'Vault', role: 'SM-APP' }
+    ],
+    accounts: [
+      { object: '{app}-{env}-svc', address: '{app}.example.local', userName: 'svc_{app}', platformId: 'WinDomain', automaticManagement: true }
+    ]
+  }
+];
+
 // ============================================================================
 // THEME STYLES
 // ============================================================================
@@ -267,6 +349,13 @@ const GLOBAL_STANDARD_MEMBERS = [
   { member: "G_SAFE_HOLDERS_GLOBAL", domain: "Vault", perms: PERM_TEMPLATES["SM-HOLDER"], role: "SM-HOLDER" }
 ];
 
+// Standard members queued with every new Safe unless the Safe opts out ("Add members on creation").
+// VITE_SAFE_CREATION_MEMBERS replaces the list with comma-separated standard member names; leave it empty for none.
+const SAFE_CREATION_MEMBERS = (import.meta.env.VITE_SAFE_CREATION_MEMBERS ?? 'G_PAM_ADMINS')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -280,2498 +369,6906 @@ const detectRoleFromPermissions = (permissions) => {
   return 'Custom';
 };
 
+/**
+ * Runs `worker` over every item with at most `limit` calls in flight and
+ * resolves with the results in input order. A rejected call rejects the batch,
+ * so workers that should not stop the others must catch their own errors.
+ */
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runWorker));
+  return results;
+};
+
 // ============================================================================
-// NOTIFICATION COMPONENT
+// AUTHENTICATION
 // ============================================================================
 
-const NotificationPopup = ({ notification }) => {
-  if (!notification) return null;
+const AUTH_METHODS = ['CyberArk', 'LDAP', 'RADIUS', 'Windows'];
 
-  const bgColor = {
-    success: 'bg-emerald-600',
-    error: 'bg-red-600',
-    warning: 'bg-amber-600',
-    info: 'bg-blue-600'
-  }[notification.type] || 'bg-blue-600';
+// PVWA answers a RADIUS challenge/response prompt with this error code and the prompt as its message
+const RADIUS_CHALLENGE_ERROR_CODE = 'ITATS542I';
 
-  const icon = {
-    success: '✓',
-    error: '✕',
-    warning: '⚠',
-    info: 'ℹ'
-  }[notification.type] || 'ℹ';
+// localStorage key holding the last authentication method used per vault URL
+const AUTH_METHOD_STORAGE_KEY = 'cyberark_auth_methods';
 
-  return (
-    <div className={`fixed top-6 right-6 ${bgColor} text-white px-6 py-4 rounded-xl shadow-2xl flex items-center gap-3 animate-in fade-in slide-in-from-top-2 duration-300 z-[9999] max-w-sm`}>
-      <span className="text-lg font-bold">{icon}</span>
-      <p className="font-medium">{notification.message}</p>
-    </div>
-  );
+// PVWA REST API root ("https://pvwa.example.com/PasswordVault/API") for a URL entered with or without the PasswordVault path
+const pvwaApiRoot = (vaultUrl) => {
+  const trimmed = vaultUrl.trim().replace(/\/+$/, '');
+  if (/\/PasswordVault\/API$/i.test(trimmed)) return trimmed;
+  if (/\/PasswordVault$/i.test(trimmed)) return `${trimmed}/API`;
+  return `${trimmed}/PasswordVault/API`;
 };
 
-// ============================================================================
-// MAIN APP COMPONENT
-// ============================================================================
+const readRememberedAuthMethods = () => {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_METHOD_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
 
-function App() {
-  // Auth State
-  const [isLoggedIn, setIsLoggedIn] = useState(false);
-  const [vaultUrl, setVaultUrl] = useState('');
-  const [username, setUsername] = useState('');
-  const [password, setPassword] = useState('');
-  const [authToken, setAuthToken] = useState(() => localStorage.getItem('cyberark_token') || '');
-  const [authError, setAuthError] = useState('');
-  const [isAuthenticating, setIsAuthenticating] = useState(false);
+const recallAuthMethod = (vaultUrl) => readRememberedAuthMethods()[normalizeVaultUrl(vaultUrl)] || null;
 
-  // UI State
-  const [activeTab, setActiveTab] = useState('dashboard');
-  const [isDark, setIsDark] = useState(false);
-  const [hoveredCategory, setHoveredCategory] = useState(null);
-  const closeDropdownTimeout = useRef(null);
-  const [notification, setNotification] = useState(null);
+const rememberAuthMethod = (vaultUrl, method) => {
+  localStorage.setItem(AUTH_METHOD_STORAGE_KEY, JSON.stringify({
+    ...readRememberedAuthMethods(),
+    [normalizeVaultUrl(vaultUrl)]: method
+  }));
+};
+
+/**
+ * CyberArk PVWA Logon API Endpoint
+ * POST /PasswordVault/API/auth/{method}/Logon - Authenticates and returns a session token
+ *
+ * Resolves with `{ token }`, or with `{ challenge }` when a RADIUS server asks
+ * for a second factor; send the answer as `password` in a second call. Windows
+ * authentication uses the browser's integrated credentials instead of a password.
+ */
+const logonToVault = async (vaultUrl, { method = 'CyberArk', username, password, newPassword, concurrentSession }) => {
+  const isWindows = method === 'Windows';
+  const body = isWindows ? {} : { username, password };
+  if (newPassword && !isWindows) body.newPassword = newPassword;
+  if (concurrentSession) body.concurrentSession = true;
+
+  const loginResponse = await fetch(`${pvwaApiRoot(vaultUrl)}/auth/${method}/Logon`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body),
+    // The RADIUS answer must reach the PVWA session that issued the challenge; Windows needs the browser's credentials
+    credentials: method === 'RADIUS' || isWindows ? 'include' : 'same-origin'
+  });
+
+  if (!loginResponse.ok) {
+    const errorData = await loginResponse.json().catch(() => ({}));
+    if (method === 'RADIUS' && errorData.ErrorCode === RADIUS_CHALLENGE_ERROR_CODE) {
+      return { challenge: errorData.ErrorMessage || 'Enter the response sent by your RADIUS server.' };
+    }
+    throw new Error(errorData.ErrorMessage || errorData.error || errorData.message || `Authentication failed: ${loginResponse.statusText}`);
+  }
+
+  const loginData = await loginResponse.json();
   
-  // Branding State (loaded from localStorage)
-  const [branding] = useState(() => {
-    const saved = localStorage.getItem('brandingPreferences');
-    return saved ? JSON.parse(saved) : DEFAULT_BRANDING;
+  // Extract token from response
+  // CyberArk returns the token directly or in a 'token' property
+  const token = loginData.token || loginData;
+  
+  if (!token) {
+    throw new Error('No authentication token received from CyberArk');
+  }
+  return { token };
+};
+
+// Identity platform token endpoint; an OAuth2 client app uses /oauth2/token/{appId} instead
+const IDENTITY_PLATFORM_TOKEN_PATH = '/oauth2/platformtoken';
+
+// Optional defaults for the Privilege Cloud login form, e.g. a local mock token endpoint during development
+const DEFAULT_IDENTITY_URL = import.meta.env.VITE_IDENTITY_URL || '';
+const DEFAULT_PRIVILEGE_CLOUD_URL = import.meta.env.VITE_PRIVILEGE_CLOUD_URL || '';
+
+/**
+ * Gets a bearer token from a CyberArk Identity tenant with the OAuth2 client
+ * credentials grant. For the platform token endpoint the client ID and secret
+ * are the service user's name and password.
+ */
+const requestIdentityToken = async (identityUrl, { clientId, clientSecret, tokenPath = IDENTITY_PLATFORM_TOKEN_PATH }) => {
+  const path = tokenPath.startsWith('/') ? tokenPath : `/${tokenPath}`;
+  const response = await fetch(`${identityUrl.trim().replace(/\/+$/, '')}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: clientId,
+      client_secret: clientSecret
+    })
   });
 
-  // Notification helper function
-  const showNotification = (message, type = 'info') => {
-    setNotification({ message, type });
-    setTimeout(() => setNotification(null), 4000);
-  };
+  const tokenData = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(tokenData.error_description || tokenData.error || `Identity token request failed: ${response.status} ${response.statusText}`);
+  }
+  if (!tokenData.access_token) {
+    throw new Error('No access token received from CyberArk Identity');
+  }
+  return { token: tokenData.access_token };
+};
 
-  // CyberArk Authentication Function
-  const authenticate = async () => {
-    if (!vaultUrl || !username || !password) {
-      const message = 'Please enter PVWA URL, username, and password.';
-      setAuthError(message);
-      showNotification(message, 'error');
-      return;
+/**
+ * POST /PasswordVault/API/auth/Logoff - Ends the session on the vault so the token stops working.
+ * `keepalive` lets the request outlive the page when called from beforeunload.
+ */
+const endVaultSession = async (vaultUrl, token, { keepalive = false } = {}) => {
+  const response = await fetch(`${pvwaApiRoot(vaultUrl)}/auth/Logoff`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    keepalive
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || errorData.message || errorData.ErrorMessage || `Logoff failed: ${response.status} ${response.statusText}`);
+  }
+};
+
+/**
+ * GET /PasswordVault/WebServices/PIMServices.svc/User - Details of the logged-on user.
+ * Windows authentication sends no username, so this is how the app learns who logged on.
+ */
+const getLoggedOnUserName = async (vaultUrl, token) => {
+  const response = await fetch(`${pvwaApiRoot(vaultUrl).replace(/\/API$/i, '')}/WebServices/PIMServices.svc/User`, {
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
     }
+  });
+  const userData = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(userData.ErrorMessage || userData.error || userData.message || `User lookup failed: ${response.status} ${response.statusText}`);
+  }
+  if (!userData.UserName) {
+    throw new Error('The vault did not return the logged-on user name');
+  }
+  return userData.UserName;
+};
 
-    try {
-      setAuthError('');
-      setIsAuthenticating(true);
-      showNotification('Authenticating with CyberArk...', 'info');
-      
-      // CyberArk PVWA Login API Endpoint
-      // POST /auth/login - Authenticates user and returns authentication token
-      const loginUrl = `${vaultUrl}/auth/login`;
-      
-      const loginResponse = await fetch(loginUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          username: username,
-          password: password
-        })
-      });
+// Debug mode sessions never reached a vault, so there is nothing to log off
+const isDebugToken = (token) => String(token).startsWith('debug_token_');
 
-      if (!loginResponse.ok) {
-        const errorData = await loginResponse.json().catch(() => ({}));
-        throw new Error(errorData.error || errorData.message || `Authentication failed: ${loginResponse.statusText}`);
-      }
+// ============================================================================
+// SESSION SERVICE
+// ============================================================================
+//
+// The bearer token is held in memory only, so it is gone with the page and
+// cannot be read back from localStorage by an injected script or the next
+// person at a shared workstation. VITE_SESSION_PERSISTENCE=session also keeps
+// it in sessionStorage, which survives a reload of the same tab but is never
+// shared with other tabs and is cleared when the tab closes. Tabs tell each
+// other about logoffs and user activity over a BroadcastChannel.
+
+const SESSION_STORAGE_KEY = 'cyberark_session';
+const SESSION_CHANNEL_NAME = 'cyberark_session';
+const SESSION_PERSISTENCE = import.meta.env.VITE_SESSION_PERSISTENCE === 'session' ? 'session' : 'memory';
+
+// Signed-in sessions with no mouse or keyboard activity for this long are logged off (VITE_IDLE_TIMEOUT_MINUTES, default 15)
+const IDLE_TIMEOUT_MS = (Number(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES) > 0 ? Number(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES) : 15) * 60 * 1000;
+// The countdown warning opens this long before the idle logoff
+const IDLE_WARNING_MS = Math.min(60 * 1000, IDLE_TIMEOUT_MS / 2);
+// Activity is passed on to other tabs at most this often
+const ACTIVITY_BROADCAST_INTERVAL_MS = 5000;
+
+/**
+ * Holds the current session: `{ token, vaultUrl, username, loginMode, authMethod,
+ * identityUrl, identityTokenPath }`. Messages from other tabs (`{ type: 'logout' }`
+ * and `{ type: 'activity', at }`) are passed to `subscribe` listeners.
+ */
+const createSessionService = ({ persistence = 'memory', storage = globalThis.sessionStorage } = {}) => {
+  // Builds before this one kept the token in localStorage; drop any copy left behind
+  localStorage.removeItem('cyberark_token');
+  localStorage.removeItem('cyberark_url');
+
+  const persisted = persistence === 'session' ? storage : null;
+  let current = null;
+  try {
+    const saved = JSON.parse(persisted?.getItem(SESSION_STORAGE_KEY) || 'null');
+    if (saved?.token) current = saved;
+  } catch {
+    persisted?.removeItem(SESSION_STORAGE_KEY);
+  }
 
-      const loginData = await loginResponse.json();
-      
-      // Extract token from response
-      // CyberArk returns the token directly or in a 'token' property
-      const token = loginData.token || loginData;
-      
-      if (!token) {
-        throw new Error('No authentication token received from CyberArk');
-      }
+  let channel = null;
+  let lastActivityBroadcast = 0;
+  const listeners = new Set();
+  const openChannel = () => {
+    if (!channel && typeof BroadcastChannel !== 'undefined') {
+      channel = new BroadcastChannel(SESSION_CHANNEL_NAME);
+      channel.onmessage = (event) => listeners.forEach(listener => listener(event.data));
+    }
+    return channel;
+  };
+  const post = (message) => openChannel()?.postMessage(message);
+  const save = () => persisted?.setItem(SESSION_STORAGE_KEY, JSON.stringify(current));
 
-      // Store token in state and localStorage
-      setAuthToken(token);
-      localStorage.setItem('cyberark_token', token);
-      
-      // Store the vault URL for use in API calls
-      localStorage.setItem('cyberark_url', vaultUrl);
-      
-      // Clear password from state for security
-      setPassword('');
-      
-      // Mark as logged in
-      setIsLoggedIn(true);
-      showNotification('✓ Successfully authenticated with CyberArk!', 'success');
-    } catch (error) {
-      const errorMessage = error?.message || 'Authentication failed. Please verify your credentials and try again.';
-      setAuthError(errorMessage);
-      showNotification(`✗ Authentication failed: ${errorMessage}`, 'error');
-      console.error('Authentication error:', error);
-    } finally {
-      setIsAuthenticating(false);
+  return {
+    getToken: () => current?.token || '',
+    getSession: () => current,
+    start: (token, details) => {
+      current = { ...details, token };
+      save();
+    },
+    // Swaps in the token from a re-login, keeping the rest of the session
+    renew: (token) => {
+      if (!current) return;
+      current = { ...current, token };
+      save();
+    },
+    // `broadcast: false` when reacting to another tab's logoff, so it is not echoed back
+    end: ({ broadcast = true } = {}) => {
+      current = null;
+      persisted?.removeItem(SESSION_STORAGE_KEY);
+      if (broadcast) post({ type: 'logout' });
+    },
+    noteActivity: () => {
+      const now = Date.now();
+      if (now - lastActivityBroadcast < ACTIVITY_BROADCAST_INTERVAL_MS) return;
+      lastActivityBroadcast = now;
+      post({ type: 'activity', at: now });
+    },
+    subscribe: (listener) => {
+      openChannel();
+      listeners.add(listener);
+      return () => listeners.delete(listener);
     }
   };
+};
 
-  // Safe Management State
-  const [customSafeName, setCustomSafeName] = useState('');
-  const [safeDescription, setSafeDescription] = useState('');
-  const [managingCPM, setManagingCPM] = useState('');
-  const [retentionMode, setRetentionMode] = useState('versions'); // 'versions' or 'days'
-  const [versionRetention, setVersionRetention] = useState('');
-  const [daysRetention, setDaysRetention] = useState('');
-  const [stagedSafes, setStagedSafes] = useState([]);
+const sessionService = createSessionService({ persistence: SESSION_PERSISTENCE });
 
-  // Member Management State
-  const [targetSafe, setTargetSafe] = useState('');
-  const [memberName, setMemberName] = useState('');
-  const [memberDomain, setMemberDomain] = useState('Vault');
-  const [memberPermissions, setMemberPermissions] = useState({});
-  const [stagedMembers, setStagedMembers] = useState([]);
-  const [standardMembersSelection, setStandardMembersSelection] = useState({});
-  const [editingStandardMember, setEditingStandardMember] = useState(null);
-  const [standardMembersPermissions, setStandardMembersPermissions] = useState({});
-  const [managedStandardMembers, setManagedStandardMembers] = useState([...GLOBAL_STANDARD_MEMBERS]);
-  const [editingMemberInModal, setEditingMemberInModal] = useState(null);
-  const [newMemberForm, setNewMemberForm] = useState({ member: '', domain: 'Vault', role: '', perms: {} });
+// ============================================================================
+// CONNECTION PROFILES
+// ============================================================================
+//
+// Saved vault connections (name, URL, login mode and method, default username,
+// environment colour) kept in localStorage so operators pick "QA" or "Prod"
+// instead of typing a URL. Passwords and secrets are never stored.
+
+const CONNECTION_PROFILE_STORAGE_KEY = 'cyberark_connection_profiles';
+
+// Environment colours; full class names so Tailwind keeps them in the build
+const ENVIRONMENT_COLORS = {
+  green: { label: 'Green', banner: 'bg-emerald-600 text-white', swatch: 'bg-emerald-600' },
+  blue: { label: 'Blue', banner: 'bg-blue-600 text-white', swatch: 'bg-blue-600' },
+  amber: { label: 'Amber', banner: 'bg-amber-400 text-slate-900', swatch: 'bg-amber-400' },
+  red: { label: 'Red', banner: 'bg-red-600 text-white', swatch: 'bg-red-600' },
+  purple: { label: 'Purple', banner: 'bg-purple-600 text-white', swatch: 'bg-purple-600' },
+  slate: { label: 'Grey', banner: 'bg-slate-600 text-white', swatch: 'bg-slate-600' }
+};
 
-  // Account Management State
-  const [accObject, setAccObject] = useState('');
-  const [accAddress, setAccAddress] = useState('');
-  const [accUsername, setAccUsername] = useState('');
-  const [accPassword, setAccPassword] = useState('');
-  const [accPlatformId, setAccPlatformId] = useState('');
-  const [accSafeName, setAccSafeName] = useState('');
-  const [accAutoMgmt, setAccAutoMgmt] = useState(true);
-  const [accManualReason, setAccManualReason] = useState('');
-  const [accRemoteMachines, setAccRemoteMachines] = useState('');
-  const [stagedAccounts, setStagedAccounts] = useState([]);
+const readConnectionProfiles = () => {
+  try {
+    const profiles = JSON.parse(localStorage.getItem(CONNECTION_PROFILE_STORAGE_KEY));
+    return Array.isArray(profiles) ? profiles : [];
+  } catch {
+    return [];
+  }
+};
 
-  // Safe Removal State
-  const [availableSafesForRemoval, setAvailableSafesForRemoval] = useState([
-    { id: 'SAFE-001', name: 'Legacy-Database', managingCPM: 'CyberArk', numberOfVersionsRetention: 10, numberOfDaysRetention: null },
-    { id: 'SAFE-002', name: 'Test-Environment', managingCPM: 'VaultManager', numberOfVersionsRetention: null, numberOfDaysRetention: 30 },
-    { id: 'SAFE-003', name: 'Archive-2022', managingCPM: 'CyberArk', numberOfVersionsRetention: 5, numberOfDaysRetention: null },
-  ]);
-  const [selectedSafesForRemoval, setSelectedSafesForRemoval] = useState({});
-  const [safeRemovalFilter, setSafeRemovalFilter] = useState('');
-  const [stagedSafeRemovals, setStagedSafeRemovals] = useState([]);
+const writeConnectionProfiles = (profiles) => {
+  localStorage.setItem(CONNECTION_PROFILE_STORAGE_KEY, JSON.stringify(profiles));
+};
 
-  // Member Removal State
-  const [availableMembersForRemoval, setAvailableMembersForRemoval] = useState([
-    { id: 'MEM-001', member: 'user.departed', domain: 'DOMAIN', safe: 'SAFE-001', role: 'Contributor'},
-    { id: 'MEM-002', member: 'temp.contractor', domain: 'DOMAIN', safe: 'SAFE-002', role: 'Auditor'},
-    { id: 'MEM-003', member: 'old.admin', domain: 'Vault', safe: 'SAFE-001', role: 'Manager'},
-  ]);
-  const [selectedMembersForRemoval, setSelectedMembersForRemoval] = useState({});
-  const [memberRemovalFilter, setMemberRemovalFilter] = useState('');
-  const [memberRemovalSafeFilter, setMemberRemovalSafeFilter] = useState('');
-  const [stagedMemberRemovals, setStagedMemberRemovals] = useState([]);
+// Profile names are unique regardless of case; saving under an existing name replaces that profile
+const upsertConnectionProfile = (profiles, profile) => [
+  ...profiles.filter(p => p.name.toLowerCase() !== profile.name.toLowerCase()),
+  profile
+].sort((a, b) => a.name.localeCompare(b.name));
+
+// The saved profile for the vault currently entered, so the banner follows the URL actually in use.
+// Several profiles may share a URL (e.g. one per user); the one picked last (`preferredName`) wins,
+// and '' means "no profile" was picked explicitly.
+const findConnectionProfile = (profiles, vaultUrl, preferredName) => {
+  if (preferredName === '') return null;
+  const key = normalizeVaultUrl(vaultUrl);
+  const matches = key ? profiles.filter(p => normalizeVaultUrl(p.vaultUrl) === key) : [];
+  return matches.find(p => p.name === preferredName) || matches[0] || null;
+};
 
-  // Account Removal State
-  const [availableAccountsForRemoval, setAvailableAccountsForRemoval] = useState([
-    { id: 'ACC-001', object: 'root', username: 'admin_user', address: '192.168.1.10', platform: 'Linux', safeName: 'SAFE-001'},
-    { id: 'ACC-002', object: 'sa', username: 'db_admin', address: 'db-server.local', platform: 'SQLServer', safeName: 'SAFE-002'},
-    { id: 'ACC-003', object: 'admin', username: 'system_admin', address: '10.0.0.5', platform: 'Windows', safeName: 'SAFE-003'},
-  ]);
-  const [selectedAccountsForRemoval, setSelectedAccountsForRemoval] = useState({});
-  const [accountRemovalFilter, setAccountRemovalFilter] = useState('');
-  const [accountRemovalSafeFilter, setAccountRemovalSafeFilter] = useState('');
-  const [stagedAccountRemovals, setStagedAccountRemovals] = useState([]);
+// ============================================================================
+// CYBERARK REST API CLIENT
+// ============================================================================
 
-  // Safe Modification State
-  const [availableSafesForModification, setAvailableSafesForModification] = useState([
-    { id: 'SAFE-001', name: 'Legacy-Database', managingCPM: 'CyberArk', numberOfVersionsRetention: 10, numberOfDaysRetention: null },
-    { id: 'SAFE-002', name: 'Test-Environment', managingCPM: 'VaultManager', numberOfVersionsRetention: null, numberOfDaysRetention: 30 },
-    { id: 'SAFE-003', name: 'Archive-2022', managingCPM: 'CyberArk', numberOfVersionsRetention: 5, numberOfDaysRetention: null },
-  ]);
-  const [editingSafeId, setEditingSafeId] = useState(null);
-  const [editedSafeData, setEditedSafeData] = useState({});
-  const [safeModificationFilter, setSafeModificationFilter] = useState('');
-  const [stagedSafeModifications, setStagedSafeModifications] = useState([]);
+// Defaults for makeAPIRequest; timeoutMs and maxRetries can be overridden per call through its options
+const API_REQUEST_POLICY = {
+  timeoutMs: 30000,
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 10000,
+  maxRetryAfterMs: 60000
+};
 
-  // Member Modification State
-  const [availableMembersForModification, setAvailableMembersForModification] = useState([
-    { id: 'MEM-001', member: 'user.departed', domain: 'DOMAIN', safe: 'SAFE-001', role: 'Contributor'},
-    { id: 'MEM-002', member: 'temp.contractor', domain: 'DOMAIN', safe: 'SAFE-002', role: 'Auditor'},
-    { id: 'MEM-003', member: 'old.admin', domain: 'Vault', safe: 'SAFE-001', role: 'Manager'},
-  ]);
-  const [editingMemberId, setEditingMemberId] = useState(null);
-  const [editedMemberData, setEditedMemberData] = useState({});
-  const [memberModificationFilter, setMemberModificationFilter] = useState('');
-  const [memberModificationSafeFilter, setMemberModificationSafeFilter] = useState('');
-  const [stagedMemberModifications, setStagedMemberModifications] = useState([]);
+/**
+ * Error thrown by makeAPIRequest once a call has failed for good. Keeps the
+ * HTTP status (null for network errors and timeouts), the error body, the
+ * endpoint and how many attempts were made, so deployment results can report them.
+ */
+class CyberArkAPIError extends Error {
+  constructor(message, { status = null, body = null, method, endpoint, attempts, timedOut = false, cancelled = false }) {
+    super(message);
+    this.name = 'CyberArkAPIError';
+    this.status = status;
+    this.body = body;
+    this.method = method;
+    this.endpoint = endpoint;
+    this.attempts = attempts;
+    this.timedOut = timedOut;
+    this.cancelled = cancelled;
+  }
+}
 
-  // Account Modification State
-  const [availableAccountsForModification, setAvailableAccountsForModification] = useState([
-    { id: 'ACC-001', object: 'root', username: 'admin_user', address: '192.168.1.10', platform: 'Linux', safeName: 'SAFE-001'},
-    { id: 'ACC-002', object: 'sa', username: 'db_admin', address: 'db-server.local', platform: 'SQLServer', safeName: 'SAFE-002'},
-    { id: 'ACC-003', object: 'admin', username: 'system_admin', address: '10.0.0.5', platform: 'Windows', safeName: 'SAFE-003'},
-  ]);
-  const [editingAccountId, setEditingAccountId] = useState(null);
-  const [editedAccountData, setEditedAccountData] = useState({});
-  const [accountModificationFilter, setAccountModificationFilter] = useState('');
-  const [accountModificationSafeFilter, setAccountModificationSafeFilter] = useState('');
-  const [stagedAccountModifications, setStagedAccountModifications] = useState([]);
+/**
+ * 429 and 503 mean the vault turned the request away, so any method can be
+ * retried. Other gateway errors, timeouts and network failures may have
+ * happened after the vault acted, so only requests that are safe to repeat
+ * (everything except POST) are retried for those.
+ */
+const isRetryableFailure = (method, status) => {
+  if (status === 429 || status === 503) return true;
+  if (status !== null && ![408, 500, 502, 504].includes(status)) return false;
+  return method !== 'POST';
+};
 
-  // Connection Status State
-  const [connectionStatus, setConnectionStatus] = useState('DISCONNECTED');
+// Retry-After is either a number of seconds or an HTTP date; returns milliseconds or null
+const parseRetryAfter = (header) => {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
 
-  // ========================================================================
-  // COMPUTED VALUES & EFFECTS
-  // ========================================================================
+// Exponential backoff with full jitter: a random delay up to base * 2^(attempt - 1), capped at maxDelayMs
+const backoffDelay = (attempt, { baseDelayMs, maxDelayMs } = API_REQUEST_POLICY) =>
+  Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+
+// Resolves after `ms`, or straight away when `signal` is aborted
+const waitFor = (ms, signal) => new Promise((resolve) => {
+  if (signal?.aborted) return resolve();
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    resolve();
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
 
-  const themeClasses = getThemeClasses(isDark, branding);
+const DEFAULT_PAGE_SIZE = 100;
 
-  // Update connection status based on authentication
-  useEffect(() => {
-    if (authToken && isLoggedIn) {
-      setConnectionStatus('CONNECTED');
+// Turns a PVWA nextLink ("api/Safes?offset=100&limit=100", possibly absolute) into an endpoint below the API base URL
+const nextLinkToEndpoint = (nextLink) => {
+  const path = nextLink.replace(/^https?:\/\/[^/]+/i, '');
+  const match = path.match(/(?:^|\/)api(\/.*)$/i);
+  if (match) return match[1];
+  return path.startsWith('/') ? path : `/${path}`;
+};
+
+/**
+ * GETs every page of a PVWA list endpoint and returns the combined items.
+ * Pages are `{ value, count, nextLink }`; the helper follows `nextLink` when
+ * present and otherwise advances `offset` until `count` items are loaded.
+ * Plain array responses (older endpoints) are returned as they are.
+ * `onProgress` receives `{ loaded, total }` after each page (`total` may be null).
+ */
+const fetchAllPages = async (makeAPIRequest, endpoint, { pageSize = DEFAULT_PAGE_SIZE, onProgress } = {}) => {
+  const separator = endpoint.includes('?') ? '&' : '?';
+  const items = [];
+  const visited = new Set();
+  let nextEndpoint = `${endpoint}${separator}offset=0&limit=${pageSize}`;
+
+  while (nextEndpoint && !visited.has(nextEndpoint)) {
+    visited.add(nextEndpoint);
+    const response = await makeAPIRequest(nextEndpoint, { method: 'GET' });
+    if (Array.isArray(response)) {
+      items.push(...response);
+      onProgress?.({ loaded: items.length, total: items.length });
+      break;
+    }
+
+    const page = Array.isArray(response?.value) ? response.value : [];
+    const total = typeof response?.count === 'number' ? response.count : null;
+    items.push(...page);
+    onProgress?.({ loaded: items.length, total });
+
+    if (response?.nextLink) {
+      nextEndpoint = nextLinkToEndpoint(response.nextLink);
+    } else if (page.length > 0 && total !== null && items.length < total) {
+      nextEndpoint = `${endpoint}${separator}offset=${items.length}&limit=${pageSize}`;
     } else {
-      setConnectionStatus('DISCONNECTED');
+      nextEndpoint = null;
     }
-  }, [authToken, isLoggedIn]);
+  }
+  return items;
+};
 
-  // Update dark mode class on html element
-  useEffect(() => {
-    if (isDark) document.documentElement.classList.add('dark');
-    else document.documentElement.classList.remove('dark');
-  }, [isDark]);
+// A Safe keeps either a number of versions or a number of days, never both, so only the one that is set is sent
+const safeRetentionPayload = ({ numberOfVersionsRetention, numberOfDaysRetention }) => {
+  if (numberOfVersionsRetention) return { numberOfVersionsRetention: Number(numberOfVersionsRetention) };
+  if (numberOfDaysRetention) return { numberOfDaysRetention: Number(numberOfDaysRetention) };
+  return {};
+};
 
-  // Fetch Safes when accessing safe-modify or safe-remove tabs
-  useEffect(() => {
-    if ((activeTab === 'safe-modify' || activeTab === 'safe-remove') && authToken && safeAPI) {
-      const fetchSafes = async () => {
-        try {
-          const safes = await safeAPI.getAll();
-          // Convert API response to our format
-          const formattedSafes = Array.isArray(safes) ? safes.map(safe => ({
-            id: safe.safeName || safe.id,
-            name: safe.safeName || safe.name,
-            managingCPM: safe.managingCPM || 'CyberArk',
-            numberOfVersionsRetention: safe.numberOfVersionsRetention || null,
-            numberOfDaysRetention: safe.numberOfDaysRetention || null
-          })) : [];
-          
-          // Update both removal and modification arrays
-          setAvailableSafesForRemoval(formattedSafes);
-          setAvailableSafesForModification(formattedSafes);
-        } catch (error) {
-          console.error('Failed to fetch safes:', error);
-          // Keep existing data on error
-        }
+/**
+ * Builds the Safe, Member and Account API wrappers on top of a request function.
+ * The live client passes makeAPIRequest; the execution plan passes a recorder
+ * that returns the request it would have sent.
+ */
+const createCyberArkAPI = (makeAPIRequest) => {
+  /**
+   * Safe Management API (CyberArk Official REST API)
+   * https://docs.cyberark.com/Product-Doc/OnlineHelp/PAS/Latest/en/Content/API/GetSafe.htm
+   */
+  const safeAPI = {
+    // POST /api/safes - Create a new Safe
+    create: async (safeData) => {
+      const payload = {
+        safeName: safeData.name,
+        description: safeData.description || '',
+        managingCPM: safeData.managingCPM,
+        olacEnabled: Boolean(safeData.olacEnabled),
+        autoPurgeEnabled: Boolean(safeData.autoPurgeEnabled),
+        ...safeRetentionPayload(safeData)
       };
-      fetchSafes();
+      // Without a location the vault creates the Safe in its root (\)
+      if (safeData.location) payload.location = safeData.location;
+      
+      return makeAPIRequest('/safes', {
+        method: 'POST',
+        body: JSON.stringify(payload)
+      });
+    },
+    
+    // GET /api/safes - Get all Safes (every page)
+    getAll: async (options) => {
+      return fetchAllPages(makeAPIRequest, '/safes', options);
+    },
+    
+    // GET /api/safes/{safeId} - Get Safe by ID
+    getById: async (safeId) => {
+      return makeAPIRequest(`/safes/${encodeURIComponent(safeId)}`, { method: 'GET' });
+    },
+    
+    // PUT /api/safes/{safeId} - Update Safe; passing `name` renames it
+    update: async (safeId, updateData) => {
+      const payload = safeRetentionPayload(updateData);
+      if (updateData.name !== undefined) payload.safeName = updateData.name;
+      if (updateData.description !== undefined) payload.description = updateData.description;
+      if (updateData.location !== undefined) payload.location = updateData.location;
+      if (updateData.managingCPM !== undefined) payload.managingCPM = updateData.managingCPM;
+      if (updateData.olacEnabled !== undefined) payload.olacEnabled = updateData.olacEnabled;
+      if (updateData.autoPurgeEnabled !== undefined) payload.autoPurgeEnabled = updateData.autoPurgeEnabled;
+      
+      return makeAPIRequest(`/safes/${encodeURIComponent(safeId)}`, {
+        method: 'PUT',
+        body: JSON.stringify(payload)
+      });
+    },
+    
+    // DELETE /api/safes/{safeId} - Delete Safe
+    delete: async (safeId) => {
+      return makeAPIRequest(`/safes/${encodeURIComponent(safeId)}`, {
+        method: 'DELETE'
+      });
     }
-  }, [activeTab, authToken]);
+  };
 
-  // Fetch Members when accessing member-modify or member-remove tabs
-  useEffect(() => {
-    if ((activeTab === 'member-modify' || activeTab === 'member-remove') && authToken && memberAPI) {
-      const fetchMembers = async () => {
-        try {
-          // Try to fetch all members - API should support getting all members across safes
-          const members = await memberAPI.getBySafe('');
-          // Convert API response to our format
-          const formattedMembers = Array.isArray(members) ? members.map(member => ({
-            id: member.id || member.memberName,
-            member: member.memberName || member.member,
-            domain: member.searchIn || member.domain || 'Domain',
-            safe: member.safeName || member.safe,
-            role: member.role || 'Contributor'
-          })) : [];
-          
-          // Update both removal and modification arrays
-          setAvailableMembersForRemoval(formattedMembers);
-          setAvailableMembersForModification(formattedMembers);
-        } catch (error) {
-          console.error('Failed to fetch members:', error);
-          // Keep existing data on error
-        }
+  /**
+   * Member Management API (CyberArk Official REST API)
+   * https://docs.cyberark.com/Product-Doc/OnlineHelp/PAS/Latest/en/Content/API/AddMemberToSafe.htm
+   * https://docs.cyberark.com/pam-self-hosted/latest/en/content/webservices/safe%20members.htm
+   */
+  const memberAPI = {
+    // POST /api/safes/{safeId}/members - Add member to Safe
+    add: async (safeName, memberData) => {
+      const payload = {
+        memberName: memberData.member || memberData.memberName,
+        memberType: 'Domain',
+        searchIn: memberData.domain || 'Domain',
+        permissions: memberData.perms || {}
       };
-      fetchMembers();
-    }
-  }, [activeTab, authToken]);
-
-  // Fetch Accounts when accessing account-modify or account-remove tabs
-  useEffect(() => {
-    if ((activeTab === 'account-modify' || activeTab === 'account-remove') && authToken && accountAPI) {
-      const fetchAccounts = async () => {
-        try {
-          const accounts = await accountAPI.getAll();
-          // Convert API response to our format
-          const formattedAccounts = Array.isArray(accounts) ? accounts.map(account => ({
-            id: account.id || account.object,
-            object: account.id || account.object,
-            username: account.userName || account.username,
-            address: account.address,
-            platform: account.platformId || account.platform,
-            safeName: account.safeName || account.safe
-          })) : [];
-          
-          // Update both removal and modification arrays
-          setAvailableAccountsForRemoval(formattedAccounts);
-          setAvailableAccountsForModification(formattedAccounts);
-        } catch (error) {
-          console.error('Failed to fetch accounts:', error);
-          // Keep existing data on error
-        }
+      
+      return makeAPIRequest(`/safes/${encodeURIComponent(safeName)}/members`, {
+        method: 'POST',
+        body: JSON.stringify(payload)
+      });
+    },
+    
+    // GET /api/safes/{safeId}/members - Get members of Safe (every page)
+    getBySafe: async (safeName, options) => {
+      return fetchAllPages(makeAPIRequest, `/safes/${encodeURIComponent(safeName)}/members`, options);
+    },
+    
+    // GET /api/safes/{safeId}/members/{memberId} - Get a single member and its permissions
+    get: async (safeName, memberName) => {
+      return makeAPIRequest(
+        `/safes/${encodeURIComponent(safeName)}/members/${encodeURIComponent(memberName)}`,
+        { method: 'GET' }
+      );
+    },
+    
+    // PUT /api/safes/{safeId}/members/{memberId} - Update member permissions
+    updatePermissions: async (safeName, memberName, permissions) => {
+      const payload = {
+        permissions: permissions || {}
       };
-      fetchAccounts();
+      
+      return makeAPIRequest(
+        `/safes/${encodeURIComponent(safeName)}/members/${encodeURIComponent(memberName)}`,
+        {
+          method: 'PUT',
+          body: JSON.stringify(payload)
+        }
+      );
+    },
+    
+    // DELETE /api/safes/{safeId}/members/{memberId} - Remove member from Safe
+    remove: async (safeName, memberName) => {
+      return makeAPIRequest(
+        `/safes/${encodeURIComponent(safeName)}/members/${encodeURIComponent(memberName)}`,
+        {
+          method: 'DELETE'
+        }
+      );
     }
-  }, [activeTab, authToken]);
+  };
 
-  const handleAddSafeToStage = () => {
-    if (!customSafeName.trim()) {
-      return showNotification("Please enter a Safe name!", "error");
-    }
-    const retentionValue = retentionMode === 'versions' ? versionRetention : daysRetention;
-    if (!retentionValue) {
-      return showNotification(`Please enter ${retentionMode === 'versions' ? 'number of versions' : 'number of days'} for retention!`, "error");
+  /**
+   * Account Management API (CyberArk Official REST API)
+   * https://docs.cyberark.com/Product-Doc/OnlineHelp/PAS/Latest/en/Content/API/AddAccount.htm
+   */
+  const accountAPI = {
+    // POST /api/accounts - Create new Account
+    create: async (accountData) => {
+      const payload = {
+        name: accountData.userName,
+        address: accountData.address,
+        userName: accountData.userName,
+        secret: accountData.secret,
+        platformId: accountData.platformId,
+        safeName: accountData.safeName,
+        automaticManagementEnabled: accountData.automaticManagement === true,
+        manualManagementReason: accountData.manualManagementReason || null,
+        remoteMachinesAccess: accountData.remoteMachines ? 'Yes' : 'No'
+      };
+      
+      // Add object ID if provided (for existing accounts)
+      if (accountData.object) {
+        payload.id = accountData.object;
+      }
+      
+      return makeAPIRequest('/accounts', {
+        method: 'POST',
+        body: JSON.stringify(payload)
+      });
+    },
+    
+    // GET /api/accounts - Get all Accounts (every page)
+    getAll: async (options) => {
+      return fetchAllPages(makeAPIRequest, '/accounts', options);
+    },
+    
+    // GET /api/accounts/{accountId} - Get Account by ID
+    getById: async (accountId) => {
+      return makeAPIRequest(`/accounts/${encodeURIComponent(accountId)}`, { method: 'GET' });
+    },
+    
+    // GET /api/accounts?search={query} - Search for Accounts
+    search: async (query) => {
+      return makeAPIRequest(`/accounts?search=${encodeURIComponent(query)}`, {
+        method: 'GET'
+      });
+    },
+    
+    // PUT /api/accounts/{accountId} - Update Account
+    update: async (accountId, updateData) => {
+      const payload = {};
+      if (updateData.address !== undefined) payload.address = updateData.address;
+      if (updateData.secret !== undefined) payload.secret = updateData.secret;
+      if (updateData.userName !== undefined) payload.userName = updateData.userName;
+      if (updateData.automaticManagement !== undefined) payload.automaticManagementEnabled = updateData.automaticManagement;
+      if (updateData.manualManagementReason !== undefined) payload.manualManagementReason = updateData.manualManagementReason;
+      
+      return makeAPIRequest(`/accounts/${encodeURIComponent(accountId)}`, {
+        method: 'PUT',
+        body: JSON.stringify(payload)
+      });
+    },
+    
+    // DELETE /api/accounts/{accountId} - Delete Account
+    delete: async (accountId) => {
+      return makeAPIRequest(`/accounts/${encodeURIComponent(accountId)}`, {
+        method: 'DELETE'
+      });
     }
-    const newSafe = {
-      name: customSafeName,
-      description: safeDescription,
-      CPMManaging: managingCPM,
-      retentionMode: retentionMode,
-      retentionValue: retentionValue
-    };
-    setStagedSafes([...stagedSafes, newSafe]);
-    setCustomSafeName('');
-    setSafeDescription('');
-    setManagingCPM('');
-    setRetentionMode('versions');
-    setVersionRetention('');
-    setDaysRetention('');
   };
 
-  // ========================================================================
-  // EVENT HANDLERS - Member Management
-  // ========================================================================
+  return { safeAPI, memberAPI, accountAPI };
+};
 
-  const handleAddStandardMembers = () => {
-    if (!targetSafe) return showNotification("Please specify a target Safe!", "error");
-    const selectedMembers = Object.keys(standardMembersSelection).filter(key => standardMembersSelection[key]);
-    if (selectedMembers.length === 0) return showNotification("Please select at least one standard member!", "error");
-    
-    const newEntries = selectedMembers.map(memberKey => {
-      const member = managedStandardMembers.find(m => m.member === memberKey);
-      const perms = standardMembersPermissions[memberKey] ? { ...standardMembersPermissions[memberKey] } : { ...member.perms };
-      return {
-        safe: targetSafe,
-        member: member.member,
-        domain: member.domain,
-        perms: perms,
-        roleLabel: detectRoleFromPermissions(perms)
-      };
-    });
-    setStagedMembers([...stagedMembers, ...newEntries]);
-    setStandardMembersSelection({});
-    setStandardMembersPermissions({});
-  };
+// ============================================================================
+// CONNECTION HEALTH
+// ============================================================================
 
-  const handleAddCustomMember = () => {
-    if (!targetSafe || !memberName) return showNotification("Please specify a target Safe and member name!", "error");
-    const detectedRole = detectRoleFromPermissions(memberPermissions);
-    setStagedMembers([...stagedMembers, {
-      safe: targetSafe,
-      member: memberName,
-      domain: memberDomain,
-      perms: { ...memberPermissions },
-      roleLabel: detectedRole
-    }]);
-    setMemberName('');
-  };
+// How often the dashboard re-checks the vault, how long a check may take, and when a slow answer counts as degraded
+const HEALTH_CHECK_POLICY = {
+  intervalMs: 60000,
+  timeoutMs: 10000,
+  degradedLatencyMs: 2000
+};
 
-  // ========================================================================
-  // EVENT HANDLERS - Account Management
-  // ========================================================================
+// Dashboard colour for each health status
+const HEALTH_STATUS_COLORS = {
+  CONNECTED: 'text-emerald-500',
+  DEGRADED: 'text-amber-500',
+  UNAUTHORIZED: 'text-red-500',
+  UNREACHABLE: 'text-red-500',
+  CHECKING: 'text-slate-400',
+  DEBUG: 'text-slate-400'
+};
 
-  const handleAddAccountToQueue = () => {
-    if (!accObject || !accAddress || !accUsername || !accPlatformId || !accSafeName) {
-      return showNotification("Please fill required fields!", "error");
+/**
+ * Sends one authenticated, single-item Safes query and reports how the vault
+ * answered. Unlike makeAPIRequest it never retries or asks for a new login, so
+ * the measured latency and a dead token are reported as they are.
+ *
+ * Resolves (never rejects) with `{ status, latencyMs, checkedAt, detail }`:
+ * CONNECTED, DEGRADED (slow, throttled or erroring), UNAUTHORIZED or UNREACHABLE.
+ */
+const probeVaultHealth = async (url, token, { timeoutMs, degradedLatencyMs } = HEALTH_CHECK_POLICY) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const checkedAt = new Date().toISOString();
+  const startedAt = performance.now();
+
+  try {
+    const response = await fetch(url, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      signal: controller.signal
+    });
+    const latencyMs = Math.round(performance.now() - startedAt);
+    if (response.status === 401 || response.status === 403) {
+      return { status: 'UNAUTHORIZED', latencyMs, checkedAt, detail: 'The vault rejected the session token' };
     }
-    setStagedAccounts([...stagedAccounts, {
-      object: accObject,
-      address: accAddress,
-      userName: accUsername,
-      secret: accPassword,
-      platformId: accPlatformId,
-      safeName: accSafeName,
-      automaticManagement: accAutoMgmt,
-      manualManagementReason: accAutoMgmt ? '' : accManualReason,
-      remoteMachines: accRemoteMachines
-    }]);
-    // Reset form
-    setAccAddress('');
-    setAccUsername('');
-    setAccManualReason('');
-    setAccObject('');
-    setAccPassword('');
-    setAccRemoteMachines('');
-  };
+    if (!response.ok) {
+      return { status: 'DEGRADED', latencyMs, checkedAt, detail: `Vault answered ${response.status} ${response.statusText}`.trim() };
+    }
+    if (latencyMs > degradedLatencyMs) {
+      return { status: 'DEGRADED', latencyMs, checkedAt, detail: `Slow response (over ${degradedLatencyMs} ms)` };
+    }
+    return { status: 'CONNECTED', latencyMs, checkedAt, detail: null };
+  } catch (error) {
+    const detail = controller.signal.aborted ? `No answer within ${timeoutMs} ms` : error.message;
+    return { status: 'UNREACHABLE', latencyMs: null, checkedAt, detail };
+  } finally {
+    clearTimeout(timer);
+  }
+};
 
-  // ========================================================================
-  // EVENT HANDLERS - Safe Removal
-  // ========================================================================
+// ============================================================================
+// MEMBER INVENTORY
+// ============================================================================
 
-  const handleStageSafeRemovals = () => {
-    const selectedIds = Object.keys(selectedSafesForRemoval).filter(key => selectedSafesForRemoval[key]);
-    if (selectedIds.length === 0) {
-      return showNotification("Please select at least one Safe to remove!", "error");
-    }
-    const itemsToRemove = availableSafesForRemoval.filter(safe => 
-      selectedIds.includes(safe.id) && !stagedSafeRemovals.some(staged => staged.id === safe.id)
-    );
-    if (itemsToRemove.length === 0) {
-      return showNotification("All selected Safes are already queued!", "warning");
+const MEMBER_INVENTORY_CONCURRENCY = 5;
+
+// PVWA returns camelCase permission names; rebuild them in PERMISSION_KEYS order so detectRoleFromPermissions matches templates
+const normalizeMemberPermissions = (permissions = {}) => {
+  const valuesByKey = new Map(Object.entries(permissions).map(([key, value]) => [key.toLowerCase(), value]));
+  return Object.fromEntries(PERMISSION_KEYS.map(key => [key, valuesByKey.get(key.toLowerCase()) === true]));
+};
+
+/**
+ * Loads the members of every Safe in the vault. Safes are listed first, then
+ * their member lists are fetched at most `concurrency` at a time. A Safe whose
+ * members cannot be read is reported in `failedSafes` instead of failing the
+ * whole inventory. `onProgress` receives `{ loaded, total }` in Safes.
+ */
+const loadMemberInventory = async ({ safeAPI, memberAPI }, { concurrency = MEMBER_INVENTORY_CONCURRENCY, onProgress } = {}) => {
+  const safes = await safeAPI.getAll();
+  const safeNames = safes.map(safe => safe.safeName || safe.name).filter(Boolean);
+  const failedSafes = [];
+  let loaded = 0;
+  onProgress?.({ loaded, total: safeNames.length });
+
+  const membersBySafe = await mapWithConcurrency(safeNames, concurrency, async (safeName) => {
+    try {
+      const members = await memberAPI.getBySafe(safeName);
+      return members.map(member => {
+        const perms = normalizeMemberPermissions(member.permissions);
+        const memberName = member.memberName || member.member;
+        return {
+          id: `${safeName}/${memberName}`,
+          member: memberName,
+          domain: member.searchIn || member.domain || 'Vault',
+          safe: safeName,
+          role: detectRoleFromPermissions(perms),
+          perms
+        };
+      });
+    } catch (error) {
+      console.error(`Failed to fetch members of Safe "${safeName}":`, error);
+      failedSafes.push(safeName);
+      return [];
+    } finally {
+      onProgress?.({ loaded: ++loaded, total: safeNames.length });
     }
-    setStagedSafeRemovals([...stagedSafeRemovals, ...itemsToRemove]);
-    setSelectedSafesForRemoval({});
-    setSafeRemovalFilter('');
-  };
+  });
 
-  // ========================================================================
-  // EVENT HANDLERS - Member Removal
-  // ========================================================================
+  return { members: membersBySafe.flat(), failedSafes };
+};
 
-  const handleStageMemberRemovals = () => {
-    const selectedIds = Object.keys(selectedMembersForRemoval).filter(key => selectedMembersForRemoval[key]);
-    if (selectedIds.length === 0) {
-      return showNotification("Please select at least one Member to remove!", "error");
+// ============================================================================
+// DEPLOYMENT PLAN
+// ============================================================================
+
+/**
+ * Flattens the staged queues into the ordered list of REST calls issued by a
+ * deployment. Each step knows which queue item it came from and how to run
+ * itself against an API client, so the same list drives both the dry-run
+ * execution plan and the real deployment.
+ *
+ * For the rollback journal a step may also `capture` the current state before
+ * it runs, and `inverse(previous, response)` returns the call that undoes it
+ * (`{ label, execute }`) or `{ irreversible }` with the reason it cannot.
+ */
+const buildDeploymentSteps = ({
+  stagedSafes, stagedMembers, stagedAccounts,
+  stagedSafeRemovals, stagedMemberRemovals, stagedAccountRemovals,
+  stagedSafeModifications, stagedMemberModifications, stagedAccountModifications
+}) => [
+  // Create Safes
+  ...stagedSafes.map((safe, index) => ({
+    queue: 'stagedSafes', index, item: safe, action: 'create', resource: 'Safe',
+    safeName: safe.name,
+    label: `Create Safe "${safe.name}"`,
+    execute: ({ safeAPI }) => safeAPI.create({
+      name: safe.name,
+      description: safe.description,
+      location: safe.location,
+      managingCPM: safe.CPMManaging,
+      olacEnabled: safe.olacEnabled,
+      autoPurgeEnabled: safe.autoPurgeEnabled,
+      numberOfVersionsRetention: safe.retentionMode === 'versions' ? safe.retentionValue : null,
+      numberOfDaysRetention: safe.retentionMode === 'days' ? safe.retentionValue : null
+    }),
+    inverse: () => ({
+      label: `Delete Safe "${safe.name}"`,
+      execute: ({ safeAPI }) => safeAPI.delete(safe.name)
+    })
+  })),
+  // Add Members
+  ...stagedMembers.map((member, index) => ({
+    queue: 'stagedMembers', index, item: member, action: 'create', resource: 'Member',
+    safeName: member.safe,
+    label: `Add Member "${member.member}" to Safe "${member.safe}"`,
+    execute: ({ memberAPI }) => memberAPI.add(member.safe, member),
+    inverse: () => ({
+      label: `Remove Member "${member.member}" from Safe "${member.safe}"`,
+      execute: ({ memberAPI }) => memberAPI.remove(member.safe, member.member)
+    })
+  })),
+  // Create Accounts
+  ...stagedAccounts.map((account, index) => ({
+    queue: 'stagedAccounts', index, item: account, action: 'create', resource: 'Account',
+    safeName: account.safeName,
+    label: `Create Account "${account.userName}"@"${account.address}"`,
+    execute: ({ accountAPI }) => accountAPI.create(account),
+    inverse: (previous, response) => (response?.id ? {
+      label: `Delete Account "${account.userName}"@"${account.address}"`,
+      execute: ({ accountAPI }) => accountAPI.delete(response.id)
+    } : { irreversible: 'PVWA did not return the ID of the created account' })
+  })),
+  // Remove Safes
+  ...stagedSafeRemovals.map((safe, index) => ({
+    queue: 'stagedSafeRemovals', index, item: safe, action: 'remove', resource: 'Safe',
+    safeName: safe.name, safeId: safe.id,
+    label: `Delete Safe "${safe.name}"`,
+    execute: ({ safeAPI }) => safeAPI.delete(safe.name),
+    inverse: () => ({ irreversible: 'Deleted Safes and their contents cannot be restored through the API' })
+  })),
+  // Remove Members
+  ...stagedMemberRemovals.map((member, index) => ({
+    queue: 'stagedMemberRemovals', index, item: member, action: 'remove', resource: 'Member',
+    safeName: member.safe,
+    label: `Remove Member "${member.member}" from Safe "${member.safe}"`,
+    execute: ({ memberAPI }) => memberAPI.remove(member.safe, member.member),
+    capture: ({ memberAPI }) => memberAPI.get(member.safe, member.member),
+    inverse: (previous) => {
+      const permissions = previous?.permissions || member.perms;
+      return permissions ? {
+        label: `Re-add Member "${member.member}" to Safe "${member.safe}" with its previous permissions`,
+        execute: ({ memberAPI }) => memberAPI.add(member.safe, {
+          member: member.member,
+          domain: previous?.searchIn || member.domain,
+          perms: permissions
+        })
+      } : { irreversible: 'The previous permissions could not be captured' };
     }
-    const itemsToRemove = availableMembersForRemoval.filter(member => selectedIds.includes(member.id));
-    const stagedIds = stagedMemberRemovals.map(m => m.id);
-    const duplicates = itemsToRemove.filter(item => stagedIds.includes(item.id));
-    if (duplicates.length > 0) {
-      return showNotification(`The following member(s) are already staged for removal: ${duplicates.map(d => d.member).join(', ')}`, "warning");
+  })),
+  // Delete Accounts
+  ...stagedAccountRemovals.map((account, index) => ({
+    queue: 'stagedAccountRemovals', index, item: account, action: 'remove', resource: 'Account',
+    safeName: account.safeName,
+    label: `Delete Account "${account.username}"`,
+    execute: ({ accountAPI }) => accountAPI.delete(account.object),
+    inverse: () => ({ irreversible: 'Deleted accounts cannot be restored with their secret through the API' })
+  })),
+  // Modify Safes (safe.id is the name in the vault, safe.name the name after a rename)
+  ...stagedSafeModifications.map((safe, index) => ({
+    queue: 'stagedSafeModifications', index, item: safe, action: 'modify', resource: 'Safe',
+    safeName: safe.name,
+    renamedFrom: safe.name !== safe.id ? safe.id : undefined,
+    label: safe.name !== safe.id ? `Rename Safe "${safe.id}" to "${safe.name}" and update it` : `Update Safe "${safe.name}"`,
+    execute: ({ safeAPI }) => safeAPI.update(safe.id, {
+      name: safe.name !== safe.id ? safe.name : undefined,
+      description: safe.description,
+      location: safe.location,
+      managingCPM: safe.managingCPM,
+      olacEnabled: safe.olacEnabled,
+      autoPurgeEnabled: safe.autoPurgeEnabled,
+      numberOfVersionsRetention: safe.numberOfVersionsRetention || null,
+      numberOfDaysRetention: safe.numberOfDaysRetention || null
+    }),
+    capture: ({ safeAPI }) => safeAPI.getById(safe.id),
+    inverse: (previous) => {
+      if (!previous) return { irreversible: 'The previous Safe properties could not be captured' };
+      // Object level access control cannot be switched off again once enabled
+      if (safe.olacEnabled && !previous.olacEnabled) {
+        return { irreversible: 'Object level access control cannot be disabled once enabled' };
+      }
+      return {
+        label: `Restore previous properties of Safe "${safe.name}"`,
+        // After a rename the Safe is only found under its new name
+        execute: ({ safeAPI }) => safeAPI.update(safe.name, {
+          name: safe.name !== safe.id ? previous.safeName || safe.id : undefined,
+          description: previous.description,
+          location: previous.location,
+          managingCPM: previous.managingCPM,
+          autoPurgeEnabled: previous.autoPurgeEnabled,
+          numberOfVersionsRetention: previous.numberOfVersionsRetention ?? null,
+          numberOfDaysRetention: previous.numberOfDaysRetention ?? null
+        })
+      };
     }
-    setStagedMemberRemovals([...stagedMemberRemovals, ...itemsToRemove]);
-    setSelectedMembersForRemoval({});
-    setMemberRemovalFilter('');
-    setMemberRemovalSafeFilter('');
-  };
-
-  // ========================================================================
-  // EVENT HANDLERS - Account Removal
-  // ========================================================================
+  })),
+  // Modify Members
+  ...stagedMemberModifications.map((member, index) => ({
+    queue: 'stagedMemberModifications', index, item: member, action: 'modify', resource: 'Member',
+    safeName: member.safe,
+    label: `Update Member "${member.member}" permissions`,
+    execute: ({ memberAPI }) => memberAPI.updatePermissions(member.safe, member.member, member.perms || {}),
+    capture: ({ memberAPI }) => memberAPI.get(member.safe, member.member),
+    inverse: (previous) => (previous?.permissions ? {
+      label: `Restore previous permissions of Member "${member.member}" in Safe "${member.safe}"`,
+      execute: ({ memberAPI }) => memberAPI.updatePermissions(member.safe, member.member, previous.permissions)
+    } : { irreversible: 'The previous permissions could not be captured' })
+  })),
+  // Modify Accounts
+  ...stagedAccountModifications.map((account, index) => ({
+    queue: 'stagedAccountModifications', index, item: account, action: 'modify', resource: 'Account',
+    safeName: account.safeName,
+    label: `Update Account "${account.userName}"`,
+    execute: ({ accountAPI }) => accountAPI.update(account.id, {
+      address: account.address,
+      secret: account.secret,
+      userName: account.userName,
+      automaticManagement: account.automaticManagement,
+      manualManagementReason: account.manualManagementReason
+    }),
+    capture: ({ accountAPI }) => accountAPI.getById(account.id),
+    // The secret is never returned by the API, so only account properties are restored
+    inverse: (previous) => (previous ? {
+      label: `Restore previous properties of Account "${account.userName}"`,
+      execute: ({ accountAPI }) => accountAPI.update(account.id, {
+        address: previous.address,
+        userName: previous.userName,
+        automaticManagement: previous.secretManagement?.automaticManagementEnabled,
+        manualManagementReason: previous.secretManagement?.manualManagementReason
+      })
+    } : { irreversible: 'The previous account properties could not be captured' })
+  }))
+];
 
-  const handleStageAccountRemovals = () => {
-    const selectedIds = Object.keys(selectedAccountsForRemoval).filter(key => selectedAccountsForRemoval[key]);
-    if (selectedIds.length === 0) {
-      return showNotification("Please select at least one Account to remove!", "error");
+// Normalised Safe name used to match queue items; PVWA Safe names are case-insensitive
+const safeKey = (name) => String(name ?? '').trim().toLowerCase();
+
+/**
+ * Builds the dependency graph between deployment steps and returns them in an
+ * order that satisfies it:
+ * - members and accounts added to a Safe wait for that Safe to be created
+ * - a Safe is only deleted after its staged member and account removals
+ * - a Safe re-created under the name of a removed Safe waits for the removal
+ * - anything staged against a renamed Safe's new name waits for the rename,
+ *   and anything still staged against its old name runs before it
+ * - steps on the same member or account run one after another in queue order
+ *   (creation, then removal, then modification)
+ * Independent steps keep their original queue order. Each returned step gets a
+ * unique key and the keys of the steps it depends on.
+ */
+const orderDeploymentSteps = (steps) => {
+  const keyed = steps.map(step => ({ ...step, key: `${step.queue}:${step.index}`, dependsOn: [] }));
+
+  const safeCreations = new Map();
+  const safeRenames = new Map();
+  const safeRenamesFrom = new Map();
+  const safeRemovals = new Map();
+  keyed.forEach(step => {
+    if (step.resource !== 'Safe') return;
+    if (step.action === 'create') safeCreations.set(safeKey(step.safeName), step.key);
+    if (step.action === 'modify' && step.renamedFrom) {
+      safeRenames.set(safeKey(step.safeName), step.key);
+      safeRenamesFrom.set(safeKey(step.renamedFrom), step);
     }
-    const itemsToRemove = availableAccountsForRemoval.filter(account => selectedIds.includes(account.id));
-    const stagedIds = stagedAccountRemovals.map(a => a.id);
-    const duplicates = itemsToRemove.filter(item => stagedIds.includes(item.id));
-    if (duplicates.length > 0) {
-      return showNotification(`The following account(s) are already staged for removal: ${duplicates.map(d => d.username).join(', ')}`, "warning");
+    if (step.action === 'remove') {
+      safeRemovals.set(safeKey(step.safeName), step);
+      if (step.safeId) safeRemovals.set(safeKey(step.safeId), step);
     }
-    setStagedAccountRemovals([...stagedAccountRemovals, ...itemsToRemove]);
-    setSelectedAccountsForRemoval({});
-    setAccountRemovalFilter('');
-    setAccountRemovalSafeFilter('');
-  };
+  });
 
-  // ========================================================================
-  // EVENT HANDLERS - Safe Modification
-  // ========================================================================
-
-  const handleSaveModifiedSafe = (safeId) => {
-    const baseSafe = availableSafesForModification.find(s => s.id === safeId);
-    
-    // Determine retention type from editedSafeData or existing safe
-    const retentionType = editedSafeData.retentionType || (baseSafe.numberOfVersionsRetention ? 'versions' : 'days');
-    const retentionValue = editedSafeData.retentionValue || 
-      (retentionType === 'versions' ? baseSafe.numberOfVersionsRetention : baseSafe.numberOfDaysRetention);
-    
-    const editedSafe = {
-      ...baseSafe,
-      managingCPM: editedSafeData.managingCPM !== undefined ? editedSafeData.managingCPM : baseSafe.managingCPM,
-      numberOfVersionsRetention: retentionType === 'versions' ? retentionValue : undefined,
-      numberOfDaysRetention: retentionType === 'days' ? retentionValue : undefined
-    };
-    
-    const stagedIds = stagedSafeModifications.map(s => s.id);
-    if (stagedIds.includes(safeId)) {
-      setStagedSafeModifications(stagedSafeModifications.map(s => s.id === safeId ? editedSafe : s));
-      showNotification(`Safe "${editedSafe.name}" updated in staging!`, "success");
-    } else {
-      setStagedSafeModifications([...stagedSafeModifications, editedSafe]);
-      showNotification(`Safe "${editedSafe.name}" staged for modification!`, "success");
+  keyed.forEach(step => {
+    const target = safeKey(step.safeName);
+    if (step.resource === 'Safe') {
+      if (step.action === 'create' && safeRemovals.has(target)) {
+        step.dependsOn.push(safeRemovals.get(target).key);
+      }
+      return;
     }
-    setEditingSafeId(null);
-    setEditedSafeData({});
-  };
-
-  // ========================================================================
-  // EVENT HANDLERS - Member Modification
-  // ========================================================================
-
-  const handleSaveModifiedMember = (memberId) => {
-    const baseMember = availableMembersForModification.find(m => m.id === memberId);
-    const editedMember = {
-      ...baseMember,
-      ...editedMemberData,
-      // Auto-detect role from permissions
-      role: detectRoleFromPermissions(editedMemberData.perms || baseMember.perms || {})
-    };
-    const stagedIds = stagedMemberModifications.map(m => m.id);
-    if (stagedIds.includes(memberId)) {
-      setStagedMemberModifications(stagedMemberModifications.map(m => m.id === memberId ? editedMember : m));
-      showNotification(`Member "${editedMember.member}" updated in staging!`, "success");
-    } else {
-      setStagedMemberModifications([...stagedMemberModifications, editedMember]);
-      showNotification(`Member "${editedMember.member}" staged for modification!`, "success");
+    if (step.action === 'create' && safeCreations.has(target)) {
+      step.dependsOn.push(safeCreations.get(target));
     }
-    setEditingMemberId(null);
-    setEditedMemberData({});
-  };
-
-  // ========================================================================
-  // EVENT HANDLERS - Account Modification
-  // ========================================================================
-
-  const handleSaveModifiedAccount = (accountId) => {
-    const editedAccount = {
-      ...availableAccountsForModification.find(a => a.id === accountId),
-      ...editedAccountData
-    };
-    const stagedIds = stagedAccountModifications.map(a => a.id);
-    if (stagedIds.includes(accountId)) {
-      setStagedAccountModifications(stagedAccountModifications.map(a => a.id === accountId ? editedAccount : a));
-      showNotification(`Account "${editedAccount.username}" updated in staging!`, "success");
-    } else {
-      setStagedAccountModifications([...stagedAccountModifications, editedAccount]);
-      showNotification(`Account "${editedAccount.username}" staged for modification!`, "success");
+    if (safeRenames.has(target)) {
+      step.dependsOn.push(safeRenames.get(target));
     }
-    setEditingAccountId(null);
-    setEditedAccountData({});
-  };
+    if (safeRenamesFrom.has(target)) {
+      safeRenamesFrom.get(target).dependsOn.push(step.key);
+    }
+    if (step.action === 'remove' && safeRemovals.has(target)) {
+      safeRemovals.get(target).dependsOn.push(step.key);
+    }
+  });
 
-  // ========================================================================
-  // RENDER - Logo Component
-  // ========================================================================
+  // Chain steps touching the same member or account so they never run side by side
+  const lastStepByTarget = new Map();
+  keyed.forEach(step => {
+    if (step.resource === 'Safe') return;
+    const targets = step.resource === 'Member'
+      ? [`member:${safeKey(step.safeName)}/${String(step.item.member ?? '').toLowerCase()}`]
+      : [
+        step.item.id !== undefined && `account:${step.item.id}`,
+        `account:${accountKey({ safeName: step.safeName, address: step.item.address ?? '', userName: step.item.userName ?? step.item.username ?? '' })}`
+      ].filter(Boolean);
+    const previous = new Set(targets.map(target => lastStepByTarget.get(target)).filter(Boolean));
+    step.dependsOn.push(...[...previous].filter(key => !step.dependsOn.includes(key)));
+    targets.forEach(target => lastStepByTarget.set(target, step.key));
+  });
 
-  const LogoComponent = () => {
-    const LogoIcon = AVAILABLE_LOGO_ICONS[branding.logoIcon] || Shield;
-    return (
-      <div className="flex items-center gap-3">
-        {branding.logoImageUrl ? (
-          // Custom image logo
-          <div className="flex-shrink-0 rounded-xl shadow-md overflow-hidden">
-            <img
-              src={branding.logoImageUrl}
-              alt="Logo"
-              className="h-10 w-10 object-cover"
-            />
-          </div>
-        ) : (
-          // Icon-based logo
-          <div className="p-2 rounded-xl shadow-md flex-shrink-0" style={{ backgroundColor: branding.logoBgColor }}>
-            <LogoIcon size={20} color="white" />
-          </div>
-        )}
-        <div className="text-left">
-          <span
-            style={{ color: themeClasses.text }}
-            className="font-black text-xl tracking-tight block leading-none"
-          >
-            {branding.siteName}
-          </span>
-        </div>
-      </div>
-    );
-  };
+  // Stable topological sort: always take the earliest step whose dependencies are placed
+  const placed = new Set();
+  const ordered = [];
+  const pending = [...keyed];
+  while (pending.length > 0) {
+    const nextIndex = pending.findIndex(step => step.dependsOn.every(key => placed.has(key)));
+    // A cycle cannot occur with the rules above, but never drop a step if it does
+    const [next] = pending.splice(nextIndex === -1 ? 0 : nextIndex, 1);
+    placed.add(next.key);
+    ordered.push(next);
+  }
+  return ordered;
+};
 
-  const DebugModeIndicator = () => {
-    if (!DEBUG_MODE) return null;
+/**
+ * Lists contradictory combinations across the staged queues, e.g. adding a
+ * member to a Safe that is staged for removal. Returns human-readable messages.
+ */
+const findStagingConflicts = ({
+  stagedSafes, stagedMembers, stagedAccounts,
+  stagedSafeRemovals, stagedMemberRemovals, stagedAccountRemovals,
+  stagedSafeModifications, stagedMemberModifications, stagedAccountModifications
+}) => {
+  const removedSafes = new Set(stagedSafeRemovals.flatMap(safe => [safeKey(safe.name), safeKey(safe.id)]));
+  const removedMemberIds = new Set(stagedMemberRemovals.map(member => member.id));
+  const memberKey = (member) => `${safeKey(member.safe)}/${String(member.member ?? '').toLowerCase()}`;
+  const removedMembers = new Set(stagedMemberRemovals.map(memberKey));
+  const removedAccountIds = new Set(stagedAccountRemovals.map(account => account.id));
+  const conflicts = [];
+
+  stagedSafes
+    .filter(safe => removedSafes.has(safeKey(safe.name)))
+    .forEach(safe => conflicts.push(`Safe "${safe.name}" is staged for both creation and removal.`));
+  stagedMembers
+    .filter(member => removedSafes.has(safeKey(member.safe)))
+    .forEach(member => conflicts.push(`Member "${member.member}" is being added to Safe "${member.safe}", which is staged for removal.`));
+  stagedMembers
+    .filter(member => removedMembers.has(memberKey(member)))
+    .forEach(member => conflicts.push(`Member "${member.member}" is staged to be both added to and removed from Safe "${member.safe}".`));
+  stagedAccounts
+    .filter(account => removedSafes.has(safeKey(account.safeName)))
+    .forEach(account => conflicts.push(`Account "${account.userName}"@"${account.address}" is being added to Safe "${account.safeName}", which is staged for removal.`));
+  stagedSafeModifications
+    .filter(safe => removedSafes.has(safeKey(safe.name)) || removedSafes.has(safeKey(safe.id)))
+    .forEach(safe => conflicts.push(`Safe "${safe.name}" is staged for both modification and removal.`));
+  stagedMemberModifications
+    .filter(member => removedMemberIds.has(member.id))
+    .forEach(member => conflicts.push(`Member "${member.member}" in Safe "${member.safe}" is staged for both modification and removal.`));
+  stagedMemberModifications
+    .filter(member => !removedMemberIds.has(member.id) && removedSafes.has(safeKey(member.safe)))
+    .forEach(member => conflicts.push(`Member "${member.member}" is modified in Safe "${member.safe}", which is staged for removal.`));
+  stagedAccountModifications
+    .filter(account => removedAccountIds.has(account.id))
+    .forEach(account => conflicts.push(`Account "${account.username}" is staged for both modification and removal.`));
+  stagedAccountModifications
+    .filter(account => !removedAccountIds.has(account.id) && removedSafes.has(safeKey(account.safeName)))
+    .forEach(account => conflicts.push(`Account "${account.username}" is modified in Safe "${account.safeName}", which is staged for removal.`));
+
+  return conflicts;
+};
 
-    return (
-      <div className="fixed bottom-4 right-4 z-10 pointer-events-none px-4 py-2 rounded-full bg-amber-500/90 text-slate-900 text-xs font-black uppercase tracking-widest shadow-lg border border-amber-600">
-        🔧 Debug Mode Enabled
-      </div>
-    );
-  };
+/**
+ * Resolves every deployment step against the dry-run API client and returns
+ * the REST calls in execution order. Nothing is sent to the vault.
+ */
+const buildExecutionPlan = async (steps, planAPI) => {
+  const orderByKey = new Map(steps.map((step, i) => [step.key, i + 1]));
+  const plan = [];
+  for (const [i, step] of steps.entries()) {
+    const preflight = step.capture ? await step.capture(planAPI) : null;
+    const request = await step.execute(planAPI);
+    plan.push({
+      order: i + 1,
+      label: step.label,
+      action: step.action,
+      resource: step.resource,
+      runsAfter: step.dependsOn.map(key => orderByKey.get(key)),
+      preflight,
+      ...request
+    });
+  }
+  return plan;
+};
 
-  // ========================================================================
-  // DYNAMIC API LAYER - CyberArk REST API with Current Auth State
-  // ========================================================================
-  
-  // Create dynamic API functions that use current authToken and vaultUrl from state
-  const { makeAPIRequest, safeAPI, memberAPI, accountAPI } = useMemo(() => {
-    // Get the base URL from vaultUrl state (append /api if not already present)
-    const baseURL = vaultUrl && vaultUrl.endsWith('/api') ? vaultUrl : `${vaultUrl}/api`;
-    const token = authToken;
+/**
+ * Journal entry recording how to undo a successful deployment step.
+ * Status is 'pending' until rolled back, or 'irreversible' when there is no inverse.
+ */
+const createJournalEntry = (step, inverse) => ({
+  label: step.label,
+  inverseLabel: inverse.label || null,
+  execute: inverse.execute || null,
+  irreversible: inverse.irreversible || null,
+  status: inverse.execute ? 'pending' : 'irreversible',
+  error: null
+});
+
+// Counts deployment results per status ('succeeded', 'failed', 'skipped')
+const summarizeDeploymentResults = (results) => results.reduce(
+  (summary, result) => ({ ...summary, [result.status]: summary[result.status] + 1 }),
+  { succeeded: 0, failed: 0, skipped: 0 }
+);
 
-    /**
-     * Generic API request wrapper for CyberArk REST calls
-     * Handles Bearer token authentication, error handling, and JSON serialization
-     */
-    const makeAPIRequest = async (endpoint, options = {}) => {
-      const url = `${baseURL}${endpoint}`;
-      
-      const defaultOptions = {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        }
-      };
-      
-      const finalOptions = {
-        ...defaultOptions,
-        ...options,
-        headers: { ...defaultOptions.headers, ...options.headers }
-      };
-      
+// Parallel calls allowed per resource type while deploying
+const DEFAULT_DEPLOY_CONCURRENCY = { Safe: 2, Member: 4, Account: 4 };
+
+// Runs one step, capturing the current state first so the change can be rolled back later
+const executeDeploymentStep = async (step, api) => {
+  try {
+    const previous = step.capture ? await step.capture(api).catch(() => null) : null;
+    const response = await step.execute(api);
+    return { status: 'succeeded', previous, response };
+  } catch (error) {
+    return { status: 'failed', error };
+  }
+};
+
+/**
+ * Runs ordered deployment steps with at most `concurrency[resource]` calls in
+ * flight per resource type. A step starts once every step it depends on has
+ * succeeded; dependents of a failed or skipped step are skipped. Once `signal`
+ * is aborted no new steps start, while calls already in flight are allowed to
+ * finish. `onSettled(step, outcome)` fires as each step completes or is skipped,
+ * and the promise resolves with the outcomes in step order.
+ */
+const runDeploymentSteps = (steps, api, { concurrency = DEFAULT_DEPLOY_CONCURRENCY, signal, onSettled } = {}) =>
+  new Promise((resolve) => {
+    const labelsByKey = new Map(steps.map(step => [step.key, step.label]));
+    const statusByKey = new Map();
+    const outcomes = new Array(steps.length).fill(null);
+    const running = {};
+    let inFlight = 0;
+
+    const settle = (index, outcome) => {
+      outcomes[index] = outcome;
+      statusByKey.set(steps[index].key, outcome.status);
+      // A failing progress callback must not stop the remaining steps from being scheduled
       try {
-        const response = await fetch(url, finalOptions);
-        
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          throw new Error(
-            errorData.error || errorData.message || 
-            `API Error ${response.status}: ${response.statusText}`
-          );
-        }
-        
-        return await response.json().catch(() => ({}));
+        onSettled?.(steps[index], outcome);
       } catch (error) {
-        throw new Error(`CyberArk API Request Failed: ${error.message}`);
+        console.error('Deployment progress callback failed:', error);
       }
     };
 
-    /**
-     * Safe Management API (CyberArk Official REST API)
-     * https://docs.cyberark.com/Product-Doc/OnlineHelp/PAS/Latest/en/Content/API/GetSafe.htm
-     */
-    const safeAPI = {
-      // POST /api/safes - Create a new Safe
-      create: async (safeData) => {
-        const payload = {
-          safeName: safeData.name,
-          description: safeData.description || '',
-          managingCPM: safeData.managingCPM,
-          numberOfVersionsRetention: safeData.numberOfVersionsRetention || null,
-          numberOfDaysRetention: safeData.numberOfDaysRetention || null
-        };
-        
-        return makeAPIRequest('/safes', {
-          method: 'POST',
-          body: JSON.stringify(payload)
-        });
-      },
-      
-      // GET /api/safes - Get all Safes
-      getAll: async () => {
-        return makeAPIRequest('/safes', { method: 'GET' });
-      },
-      
-      // GET /api/safes/{safeId} - Get Safe by ID
-      getById: async (safeId) => {
-        return makeAPIRequest(`/safes/${encodeURIComponent(safeId)}`, { method: 'GET' });
-      },
-      
-      // PUT /api/safes/{safeId} - Update Safe
-      update: async (safeId, updateData) => {
-        const payload = {};
-        if (updateData.description !== undefined) payload.description = updateData.description;
-        if (updateData.managingCPM !== undefined) payload.managingCPM = updateData.managingCPM;
-        if (updateData.numberOfVersionsRetention !== undefined) payload.numberOfVersionsRetention = updateData.numberOfVersionsRetention;
-        if (updateData.numberOfDaysRetention !== undefined) payload.numberOfDaysRetention = updateData.numberOfDaysRetention;
-        
-        return makeAPIRequest(`/safes/${encodeURIComponent(safeId)}`, {
-          method: 'PUT',
-          body: JSON.stringify(payload)
-        });
-      },
-      
-      // DELETE /api/safes/{safeId} - Delete Safe
-      delete: async (safeId) => {
-        return makeAPIRequest(`/safes/${encodeURIComponent(safeId)}`, {
-          method: 'DELETE'
+    // Steps are in dependency order, so a single pass also cascades skips to dependents
+    const schedule = () => {
+      steps.forEach((step, index) => {
+        if (outcomes[index] || statusByKey.get(step.key) === 'running') return;
+        const blockedBy = step.dependsOn.find(key => ['failed', 'skipped'].includes(statusByKey.get(key)));
+        if (blockedBy) {
+          return settle(index, { status: 'skipped', skipReason: `Depends on ${labelsByKey.get(blockedBy)}, which did not succeed` });
+        }
+        if (signal?.aborted) {
+          return settle(index, { status: 'skipped', skipReason: 'Deployment was cancelled before this step started' });
+        }
+        if (!step.dependsOn.every(key => statusByKey.get(key) === 'succeeded')) return;
+        if ((running[step.resource] || 0) >= Math.max(1, concurrency[step.resource] || 1)) return;
+
+        running[step.resource] = (running[step.resource] || 0) + 1;
+        inFlight++;
+        statusByKey.set(step.key, 'running');
+        executeDeploymentStep(step, api).then((outcome) => {
+          running[step.resource]--;
+          inFlight--;
+          settle(index, outcome);
+          schedule();
         });
-      }
+      });
+      if (inFlight > 0) return;
+      // Nothing is running, so steps still waiting can never start (a dependency cycle)
+      steps.forEach((step, index) => {
+        if (!outcomes[index]) settle(index, { status: 'skipped', skipReason: 'Its dependencies could not be resolved' });
+      });
+      resolve(outcomes);
     };
 
-    /**
-     * Member Management API (CyberArk Official REST API)
-     * https://docs.cyberark.com/Product-Doc/OnlineHelp/PAS/Latest/en/Content/API/AddMemberToSafe.htm
-     * https://docs.cyberark.com/pam-self-hosted/latest/en/content/webservices/safe%20members.htm
-     */
-    const memberAPI = {
-      // POST /api/safes/{safeId}/members - Add member to Safe
-      add: async (safeName, memberData) => {
-        const payload = {
-          memberName: memberData.member || memberData.memberName,
-          memberType: 'Domain',
-          searchIn: memberData.domain || 'Domain',
-          permissions: memberData.perms || {}
-        };
-        
-        return makeAPIRequest(`/safes/${encodeURIComponent(safeName)}/members`, {
-          method: 'POST',
-          body: JSON.stringify(payload)
-        });
-      },
-      
-      // GET /api/safes/{safeId}/members - Get members of Safe
-      getBySafe: async (safeName) => {
-        return makeAPIRequest(`/safes/${encodeURIComponent(safeName)}/members`, {
-          method: 'GET'
-        });
-      },
-      
-      // PUT /api/safes/{safeId}/members/{memberId} - Update member permissions
-      updatePermissions: async (safeName, memberName, permissions) => {
-        const payload = {
-          permissions: permissions || {}
-        };
-        
-        return makeAPIRequest(
-          `/safes/${encodeURIComponent(safeName)}/members/${encodeURIComponent(memberName)}`,
-          {
-            method: 'PUT',
-            body: JSON.stringify(payload)
-          }
-        );
-      },
-      
-      // DELETE /api/safes/{safeId}/members/{memberId} - Remove member from Safe
-      remove: async (safeName, memberName) => {
-        return makeAPIRequest(
-          `/safes/${encodeURIComponent(safeName)}/members/${encodeURIComponent(memberName)}`,
-          {
-            method: 'DELETE'
-          }
-        );
-      }
-    };
+    signal?.addEventListener('abort', schedule, { once: true });
+    schedule();
+  });
 
-    /**
-     * Account Management API (CyberArk Official REST API)
-     * https://docs.cyberark.com/Product-Doc/OnlineHelp/PAS/Latest/en/Content/API/AddAccount.htm
-     */
-    const accountAPI = {
-      // POST /api/accounts - Create new Account
-      create: async (accountData) => {
-        const payload = {
-          name: accountData.userName,
-          address: accountData.address,
-          userName: accountData.userName,
-          secret: accountData.secret,
-          platformId: accountData.platformId,
-          safeName: accountData.safeName,
-          automaticManagementEnabled: accountData.automaticManagement === true,
-          manualManagementReason: accountData.manualManagementReason || null,
-          remoteMachinesAccess: accountData.remoteMachines ? 'Yes' : 'No'
-        };
-        
-        // Add object ID if provided (for existing accounts)
-        if (accountData.object) {
-          payload.id = accountData.object;
-        }
-        
-        return makeAPIRequest('/accounts', {
-          method: 'POST',
-          body: JSON.stringify(payload)
-        });
-      },
-      
-      // GET /api/accounts - Get all Accounts
-      getAll: async () => {
-        return makeAPIRequest('/accounts', { method: 'GET' });
-      },
-      
-      // GET /api/accounts?search={query} - Search for Accounts
-      search: async (query) => {
-        return makeAPIRequest(`/accounts?search=${encodeURIComponent(query)}`, {
-          method: 'GET'
-        });
-      },
-      
-      // PUT /api/accounts/{accountId} - Update Account
-      update: async (accountId, updateData) => {
-        const payload = {};
-        if (updateData.address !== undefined) payload.address = updateData.address;
-        if (updateData.secret !== undefined) payload.secret = updateData.secret;
-        if (updateData.userName !== undefined) payload.userName = updateData.userName;
-        if (updateData.automaticManagement !== undefined) payload.automaticManagementEnabled = updateData.automaticManagement;
-        if (updateData.manualManagementReason !== undefined) payload.manualManagementReason = updateData.manualManagementReason;
-        
-        return makeAPIRequest(`/accounts/${encodeURIComponent(accountId)}`, {
-          method: 'PUT',
-          body: JSON.stringify(payload)
-        });
-      },
-      
-      // DELETE /api/accounts/{accountId} - Delete Account
-      delete: async (accountId) => {
-        return makeAPIRequest(`/accounts/${encodeURIComponent(accountId)}`, {
-          method: 'DELETE'
-        });
-      }
-    };
+// Triggers a browser download of the given text content
+const downloadFile = (filename, content, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
 
-    return { makeAPIRequest, safeAPI, memberAPI, accountAPI };
-  }, [authToken, vaultUrl]);
+// Triggers a browser download of the given data as a formatted JSON file
+const downloadJSON = (filename, data) => downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
 
-  // ========================================================================
-  // RENDER - Login Screen
-  // ========================================================================
+// ============================================================================
+// STAGING PERSISTENCE
+// ============================================================================
+//
+// Staged queues are saved to IndexedDB under a per-vault, per-user key so a
+// reload or accidental logout does not lose staging work (Windows logons use the
+// user name the vault reports). Account secrets are encrypted with AES-GCM
+// before they are written; the key is a non-extractable WebCrypto key kept in
+// the same database, so the raw key material never leaves the browser's crypto
+// store.
+
+const STAGING_DB_NAME = 'pxm-api-manager';
+const STAGING_DB_VERSION = 1;
+const CHANGESET_STORE = 'stagedChangesets';
+const KEY_STORE = 'encryptionKeys';
+
+// Vault URL without surrounding whitespace, trailing slashes or case differences
+const normalizeVaultUrl = (vaultUrl) => String(vaultUrl || '').trim().replace(/\/+$/, '').toLowerCase();
+
+// Storage key for a vault/user pair, e.g. "https://pvwa.example.com|jdoe"
+const stagingStorageKey = (vaultUrl, username) =>
+  `${normalizeVaultUrl(vaultUrl)}|${String(username || '').trim().toLowerCase()}`;
+
+const openStagingDB = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(STAGING_DB_NAME, STAGING_DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(CHANGESET_STORE);
+    request.result.createObjectStore(KEY_STORE);
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Runs a single object store operation and resolves with its result once the transaction commits
+const runStoreRequest = (db, storeName, mode, operation) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(storeName, mode);
+  const request = operation(transaction.objectStore(storeName));
+  transaction.oncomplete = () => resolve(request.result);
+  transaction.onerror = () => reject(transaction.error);
+});
+
+const getStagingEncryptionKey = async (db, storageKey, { create }) => {
+  const existing = await runStoreRequest(db, KEY_STORE, 'readonly', store => store.get(storageKey));
+  if (existing || !create) return existing || null;
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  await runStoreRequest(db, KEY_STORE, 'readwrite', store => store.put(key, storageKey));
+  return key;
+};
 
-  if (!isLoggedIn) {
-    return (
-      <div className={`min-h-screen flex items-center justify-center p-6 transition-all duration-500 ${themeClasses.bg}`} style={themeClasses.bgStyle}>
-        <DebugModeIndicator />
-        <div className={`p-10 rounded-[2.5rem] shadow-2xl w-full max-w-sm border ${themeClasses.card}`} style={themeClasses.cardStyle}>
-          <div className="flex justify-center mb-10">
-            <LogoComponent />
-          </div>
-          <div className="space-y-4">
-            <input
-              type="text"
-              value={vaultUrl}
-              onChange={(e) => {
-                setVaultUrl(e.target.value);
-                if (authError) setAuthError('');
-              }}
-              placeholder="PVWA URL"
-              className={`w-full p-3.5 rounded-xl border text-sm outline-none transition-all ${themeClasses.input}`}
-              style={themeClasses.inputStyle}
-            />
-            <input
-              type="text"
-              value={username}
-              onChange={(e) => {
-                setUsername(e.target.value);
-                if (authError) setAuthError('');
-              }}
-              placeholder="Username"
-              className={`w-full p-3.5 rounded-xl border text-sm outline-none transition-all ${themeClasses.input}`}
-              style={themeClasses.inputStyle}
-            />
-            <input
-              type="password"
-              value={password}
-              onChange={(e) => {
-                setPassword(e.target.value);
-                if (authError) setAuthError('');
-              }}
-              placeholder="Password"
-              className={`w-full p-3.5 rounded-xl border text-sm outline-none transition-all ${themeClasses.input}`}
-              style={themeClasses.inputStyle}
-            />
-            <button
-              onClick={authenticate}
-              disabled={isAuthenticating}
-              className="w-full bg-red-600 text-white font-black py-4 rounded-xl shadow-lg uppercase tracking-widest transition-all hover:bg-red-700 disabled:opacity-70 disabled:cursor-not-allowed"
-            >
-              {isAuthenticating ? 'Authenticating...' : 'Authenticate'}
-            </button>
-            
-            {/* DEBUG MODE BUTTON - Only shown when DEBUG_MODE is enabled */}
-            {DEBUG_MODE && (
-              <button
-                onClick={() => {
-                  // Set debug/test credentials
-                  setVaultUrl('https://cyberark-dev.local:8443');
-                  setAuthToken('debug_token_' + Date.now());
-                  localStorage.setItem('cyberark_token', 'debug_token_' + Date.now());
-                  localStorage.setItem('cyberark_url', 'https://cyberark-dev.local:8443');
-                  setIsLoggedIn(true);
-                  showNotification('✓ Debug mode enabled - bypassing authentication', 'success');
-                }}
-                className="w-full bg-slate-700 hover:bg-slate-800 text-white font-black py-3 rounded-xl shadow-lg uppercase tracking-widest transition-all text-xs"
-              >
-                🔧 Debug Mode (Skip Login)
-              </button>
-            )}
+// Replaces a plaintext `secret` field with its AES-GCM ciphertext
+const encryptItemSecret = async (item, key) => {
+  if (!item.secret) return item;
+  const { secret, ...rest } = item;
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(secret));
+  return { ...rest, encryptedSecret: { iv, ciphertext } };
+};
 
-            {authError && (
-              <div className="rounded-xl border border-red-400 bg-red-50 px-4 py-3 text-sm text-red-700" role="alert" aria-live="polite">
-                {authError}
-              </div>
-            )}
-          </div>
-        </div>
-      </div>
+// Restores the plaintext `secret` field; returns null when it cannot be decrypted
+const decryptItemSecret = async (item, key) => {
+  if (!item.encryptedSecret) return item;
+  const { encryptedSecret, ...rest } = item;
+  if (!key) return null;
+  try {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: encryptedSecret.iv }, key, encryptedSecret.ciphertext);
+    return { ...rest, secret: new TextDecoder().decode(plaintext) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Saves the staged queues for a vault/user pair. Empty queues remove the
+ * saved changeset instead of storing an empty one.
+ */
+const saveStagedQueues = async (storageKey, queues) => {
+  const db = await openStagingDB();
+  try {
+    const isEmpty = Object.values(queues).every(items => items.length === 0);
+    if (isEmpty) {
+      await runStoreRequest(db, CHANGESET_STORE, 'readwrite', store => store.delete(storageKey));
+      return;
+    }
+    const key = await getStagingEncryptionKey(db, storageKey, { create: true });
+    const encryptedQueues = {};
+    for (const [queue, items] of Object.entries(queues)) {
+      encryptedQueues[queue] = await Promise.all(items.map(item => encryptItemSecret(item, key)));
+    }
+    await runStoreRequest(db, CHANGESET_STORE, 'readwrite', store =>
+      store.put({ savedAt: new Date().toISOString(), queues: encryptedQueues }, storageKey)
     );
+  } finally {
+    db.close();
   }
+};
 
-  // ========================================================================
-  // RENDER - Main Application
-  // ========================================================================
+/**
+ * Loads the staged queues saved for a vault/user pair.
+ * Resolves with `{ queues, savedAt, lostSecrets }`, or null when nothing was saved.
+ * Items whose secret can no longer be decrypted are kept without the secret.
+ */
+const loadStagedQueues = async (storageKey) => {
+  const db = await openStagingDB();
+  try {
+    const saved = await runStoreRequest(db, CHANGESET_STORE, 'readonly', store => store.get(storageKey));
+    if (!saved) return null;
+    const key = await getStagingEncryptionKey(db, storageKey, { create: false });
+    const queues = {};
+    let lostSecrets = 0;
+    for (const [queue, items] of Object.entries(saved.queues)) {
+      queues[queue] = await Promise.all(items.map(async (item) => {
+        const decrypted = await decryptItemSecret(item, key);
+        if (decrypted) return decrypted;
+        lostSecrets += 1;
+        const { encryptedSecret: _lost, ...rest } = item;
+        return rest;
+      }));
+    }
+    return { queues, savedAt: saved.savedAt, lostSecrets };
+  } finally {
+    db.close();
+  }
+};
 
-  return (
-    <div className={`min-h-screen transition-all duration-500 ${themeClasses.bg}`} style={themeClasses.bgStyle}>
-      <DebugModeIndicator />
-      {/* Notification Popup */}
-      <NotificationPopup notification={notification} />
-      
-      {/* Navigation Bar */}
-      <nav className={`sticky top-0 z-50 border-b transition-all ${themeClasses.navBg}`} style={themeClasses.navBgStyle}>
-        <div className="max-w-6xl mx-auto px-6 h-20 flex justify-between items-center">
-          <LogoComponent />
-          
-          {/* Tab Navigation */}
-          <div className={`flex gap-2 items-center ${isDark ? 'bg-slate-800' : 'bg-slate-100'} rounded-xl p-1`}>
-            {/* Dashboard Button */}
-            <button
-              onClick={() => setActiveTab('dashboard')}
-              className={`flex items-center gap-2 px-4 py-2 rounded-lg text-[11px] font-bold transition-all ${
-                activeTab === 'dashboard' ? themeClasses.tabActive : themeClasses.tabInactive
-              }`}
-            >
-              <LayoutDashboard size={14} /> DASHBOARD
-            </button>
+// ============================================================================
+// CHANGESET DOCUMENTS
+// ============================================================================
+//
+// A changeset bundles everything currently staged with metadata so one
+// engineer can prepare it and another can review and deploy it from a
+// different browser. Account secrets are never written to the document.
 
-            {/* Dropdown Factory Function */}
-            {NAV_CATEGORIES.map((category) => (
-              <div 
-                key={category.id}
-                className="relative"
-                onMouseEnter={() => {
-                  if (closeDropdownTimeout.current) clearTimeout(closeDropdownTimeout.current);
-                  setHoveredCategory(category.id);
-                }}
-                onMouseLeave={() => {
-                  closeDropdownTimeout.current = setTimeout(() => {
-                    setHoveredCategory(null);
-                  }, 150);
-                }}
-              >
-                <button
-                  className={`flex items-center gap-2 px-4 py-2 rounded-lg text-[11px] font-bold transition-all ${
-                    NAV_TABS.filter(tab => tab.category === category.id).some(tab => activeTab === TAB_ID_MAP[tab.id])
-                      ? `${CATEGORY_COLORS[category.id].text} font-extrabold` 
-                      : `${themeClasses.tabInactive} hover:${CATEGORY_COLORS[category.id].button}`
-                  }`}
-                >
-                  {React.createElement(CATEGORY_ICONS[category.id], { size: 14 })} {category.label.toUpperCase()}
-                </button>
+const CHANGESET_FORMAT = 'pxm-api-manager/changeset';
+const CHANGESET_FORMAT_VERSION = 1;
 
-                {/* Dropdown Menu */}
-                {hoveredCategory === category.id && (
-                  <div className={`absolute top-full left-0 mt-0 rounded-lg shadow-lg border ${isDark ? 'bg-slate-900 border-slate-700' : 'bg-white border-slate-200'} min-w-[150px] z-50 py-1`}>
-                    {NAV_TABS.filter(tab => tab.category === category.id).map((tab) => (
-                      <button
-                        key={tab.id}
-                        onClick={() => {
-                          setActiveTab(TAB_ID_MAP[tab.id]);
-                          setHoveredCategory(null);
-                        }}
-                        className={`w-full text-left flex items-center gap-2 px-4 py-2.5 text-[11px] font-bold transition-all first:rounded-t-lg last:rounded-b-lg ${
-                          activeTab === TAB_ID_MAP[tab.id] 
-                            ? 'bg-red-600 text-white' 
-                            : isDark ? 'hover:bg-slate-800 text-slate-100' : 'hover:bg-slate-100 text-slate-900'
-                        }`}
-                      >
-                        <tab.icon size={14} /> {tab.label}
-                      </button>
-                    ))}
-                  </div>
-                )}
-              </div>
-            ))}
+const STAGED_QUEUE_NAMES = [
+  'stagedSafes', 'stagedMembers', 'stagedAccounts',
+  'stagedSafeRemovals', 'stagedMemberRemovals', 'stagedAccountRemovals',
+  'stagedSafeModifications', 'stagedMemberModifications', 'stagedAccountModifications'
+];
 
-            {/* Review & Deploy Button */}
-            <button
-              onClick={() => setActiveTab('review-deploy')}
-              className={`flex items-center gap-2 px-4 py-2 rounded-lg text-[11px] font-bold transition-all ${
-                activeTab === 'review-deploy' ? themeClasses.tabActive : themeClasses.tabInactive
-              }`}
-            >
-              <Send size={14} /> REVIEW & DEPLOY
-            </button>
-          </div>
+/**
+ * Builds a changeset document from the staged queues.
+ * metadata: { name, version, author, ticket, vaultUrl }
+ */
+const createChangesetDocument = (metadata, queues) => {
+  let secretsOmitted = 0;
+  const exportedQueues = Object.fromEntries(STAGED_QUEUE_NAMES.map(queue => [
+    queue,
+    (queues[queue] || []).map(({ secret, ...item }) => {
+      if (secret) secretsOmitted += 1;
+      return item;
+    })
+  ]));
+  return {
+    format: CHANGESET_FORMAT,
+    formatVersion: CHANGESET_FORMAT_VERSION,
+    metadata: {
+      name: metadata.name.trim(),
+      version: String(metadata.version || '1').trim(),
+      author: metadata.author || '',
+      ticket: metadata.ticket.trim(),
+      vaultUrl: metadata.vaultUrl || '',
+      createdAt: new Date().toISOString(),
+      secretsOmitted
+    },
+    queues: exportedQueues
+  };
+};
 
-          {/* Theme & Logout Buttons */}
-          <div className="flex gap-2">
-            <button
-              onClick={() => setIsDark(!isDark)}
-              className={`p-2.5 rounded-xl border transition-all ${themeClasses.border}`}
-              aria-label="Toggle theme"
-            >
-              {isDark ? <Sun size={18} color="yellow" /> : <Moon size={18} color="#475569" />}
-            </button>
-            <button
-              onClick={() => {
-                // Clear authentication state
-                setIsLoggedIn(false);
-                setAuthToken('');
-                setVaultUrl('');
-                setUsername('');
-                localStorage.removeItem('cyberark_token');
-                localStorage.removeItem('cyberark_url');
-                showNotification('✓ Logged out successfully', 'success');
-              }}
-              className={`p-2.5 rounded-xl border transition-all text-slate-400 ${themeClasses.border}`}
-              aria-label="Logout"
-            >
-              <LogOut size={18} />
-            </button>
-          </div>
-        </div>
-      </nav>
+// Identifying fields every removal and modification item needs
+const requireChangesetFields = (...fields) => (item) => {
+  const missing = fields.filter(field => !['string', 'number'].includes(typeof item[field]) || !String(item[field]).trim());
+  return missing.length > 0 ? [`Missing ${missing.join(', ')}!`] : [];
+};
 
-      {/* Main Content */}
-      <main className="max-w-6xl mx-auto px-6 py-12 space-y-8">
-        {/* Dashboard Tab */}
-        {activeTab === 'dashboard' && (
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-            <StatsCard
-              title="Accounts Detected"
-              count={stagedAccounts.length}
-              isDark={isDark}
-              themeClasses={themeClasses}
-            />
-            <StatsCard
-              title="Safes Detected"
-              count={stagedSafes.length}
-              isDark={isDark}
-              themeClasses={themeClasses}
-            />
-            <StatsCard
-              title="API Status"
-              count={connectionStatus}
-              isDark={isDark}
-              themeClasses={themeClasses}
-              isStatus
-            />
-          </div>
-        )}
+// Per-queue checks for imported items, reusing the staging forms' validation
+const CHANGESET_ITEM_CHECKS = {
+  stagedSafes: (safe) => validateSafeInput(safe),
+  stagedMembers: (member) => [
+    ...validateMemberInput(member),
+    ...(member.perms && typeof member.perms === 'object' ? [] : ['Missing permissions!'])
+  ],
+  stagedAccounts: (account) => validateAccountInput(account),
+  stagedSafeRemovals: requireChangesetFields('id', 'name'),
+  stagedMemberRemovals: (member) => [...requireChangesetFields('id')(member), ...validateMemberInput(member)],
+  stagedAccountRemovals: requireChangesetFields('id'),
+  stagedSafeModifications: requireChangesetFields('id', 'name'),
+  stagedMemberModifications: (member) => [...requireChangesetFields('id')(member), ...validateMemberInput(member)],
+  stagedAccountModifications: requireChangesetFields('id')
+};
 
-        {/* Safe Management Tab */}
-        {activeTab === 'safe' && (
-          <>
-            <SafeManagementSection
-              customSafeName={customSafeName}
-              setCustomSafeName={setCustomSafeName}
-              safeDescription={safeDescription}
-              setSafeDescription={setSafeDescription}
-              managingCPM={managingCPM}
-              setManagingCPM={setManagingCPM}
-              retentionMode={retentionMode}
-              setRetentionMode={setRetentionMode}
-              versionRetention={versionRetention}
-              setVersionRetention={setVersionRetention}
-              daysRetention={daysRetention}
-              setDaysRetention={setDaysRetention}
-              onAddSafe={handleAddSafeToStage}
-              isDark={isDark}
-              themeClasses={themeClasses}
-            />
-            <QueueSection
-              title="Safe Creation Queue"
-              items={stagedSafes}
-              onRemove={(idx) => setStagedSafes(stagedSafes.filter((_, i) => i !== idx))}
-              isDark={isDark}
-              themeClasses={themeClasses}
-              isSafe
-            />
-          </>
-        )}
+/**
+ * Parses and validates the text of a changeset document, including the
+ * required fields of every queued item.
+ * Throws an Error describing the first problem found.
+ */
+const parseChangesetDocument = (text) => {
+  let changeset;
+  try {
+    changeset = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (!changeset || changeset.format !== CHANGESET_FORMAT) {
+    throw new Error('The file is not a PXM changeset document.');
+  }
+  if (changeset.formatVersion > CHANGESET_FORMAT_VERSION) {
+    throw new Error(`Changeset format version ${changeset.formatVersion} is newer than this tool supports (${CHANGESET_FORMAT_VERSION}).`);
+  }
+  if (!changeset.metadata?.name) {
+    throw new Error('The changeset has no name.');
+  }
+  const queues = {};
+  for (const queue of STAGED_QUEUE_NAMES) {
+    const items = changeset.queues?.[queue] ?? [];
+    if (!Array.isArray(items) || items.some(item => !item || typeof item !== 'object')) {
+      throw new Error(`The "${queue}" queue in the changeset is malformed.`);
+    }
+    items.forEach((item, index) => {
+      const [error] = CHANGESET_ITEM_CHECKS[queue](item);
+      if (error) throw new Error(`Item ${index + 1} of the "${queue}" queue is invalid: ${error}`);
+    });
+    queues[queue] = items;
+  }
+  return { metadata: changeset.metadata, queues };
+};
 
-        {/* Member Management Tab */}
-        {activeTab === 'member' && (
-          <>
-            <MemberManagementSection
-              targetSafe={targetSafe}
-              setTargetSafe={setTargetSafe}
-              memberName={memberName}
-              setMemberName={setMemberName}
-              memberDomain={memberDomain}
-              setMemberDomain={setMemberDomain}
-              memberPermissions={memberPermissions}
-              setMemberPermissions={setMemberPermissions}
-              onAddStandardMembers={handleAddStandardMembers}
-              onAddCustomMember={handleAddCustomMember}
-              isDark={isDark}
-              themeClasses={themeClasses}
-              standardMembersSelection={standardMembersSelection}
-              setStandardMembersSelection={setStandardMembersSelection}
-              editingStandardMember={editingStandardMember}
-              setEditingStandardMember={setEditingStandardMember}
-              standardMembersPermissions={standardMembersPermissions}
-              setStandardMembersPermissions={setStandardMembersPermissions}
-              managedStandardMembers={managedStandardMembers}
-              setManagedStandardMembers={setManagedStandardMembers}
-              editingMemberInModal={editingMemberInModal}
-              setEditingMemberInModal={setEditingMemberInModal}
-              newMemberForm={newMemberForm}
-              setNewMemberForm={setNewMemberForm}
-            />
-            <QueueSection
-              title="Member Creation Queue"
-              items={stagedMembers}
-              onRemove={(idx) => setStagedMembers(stagedMembers.filter((_, i) => i !== idx))}
-              isDark={isDark}
-              themeClasses={themeClasses}
-              isMember
-            />
-          </>
-        )}
+// File name for an exported changeset, e.g. "changeset-q3-onboarding-v2.json"
+const changesetFileName = ({ name, version }) =>
+  `changeset-${name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'unnamed'}-v${version || '1'}.json`;
 
-        {/* Account Management Tab */}
-        {activeTab === 'account' && (
-          <>
-            <AccountManagementSection
-              accObject={accObject}
-              setAccObject={setAccObject}
-              accAddress={accAddress}
-              setAccAddress={setAccAddress}
-              accUsername={accUsername}
-              setAccUsername={setAccUsername}
-              accPassword={accPassword}
-              setAccPassword={setAccPassword}
-              accPlatformId={accPlatformId}
-              setAccPlatformId={setAccPlatformId}
-              accSafeName={accSafeName}
-              setAccSafeName={setAccSafeName}
-              accAutoMgmt={accAutoMgmt}
-              setAccAutoMgmt={setAccAutoMgmt}
-              accManualReason={accManualReason}
-              setAccManualReason={setAccManualReason}
-              accRemoteMachines={accRemoteMachines}
-              setAccRemoteMachines={setAccRemoteMachines}
-              onAddAccount={handleAddAccountToQueue}
-              isDark={isDark}
-              themeClasses={themeClasses}
-            />
-            <QueueSection
-              title="Account Creation Queue"
-              items={stagedAccounts}
-              onRemove={(idx) => setStagedAccounts(stagedAccounts.filter((_, i) => i !== idx))}
-              isDark={isDark}
-              themeClasses={themeClasses}
-              isAccount
-            />
-          </>
-        )}
+// ============================================================================
+// BULK IMPORT (CSV / TSV)
+// ============================================================================
 
-        {/* Safe Modification Tab */}
-        {activeTab === 'safe-modify' && (
-          <>
-            <SafeModifySection
-              availableSafesForModification={availableSafesForModification}
-              safeModificationFilter={safeModificationFilter}
-              setSafeModificationFilter={setSafeModificationFilter}
-              editingSafeId={editingSafeId}
-              setEditingSafeId={setEditingSafeId}
-              editedSafeData={editedSafeData}
-              setEditedSafeData={setEditedSafeData}
-              onSaveModifiedSafe={handleSaveModifiedSafe}
-              stagedSafeModifications={stagedSafeModifications}
-              isDark={isDark}
-              themeClasses={themeClasses}
-            />
-            <QueueSection
-              title="Safe Modification Queue"
-              items={stagedSafeModifications}
-              onRemove={(idx) => setStagedSafeModifications(stagedSafeModifications.filter((_, i) => i !== idx))}
-              isDark={isDark}
-              themeClasses={themeClasses}
-              isSafe
-            />
-          </>
-        )}
+/**
+ * Parses CSV/TSV text into a header row and data records. The delimiter
+ * (tab, semicolon or comma) is detected from the header line; quoted fields
+ * may contain delimiters, doubled quotes and line breaks. Blank lines are skipped;
+ * `lineNumbers` holds the line each record starts on, so reports can point at
+ * the right line of the file.
+ */
+const parseDelimitedText = (text) => {
+  const source = text.replace(/^\uFEFF/, ''); // strip the byte order mark Excel adds
+  const headerLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = ['\t', ';', ','].reduce(
+    (best, candidate) => (headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best),
+    ','
+  );
 
-        {/* Member Modification Tab */}
-        {activeTab === 'member-modify' && (
-          <>
-            <MemberModifySection
-              availableMembersForModification={availableMembersForModification}
-              memberModificationFilter={memberModificationFilter}
-              setMemberModificationFilter={setMemberModificationFilter}
-              memberModificationSafeFilter={memberModificationSafeFilter}
-              setMemberModificationSafeFilter={setMemberModificationSafeFilter}
-              editingMemberId={editingMemberId}
-              setEditingMemberId={setEditingMemberId}
-              editedMemberData={editedMemberData}
-              setEditedMemberData={setEditedMemberData}
-              onSaveModifiedMember={handleSaveModifiedMember}
-              stagedMemberModifications={stagedMemberModifications}
-              isDark={isDark}
-              themeClasses={themeClasses}
-            />
-            <QueueSection
-              title="Member Modification Queue"
-              items={stagedMemberModifications}
-              onRemove={(idx) => setStagedMemberModifications(stagedMemberModifications.filter((_, i) => i !== idx))}
-              isDark={isDark}
-              themeClasses={themeClasses}
-              isMember
-            />
-          </>
-        )}
+  const rows = [];
+  const rowLines = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        // A line break inside a quoted field still moves to the next line of the file
+        if (char === '\n' || (char === '\r' && source[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      rowLines.push(rowLine);
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  rowLines.push(rowLine);
 
-        {/* Account Modification Tab */}
-        {activeTab === 'account-modify' && (
-          <>
-            <AccountModifySection
-              availableAccountsForModification={availableAccountsForModification}
-              accountModificationFilter={accountModificationFilter}
-              setAccountModificationFilter={setAccountModificationFilter}
-              accountModificationSafeFilter={accountModificationSafeFilter}
-              setAccountModificationSafeFilter={setAccountModificationSafeFilter}
-              editingAccountId={editingAccountId}
-              setEditingAccountId={setEditingAccountId}
-              editedAccountData={editedAccountData}
-              setEditedAccountData={setEditedAccountData}
-              onSaveModifiedAccount={handleSaveModifiedAccount}
-              stagedAccountModifications={stagedAccountModifications}
-              isDark={isDark}
-              themeClasses={themeClasses}
-            />
-            <QueueSection
-              title="Account Modification Queue"
-              items={stagedAccountModifications}
-              onRemove={(idx) => setStagedAccountModifications(stagedAccountModifications.filter((_, i) => i !== idx))}
-              isDark={isDark}
-              themeClasses={themeClasses}
-              isAccount
-            />
-          </>
-        )}
+  const nonEmpty = rows
+    .map((cells, index) => ({ cells, line: rowLines[index] }))
+    .filter(({ cells }) => cells.some(value => value.trim() !== ''));
+  return {
+    headers: (nonEmpty[0]?.cells || []).map(header => header.trim()),
+    records: nonEmpty.slice(1).map(({ cells }) => cells),
+    lineNumbers: nonEmpty.slice(1).map(({ line: lineNumber }) => lineNumber)
+  };
+};
 
-        {/* Safe Removal Tab */}
-        {activeTab === 'safe-remove' && (
-          <>
-            <SafeRemovalSection
-              availableSafesForRemoval={availableSafesForRemoval}
-              selectedSafesForRemoval={selectedSafesForRemoval}
-              setSelectedSafesForRemoval={setSelectedSafesForRemoval}
-              safeRemovalFilter={safeRemovalFilter}
-              setSafeRemovalFilter={setSafeRemovalFilter}
-              onStageSafeRemovals={handleStageSafeRemovals}
-              stagedSafeRemovals={stagedSafeRemovals}
-              isDark={isDark}
-              themeClasses={themeClasses}
-            />
-            <QueueSection
-              title="Safe Removal Queue"
-              items={stagedSafeRemovals}
-              onRemove={(idx) => setStagedSafeRemovals(stagedSafeRemovals.filter((_, i) => i !== idx))}
-              isDark={isDark}
-              themeClasses={themeClasses}
-              isSafe
-              isRemoval
-            />
-          </>
-        )}
+// Lower-case alphanumerics only, so "Managing CPM", "managing_cpm" and "managingCPM" compare equal
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Maps each import field to the index of the matching header, using the
+ * field key, label and aliases. Unmatched fields map to ''.
+ */
+const autoMapColumns = (headers, fields) => {
+  const normalized = headers.map(normalizeHeader);
+  return Object.fromEntries(fields.map(field => {
+    const candidates = [field.key, field.label, ...(field.aliases || [])].map(normalizeHeader);
+    const index = normalized.findIndex(header => candidates.includes(header));
+    return [field.key, index === -1 ? '' : String(index)];
+  }));
+};
 
-        {/* Member Removal Tab */}
-        {activeTab === 'member-remove' && (
-          <>
-            <MemberRemovalSection
-              availableMembersForRemoval={availableMembersForRemoval}
-              selectedMembersForRemoval={selectedMembersForRemoval}
-              setSelectedMembersForRemoval={setSelectedMembersForRemoval}
-              memberRemovalFilter={memberRemovalFilter}
-              setMemberRemovalFilter={setMemberRemovalFilter}
-              memberRemovalSafeFilter={memberRemovalSafeFilter}
-              setMemberRemovalSafeFilter={setMemberRemovalSafeFilter}
-              onStageMemberRemovals={handleStageMemberRemovals}
-              stagedMemberRemovals={stagedMemberRemovals}
-              isDark={isDark}
-              themeClasses={themeClasses}
-            />
-            <QueueSection
-              title="Member Removal Queue"
-              items={stagedMemberRemovals}
-              onRemove={(idx) => setStagedMemberRemovals(stagedMemberRemovals.filter((_, i) => i !== idx))}
-              isDark={isDark}
-              themeClasses={themeClasses}
-              isMember
-              isRemoval
-            />
-          </>
-        )}
+// Quotes a cell for CSV output when it contains a delimiter, quote or line break
+const toCSVCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
 
-        {/* Account Removal Tab */}
-        {activeTab === 'account-remove' && (
-          <>
-            <AccountRemovalSection
-              availableAccountsForRemoval={availableAccountsForRemoval}
-              selectedAccountsForRemoval={selectedAccountsForRemoval}
-              setSelectedAccountsForRemoval={setSelectedAccountsForRemoval}
-              accountRemovalFilter={accountRemovalFilter}
-              setAccountRemovalFilter={setAccountRemovalFilter}
-              accountRemovalSafeFilter={accountRemovalSafeFilter}
-              setAccountRemovalSafeFilter={setAccountRemovalSafeFilter}
-              onStageAccountRemovals={handleStageAccountRemovals}
-              stagedAccountRemovals={stagedAccountRemovals}
-              isDark={isDark}
-              themeClasses={themeClasses}
-            />
-            <QueueSection
-              title="Account Removal Queue"
-              items={stagedAccountRemovals}
-              onRemove={(idx) => setStagedAccountRemovals(stagedAccountRemovals.filter((_, i) => i !== idx))}
-              isDark={isDark}
-              themeClasses={themeClasses}
-              isAccount
-              isRemoval
-            />
-          </>
-        )}
+// Serializes rows (arrays of cells) as CSV text, the format parseDelimitedText reads back
+const toCSVText = (rows) => rows.map(row => row.map(toCSVCell).join(',')).join('\r\n');
 
-        {/* Review & Deploy Tab */}
-        {activeTab === 'review-deploy' && (
-          <div className="space-y-8">
-            <div className={`p-8 rounded-[1.5rem] border ${themeClasses.card}`} style={themeClasses.cardStyle}>
-              <h2 className="text-2xl font-black mb-6" style={{ color: themeClasses.text }}>
-                Review & Deploy Staged Items
-              </h2>
-              
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
-                <StatsCard
-                  title="Safes Ready"
-                  count={stagedSafes.length}
-                  isDark={isDark}
-                  themeClasses={themeClasses}
-                />
-                <StatsCard
-                  title="Members Ready"
-                  count={stagedMembers.length}
-                  isDark={isDark}
-                  themeClasses={themeClasses}
-                />
-                <StatsCard
-                  title="Accounts Ready"
-                  count={stagedAccounts.length}
-                  isDark={isDark}
-                  themeClasses={themeClasses}
-                />
-              </div>
+// Reads yes/no style spreadsheet cells; blank returns the fallback, anything unrecognized returns null
+const parseBooleanCell = (value, fallback) => {
+  const normalized = String(value ?? '').trim().toLowerCase();
+  if (normalized === '') return fallback;
+  if (['true', 'yes', 'y', '1', 'enabled', 'on'].includes(normalized)) return true;
+  if (['false', 'no', 'n', '0', 'disabled', 'off'].includes(normalized)) return false;
+  return null;
+};
 
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
-                <StatsCard
-                  title="Safes for Removal"
-                  count={stagedSafeRemovals.length}
-                  isDark={isDark}
-                  themeClasses={themeClasses}
-                />
-                <StatsCard
-                  title="Members for Removal"
-                  count={stagedMemberRemovals.length}
-                  isDark={isDark}
-                  themeClasses={themeClasses}
-                />
-                <StatsCard
-                  title="Accounts for Removal"
-                  count={stagedAccountRemovals.length}
-                  isDark={isDark}
-                  themeClasses={themeClasses}
-                />
-              </div>
+// ============================================================================
+// SAFE VALIDATION & IMPORT
+// ============================================================================
 
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
-                <StatsCard
-                  title="Safes Modified"
-                  count={stagedSafeModifications.length}
-                  isDark={isDark}
-                  themeClasses={themeClasses}
-                />
-                <StatsCard
-                  title="Members Modified"
-                  count={stagedMemberModifications.length}
-                  isDark={isDark}
-                  themeClasses={themeClasses}
-                />
-                <StatsCard
-                  title="Accounts Modified"
-                  count={stagedAccountModifications.length}
-                  isDark={isDark}
-                  themeClasses={themeClasses}
-                />
-              </div>
+// Managing CPM the Safe form starts with; blank means the Safe is not managed by a CPM
+const DEFAULT_MANAGING_CPM = import.meta.env.VITE_DEFAULT_MANAGING_CPM || '';
 
-              {/* Total Items Ready */}
-              <div className={`p-6 rounded-lg mb-8 ${isDark ? 'bg-slate-800' : 'bg-slate-100'}`}>
-                <p className="text-slate-500 text-sm mb-2">Total Items Staged</p>
-                <div className="flex gap-8">
-                  <div>
-                    <p className="text-slate-500 text-xs mb-1">Additions</p>
-                    <p className="text-3xl font-black text-emerald-500">
-                      {stagedSafes.length + stagedMembers.length + stagedAccounts.length}
-                    </p>
-                  </div>
-                  <div>
-                    <p className="text-slate-500 text-xs mb-1">Removals</p>
-                    <p className="text-3xl font-black text-red-500">
-                      {stagedSafeRemovals.length + stagedMemberRemovals.length + stagedAccountRemovals.length}
-                    </p>
-                  </div>
-                  <div>
-                    <p className="text-slate-500 text-xs mb-1">Modifications</p>
-                    <p className="text-3xl font-black text-amber-500">
-                      {stagedSafeModifications.length + stagedMemberModifications.length + stagedAccountModifications.length}
-                    </p>
-                  </div>
-                </div>
-              </div>
+// Upper limits PVWA accepts for each retention policy
+const SAFE_RETENTION_LIMITS = { versions: 999, days: 3650 };
 
-              {/* Deploy Button */}
-              <button
-                onClick={async () => {
-                  const totalItems = stagedSafes.length + stagedMembers.length + stagedAccounts.length + 
-                                    stagedSafeRemovals.length + stagedMemberRemovals.length + stagedAccountRemovals.length +
-                                    stagedSafeModifications.length + stagedMemberModifications.length + stagedAccountModifications.length;
-                  if (totalItems === 0) {
-                    showNotification('No staged items to deploy!', 'warning');
-                    return;
-                  }
-                  
-                  try {
-                    showNotification(`Starting deployment of ${totalItems} items...`, "info");
-                    
-                    // Create Safes
-                    for (const safe of stagedSafes) {
-                      try {
-                        showNotification(`Creating Safe: "${safe.name}"...`, "info");
-                        await safeAPI.create({
-                          name: safe.name,
-                          description: safe.description,
-                          managingCPM: safe.CPMManaging,
-                          numberOfVersionsRetention: safe.retentionMode === 'versions' ? safe.retentionValue : null,
-                          numberOfDaysRetention: safe.retentionMode === 'days' ? safe.retentionValue : null
-                        });
-                        showNotification(`✓ Safe "${safe.name}" created successfully!`, "success");
-                      } catch (error) {
-                        showNotification(`✗ Failed to create Safe "${safe.name}": ${error.message}`, "error");
-                      }
-                    }
-                    
-                    // Add Members
-                    for (const member of stagedMembers) {
-                      try {
-                        showNotification(`Adding Member "${member.member}" to Safe "${member.safe}"...`, "info");
-                        await memberAPI.add(member.safe, member);
-                        showNotification(`✓ Member "${member.member}" added to Safe "${member.safe}"!`, "success");
-                      } catch (error) {
-                        showNotification(`✗ Failed to add Member "${member.member}": ${error.message}`, "error");
-                      }
-                    }
-                    
-                    // Create Accounts
-                    for (const account of stagedAccounts) {
-                      try {
-                        showNotification(`Creating Account: "${account.userName}"@"${account.address}"...`, "info");
-                        await accountAPI.create(account);
-                        showNotification(`✓ Account "${account.userName}"@"${account.address}" created!`, "success");
-                      } catch (error) {
-                        showNotification(`✗ Failed to create Account "${account.userName}": ${error.message}`, "error");
-                      }
-                    }
-                    
-                    // Remove Safes
-                    for (const safe of stagedSafeRemovals) {
-                      try {
-                        showNotification(`Deleting Safe: "${safe.name}"...`, "info");
-                        await safeAPI.delete(safe.name);
-                        showNotification(`✓ Safe "${safe.name}" deleted successfully!`, "success");
-                      } catch (error) {
-                        showNotification(`✗ Failed to delete Safe "${safe.name}": ${error.message}`, "error");
-                      }
-                    }
-                    
-                    // Remove Members
-                    for (const member of stagedMemberRemovals) {
-                      try {
-                        showNotification(`Removing Member "${member.member}" from Safe "${member.safe}"...`, "info");
-                        await memberAPI.remove(member.safe, member.member);
-                        showNotification(`✓ Member "${member.member}" removed from Safe "${member.safe}"!`, "success");
-                      } catch (error) {
-                        showNotification(`✗ Failed to remove Member "${member.member}": ${error.message}`, "error");
-                      }
-                    }
-                    
-                    // Delete Accounts
-                    for (const account of stagedAccountRemovals) {
-                      try {
-                        showNotification(`Deleting Account: "${account.username}"...`, "info");
-                        await accountAPI.delete(account.object);
-                        showNotification(`✓ Account "${account.username}" deleted!`, "success");
-                      } catch (error) {
-                        showNotification(`✗ Failed to delete Account "${account.username}": ${error.message}`, "error");
-                      }
-                    }
-                    
-                    // Modify Safes
-                    for (const safe of stagedSafeModifications) {
-                      try {
-                        showNotification(`Updating Safe: "${safe.name}"...`, "info");
-                        await safeAPI.update(safe.id, {
-                          managingCPM: safe.managingCPM,
-                          numberOfVersionsRetention: safe.numberOfVersionsRetention || null,
-                          numberOfDaysRetention: safe.numberOfDaysRetention || null
-                        });
-                        showNotification(`✓ Safe "${safe.name}" updated successfully!`, "success");
-                      } catch (error) {
-                        showNotification(`✗ Failed to update Safe "${safe.name}": ${error.message}`, "error");
-                      }
-                    }
-                    
-                    // Modify Members
-                    for (const member of stagedMemberModifications) {
-                      try {
-                        showNotification(`Updating Member: "${member.member}"...`, "info");
-                        await memberAPI.updatePermissions(member.safe, member.member, member.perms || {});
-                        showNotification(`✓ Member "${member.member}" permissions updated!`, "success");
-                      } catch (error) {
-                        showNotification(`✗ Failed to update Member "${member.member}": ${error.message}`, "error");
-                      }
-                    }
-                    
-                    // Modify Accounts
-                    for (const account of stagedAccountModifications) {
-                      try {
-                        showNotification(`Updating Account: "${account.userName}"...`, "info");
-                        await accountAPI.update(account.id, {
-                          address: account.address,
-                          secret: account.secret,
-                          userName: account.userName,
-                          automaticManagement: account.automaticManagement,
-                          manualManagementReason: account.manualManagementReason
-                        });
-                        showNotification(`✓ Account "${account.userName}" updated successfully!`, "success");
-                      } catch (error) {
-                        showNotification(`✗ Failed to update Account "${account.userName}": ${error.message}`, "error");
-                      }
-                    }
-                    
-                    showNotification(`✓ Deployment completed! ${totalItems} items processed.`, "success");
-                    
-                    // Clear staged items after successful deployment
-                    setStagedSafes([]);
-                    setStagedMembers([]);
-                    setStagedAccounts([]);
-                    setStagedSafeRemovals([]);
-                    setStagedMemberRemovals([]);
-                    setStagedAccountRemovals([]);
-                    setStagedSafeModifications([]);
-                    setStagedMemberModifications([]);
-                    setStagedAccountModifications([]);
-                  } catch (error) {
-                    showNotification(`Deployment error: ${error.message}`, "error");
-                  }
-                }}
-                className="w-full bg-emerald-600 hover:bg-emerald-700 text-white font-black py-4 rounded-xl shadow-lg uppercase tracking-widest transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
-                disabled={(stagedSafes.length + stagedMembers.length + stagedAccounts.length + stagedSafeRemovals.length + stagedMemberRemovals.length + stagedAccountRemovals.length + stagedSafeModifications.length + stagedMemberModifications.length + stagedAccountModifications.length) === 0}
-              >
-                <Send size={20} /> Deploy All Staged Changes
-              </button>
-            </div>
+// The configured naming policy: a valid "safeNamingPolicy" override from localStorage, otherwise the default
+const isCompilablePattern = (pattern) => {
+  if (typeof pattern !== 'string') return false;
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+};
 
-            {/* Detailed Review Section */}
-            {(stagedSafes.length > 0 || stagedMembers.length > 0 || stagedAccounts.length > 0 || 
-              stagedSafeRemovals.length > 0 || stagedMemberRemovals.length > 0 || stagedAccountRemovals.length > 0) && (
-              <div className={`p-8 rounded-[1.5rem] border ${themeClasses.card}`}>
-                <h3 className="text-xl font-bold mb-6" style={{ color: themeClasses.text }}>
-                  Detailed Staged Items
-                </h3>
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Every field is used while rendering, so a policy with one bad field is rejected as a whole
+const isValidSafeNamingPolicy = (policy) =>
+  typeof policy.enabled === 'boolean' &&
+  Number.isInteger(policy.maxLength) && policy.maxLength > 0 &&
+  isNonEmptyString(policy.separator) &&
+  (policy.pattern == null || isCompilablePattern(policy.pattern)) &&
+  Array.isArray(policy.segments) &&
+  new Set(policy.segments.map(segment => segment?.key)).size === policy.segments.length &&
+  policy.segments.every(segment =>
+    segment && typeof segment === 'object' &&
+    isNonEmptyString(segment.key) && isNonEmptyString(segment.label) &&
+    (segment.values === undefined || (Array.isArray(segment.values) && segment.values.every(isNonEmptyString))) &&
+    (segment.pattern == null || isCompilablePattern(segment.pattern)) &&
+    ['hint', 'example'].every(field => segment[field] === undefined || typeof segment[field] === 'string'));
+
+// DEFAULT_SAFE_NAMING_POLICY merged with the localStorage override, or the default alone if the override is invalid
+const loadSafeNamingPolicy = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem('safeNamingPolicy'));
+    if (!saved) return DEFAULT_SAFE_NAMING_POLICY;
+    const policy = typeof saved === 'object' && !Array.isArray(saved) ? { ...DEFAULT_SAFE_NAMING_POLICY, ...saved } : null;
+    if (policy && isValidSafeNamingPolicy(policy)) return policy;
+    console.error('Ignoring the invalid "safeNamingPolicy" override; using the built-in naming policy');
+  } catch (error) {
+    console.error('Ignoring the unreadable "safeNamingPolicy" override:', error);
+  }
+  return DEFAULT_SAFE_NAMING_POLICY;
+};
 
-                {/* ADDITIONS SECTION */}
-                {(stagedSafes.length > 0 || stagedMembers.length > 0 || stagedAccounts.length > 0) && (
-                  <div className="mb-8">
-                    <h4 className="text-lg font-bold mb-4 text-emerald-500 flex items-center gap-2"><UserRoundPlus size={20} /> Added Items</h4>
-                    
-                    {stagedSafes.length > 0 && (
-                      <div className="mb-6">
-                        <h5 className="font-bold text-sm mb-3 text-blue-500">Safes ({stagedSafes.length})</h5>
-                        <div className="space-y-3">
-                          {stagedSafes.map((safe, idx) => (
-                            <div key={idx} className={`p-4 rounded-lg ${isDark ? 'bg-slate-800' : 'bg-slate-100'}`}>
-                              <p className="font-semibold">{safe.name}</p>
-                              {safe.description && (
-                                <p className="text-[9px] text-slate-500 mt-2 italic">
-                                  {safe.description}
-                                </p>
-                              )}
-                              <div className="flex gap-3 mt-2 flex-wrap">
-                                <span className="text-[9px] bg-purple-600/10 text-purple-600 px-2 py-0.5 rounded font-bold">
-                                  CPM: {safe.CPMManaging || 'Not specified'}
-                                </span>
-                                <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold">
-                                  Retention: {safe.retentionMode === 'versions' ? `${safe.retentionValue} versions` : `${safe.retentionValue} days`}
-                                </span>
-                              </div>
-                            </div>
-                          ))}
-                        </div>
-                      </div>
-                    )}
+// Splits a name into one value per policy segment, keyed by segment key; surplus parts stay on the last segment
+const splitSafeName = (name, policy) => {
+  const parts = String(name ?? '').split(policy.separator);
+  return Object.fromEntries(policy.segments.map((segment, i) => [
+    segment.key,
+    i === policy.segments.length - 1 ? parts.slice(i).join(policy.separator) : parts[i] ?? ''
+  ]));
+};
 
-                    {stagedMembers.length > 0 && (
-                      <div className="mb-6">
-                        <h5 className="font-bold text-sm mb-3 text-blue-500">Members ({stagedMembers.length})</h5>
-                        <div className="space-y-3">
-                          {stagedMembers.map((member, idx) => (
-                            <div key={idx} className={`p-4 rounded-lg ${isDark ? 'bg-slate-800' : 'bg-slate-100'}`}>
-                              <p className="font-semibold">{member.member}<span className="text-slate-500 font-normal"> @ {member.domain}</span></p>
-                              <div className="flex gap-3 mt-2 flex-wrap">
-                                <span className="text-[9px] bg-purple-600/10 text-purple-600 px-2 py-0.5 rounded font-bold">
-                                  Role: {member.roleLabel}
-                                </span>
-                                <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold">
-                                  Safe: {member.safe}
-                                </span>
-                              </div>
-                            </div>
-                          ))}
-                        </div>
-                      </div>
-                    )}
+// Joins segment values (keyed by segment key) into a Safe name
+const buildSafeName = (values, policy) => {
+  const parts = policy.segments.map(segment => String(values[segment.key] ?? '').trim());
+  return parts.some(Boolean) ? parts.join(policy.separator) : '';
+};
 
-                    {stagedAccounts.length > 0 && (
-                      <div className="mb-6">
-                        <h5 className="font-bold text-sm mb-3 text-blue-500">Accounts ({stagedAccounts.length})</h5>
-                        <div className="space-y-3">
-                          {stagedAccounts.map((account, idx) => (
-                            <div key={idx} className={`p-4 rounded-lg ${isDark ? 'bg-slate-800' : 'bg-slate-100'}`}>
-                              <p className="font-mono font-bold" style={{ color: themeClasses.text }}>
-                                {account.userName} <span className="text-red-600">@</span> {account.address}
-                              </p>
-                              <div className="flex gap-3 mt-2 flex-wrap">
-                                <span className="text-[9px] bg-orange-600/10 text-orange-600 px-2 py-0.5 rounded font-bold flex items-center gap-1">
-                                  <Layers2 size={10} /> Platform: {account.platformId}
-                                </span>
-                                <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold flex items-center gap-1">
-                                  <Vault size={10} /> Safe: {account.safeName}
-                                </span>
-                                <span className="text-[9px] bg-slate-500/10 text-slate-600 px-2 py-0.5 rounded font-bold">
-                                  Object-ID: {account.object}
-                                </span>
-                              </div>
-                            </div>
-                          ))}
-                        </div>
-                      </div>
-                    )}
-                  </div>
-                )}
+/**
+ * Checks a Safe name against the naming policy and explains every rule it
+ * breaks, e.g. 'Environment "PROD" is not one of DEV, TST, UAT, PRD, MSP'.
+ * Returns an empty list when the name complies or the policy is disabled.
+ */
+const checkSafeName = (name, policy) => {
+  if (!policy?.enabled) return [];
+  const value = String(name ?? '').trim();
+  const violations = [];
+  if (value.length > policy.maxLength) {
+    violations.push(`Name is ${value.length} characters long; the limit is ${policy.maxLength}`);
+  }
+  if (policy.pattern && !new RegExp(policy.pattern).test(value)) {
+    violations.push(`Name does not match the pattern ${policy.pattern}`);
+  }
+  const segments = policy.segments ?? [];
+  const parts = value.split(policy.separator);
+  if (segments.length > 0 && parts.length !== segments.length) {
+    violations.push(`Expected ${segments.length} parts separated by "${policy.separator}" (${segments.map(s => s.label).join(', ')}), found ${parts.length}`);
+    return violations;
+  }
+  segments.forEach((segment, i) => {
+    const part = parts[i];
+    if (!part) {
+      violations.push(`${segment.label} is missing`);
+    } else if (segment.values && !segment.values.includes(part)) {
+      violations.push(`${segment.label} "${part}" is not one of ${segment.values.join(', ')}`);
+    } else if (segment.pattern && !new RegExp(segment.pattern).test(part)) {
+      violations.push(`${segment.label} "${part}" ${segment.hint || `does not match ${segment.pattern}`}`);
+    }
+  });
+  return violations;
+};
 
-                {/* REMOVALS SECTION */}
-                {(stagedSafeRemovals.length > 0 || stagedMemberRemovals.length > 0 || stagedAccountRemovals.length > 0) && (
-                  <div className="mb-8 border-t pt-8">
-                    <h4 className="text-lg font-bold mb-4 text-red-500 flex items-center gap-2"><UserRoundMinus size={20} /> Removed Items</h4>
-                    
-                    {stagedSafeRemovals.length > 0 && (
-                      <div className="mb-6">
-                        <h5 className="font-bold text-sm mb-3 text-blue-500">Safes ({stagedSafeRemovals.length})</h5>
-                        <div className="space-y-3">
-                          {stagedSafeRemovals.map((safe, idx) => (
-                            <div key={idx} className={`p-4 rounded-lg ${isDark ? 'bg-slate-800' : 'bg-slate-100'}`}>
-                              <p className="font-semibold">{safe.name}</p>
-                              <div className="flex gap-3 mt-2 flex-wrap">
-                                <span className="text-[9px] bg-purple-600/10 text-purple-600 px-2 py-0.5 rounded font-bold">
-                                  CPM: {safe.managingCPM}
-                                </span>
-                                <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold">
-                                  Retention: {safe.numberOfVersionsRetention ? `${safe.numberOfVersionsRetention} versions` : safe.numberOfDaysRetention ? `${safe.numberOfDaysRetention} days` : 'Not specified'}
-                                </span>
-                                <span className="text-[9px] bg-slate-500/10 text-slate-600 px-2 py-0.5 rounded font-bold">
-                                  ID: {safe.id}
-                                </span>
-                              </div>
-                            </div>
-                          ))}
-                        </div>
-                      </div>
-                    )}
+// A Safe keeps exactly one retention policy, versions or days
+const validateSafeRetention = (retentionMode, retentionValue) => {
+  if (retentionMode !== 'versions' && retentionMode !== 'days') {
+    return ['Retention mode must be "versions" or "days"!'];
+  }
+  if (!String(retentionValue ?? '').trim()) {
+    return [`Please enter ${retentionMode === 'versions' ? 'number of versions' : 'number of days'} for retention!`];
+  }
+  if (!/^[1-9]\d*$/.test(String(retentionValue).trim())) {
+    return ['Retention must be a positive whole number!'];
+  }
+  if (Number(retentionValue) > SAFE_RETENTION_LIMITS[retentionMode]) {
+    return [`Retention cannot exceed ${SAFE_RETENTION_LIMITS[retentionMode]} ${retentionMode}!`];
+  }
+  return [];
+};
 
-                    {stagedMemberRemovals.length > 0 && (
-                      <div className="mb-6">
-                        <h5 className="font-bold text-sm mb-3 text-blue-500">Members ({stagedMemberRemovals.length})</h5>
-                        <div className="space-y-3">
-                          {stagedMemberRemovals.map((member, idx) => (
-                            <div key={idx} className={`p-4 rounded-lg ${isDark ? 'bg-slate-800' : 'bg-slate-100'}`}>
-                              <p className="font-semibold">{member.member}<span className="text-slate-500 font-normal"> @ {member.domain}</span></p>
-                              <div className="flex gap-3 mt-2 flex-wrap">
-                                <span className="text-[9px] bg-purple-600/10 text-purple-600 px-2 py-0.5 rounded font-bold">
-                                  Role: {member.role}
-                                </span>
-                                <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold">
-                                  Safe: {member.safe}
-                                </span>
-                              </div>
-                            </div>
-                          ))}
-                        </div>
-                      </div>
-                    )}
+/**
+ * Validation rules for a Safe staged for creation or modification, shared by
+ * the Safe forms and the bulk importer. Pass `namingPolicy` to also check the
+ * name against it, and `checkRetention: false` to leave an unchanged retention
+ * alone. Returns a list of error messages (empty when valid).
+ */
+const validateSafeInput = ({ name, retentionMode, retentionValue, location }, { namingPolicy, checkRetention = true } = {}) => {
+  const errors = [];
+  if (!String(name ?? '').trim()) {
+    errors.push('Please enter a Safe name!');
+  } else {
+    errors.push(...checkSafeName(name, namingPolicy).map(violation => `Naming policy: ${violation}.`));
+  }
+  if (checkRetention) {
+    errors.push(...validateSafeRetention(retentionMode, retentionValue));
+  }
+  if (String(location ?? '').trim() && !String(location).trim().startsWith('\\')) {
+    errors.push('Location must be a vault path starting with "\\" (e.g. \\Applications)!');
+  }
+  return errors;
+};
 
-                    {stagedAccountRemovals.length > 0 && (
-                      <div className="mb-6">
-                        <h5 className="font-bold text-sm mb-3 text-blue-500">Accounts ({stagedAccountRemovals.length})</h5>
-                        <div className="space-y-3">
-                          {stagedAccountRemovals.map((account, idx) => (
-                            <div key={idx} className={`p-4 rounded-lg ${isDark ? 'bg-slate-800' : 'bg-slate-100'}`}>
-                              <p className="font-mono font-bold" style={{ color: themeClasses.text }}>
-                                {account.username} <span className="text-red-600">@</span> {account.address}
-                              </p>
-                              <div className="flex gap-3 mt-2 flex-wrap">
-                                <span className="text-[9px] bg-orange-600/10 text-orange-600 px-2 py-0.5 rounded font-bold flex items-center gap-1">
-                                  <Layers2 size={10} /> Platform: {account.platform}
-                                </span>
-                                <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold flex items-center gap-1">
-                                  <Vault size={10} /> Safe: {account.safeName}
-                                </span>
-                                <span className="text-[9px] bg-slate-500/10 text-slate-600 px-2 py-0.5 rounded font-bold">
-                                  Object-ID: {account.object}
-                                </span>
-                              </div>
-                            </div>
-                          ))}
+// "1 version", "30 days" or "Not specified" for a staged Safe (retentionMode) or one loaded from the vault
+const describeSafeRetention = (safe) => {
+  const [value, unit] = safe.retentionMode
+    ? [safe.retentionValue, safe.retentionMode]
+    : safe.numberOfVersionsRetention ? [safe.numberOfVersionsRetention, 'versions']
+      : safe.numberOfDaysRetention ? [safe.numberOfDaysRetention, 'days'] : [null, null];
+  if (!value) return 'Not specified';
+  return `${value} ${Number(value) === 1 ? unit.slice(0, -1) : unit}`;
+};
+
+// Safe properties compared in the modification queue, each formatted for display
+const SAFE_MODIFICATION_FIELDS = [
+  { label: 'Name', format: (safe) => safe.name },
+  { label: 'Description', format: (safe) => safe.description || '(none)' },
+  { label: 'Location', format: (safe) => safe.location || '\\' },
+  { label: 'Managing CPM', format: (safe) => safe.managingCPM || '(none)' },
+  { label: 'OLAC', format: (safe) => (safe.olacEnabled ? 'Enabled' : 'Disabled') },
+  { label: 'Auto Purge', format: (safe) => (safe.autoPurgeEnabled ? 'Enabled' : 'Disabled') },
+  { label: 'Retention', format: describeSafeRetention }
+];
+
+// Changed properties of a staged Safe modification as { label, before, after }, against the copy loaded from the vault
+const diffSafeModification = (safe) => (safe.original ? SAFE_MODIFICATION_FIELDS
+  .map(({ label, format }) => ({ label, before: format(safe.original), after: format(safe) }))
+  .filter(change => change.before !== change.after) : []);
+
+const SAFE_IMPORT_FIELDS = [
+  { key: 'name', label: 'Safe Name', required: true, aliases: ['safe', 'safename'] },
+  { key: 'description', label: 'Description', aliases: ['desc'] },
+  { key: 'managingCPM', label: 'Managing CPM', aliases: ['cpm', 'cpmmanaging'] },
+  { key: 'retentionMode', label: 'Retention Mode', aliases: ['retentiontype', 'mode'] },
+  { key: 'retentionValue', label: 'Retention Value', required: true, aliases: ['retention', 'numberofversionsretention', 'numberofdaysretention'] },
+  { key: 'location', label: 'Location', aliases: ['path', 'safelocation'] },
+  { key: 'olacEnabled', label: 'OLAC Enabled', aliases: ['olac', 'objectlevelaccesscontrol'] },
+  { key: 'autoPurgeEnabled', label: 'Auto Purge Enabled', aliases: ['autopurge'] },
+  { key: 'addMembersOnCreation', label: 'Add Members On Creation', aliases: ['addmembers', 'defaultmembers'] }
+];
+
+// Accepts "versions"/"days" and their common abbreviations; blank keeps the form default
+const parseRetentionMode = (value) => {
+  const normalized = String(value).trim().toLowerCase();
+  if (normalized === '') return 'versions';
+  if (['versions', 'version', 'v'].includes(normalized)) return 'versions';
+  if (['days', 'day', 'd'].includes(normalized)) return 'days';
+  return normalized;
+};
+
+// Turns mapped import rows into staged Safe items, validating each like the Safe form
+const validateSafeImportRows = (rows, namingPolicy) => rows.map((values) => {
+  const item = {
+    name: values.name.trim(),
+    description: values.description.trim(),
+    location: values.location.trim(),
+    CPMManaging: values.managingCPM.trim(),
+    olacEnabled: parseBooleanCell(values.olacEnabled, false),
+    autoPurgeEnabled: parseBooleanCell(values.autoPurgeEnabled, false),
+    addMembersOnCreation: parseBooleanCell(values.addMembersOnCreation, true),
+    retentionMode: parseRetentionMode(values.retentionMode),
+    retentionValue: values.retentionValue.trim()
+  };
+  const errors = validateSafeInput(item, { namingPolicy });
+  if (item.olacEnabled === null) errors.push('OLAC Enabled must be yes or no!');
+  if (item.autoPurgeEnabled === null) errors.push('Auto Purge Enabled must be yes or no!');
+  if (item.addMembersOnCreation === null) errors.push('Add Members On Creation must be yes or no!');
+  return { item, errors };
+});
+
+// Identity of a member assignment, so the same member is never staged twice for one Safe
+const memberAssignmentKey = (entry) => `${safeKey(entry.safe)}/${entry.member.toLowerCase()}`;
+
+/**
+ * Member queue entries for the SAFE_CREATION_MEMBERS of a new Safe, with the
+ * permissions currently configured for each standard member. Names missing
+ * from the standard members list are skipped. Entries are flagged
+ * `addedWithSafe` so they leave the queue together with their Safe.
+ */
+const buildSafeCreationMembers = (safeName, standardMembers) => SAFE_CREATION_MEMBERS
+  .map(name => standardMembers.find(m => m.member.toLowerCase() === name.toLowerCase()))
+  .filter(Boolean)
+  .map(standard => ({
+    safe: safeName,
+    member: standard.member,
+    domain: standard.domain,
+    perms: { ...standard.perms },
+    roleLabel: detectRoleFromPermissions(standard.perms),
+    addedWithSafe: true
+  }));
+
+// ============================================================================
+// ACCOUNT VALIDATION & IMPORT
+// ============================================================================
+
+const ACCOUNT_REQUIRED_FIELDS = [
+  { key: 'object', label: 'Object ID' },
+  { key: 'address', label: 'Address' },
+  { key: 'userName', label: 'Username' },
+  { key: 'platformId', label: 'Platform ID' },
+  { key: 'safeName', label: 'Safe Name' }
+];
+
+/**
+ * Required-field rules for an Account staged for creation, shared by the
+ * Account form and the bulk importer. Returns a list of error messages.
+ */
+const validateAccountInput = (account) => {
+  const missing = ACCOUNT_REQUIRED_FIELDS.filter(field => !String(account[field.key] ?? '').trim());
+  return missing.length > 0
+    ? [`Please fill required fields: ${missing.map(field => field.label).join(', ')}!`]
+    : [];
+};
+
+// Identity of an account within the vault: same Safe, address and username
+const accountKey = ({ safeName, address, userName }) =>
+  [safeKey(safeName), String(address).trim().toLowerCase(), String(userName).trim().toLowerCase()].join('|');
+
+const ACCOUNT_IMPORT_FIELDS = [
+  { key: 'object', label: 'Object ID', required: true, aliases: ['object', 'objectname', 'id', 'name', 'accountname'] },
+  { key: 'address', label: 'Address', required: true, aliases: ['host', 'hostname', 'server'] },
+  { key: 'userName', label: 'Username', required: true, aliases: ['user', 'login', 'account'] },
+  { key: 'secret', label: 'Secret', secret: true, aliases: ['password', 'key', 'sshkey'] },
+  { key: 'platformId', label: 'Platform ID', required: true, aliases: ['platform', 'policyid'] },
+  { key: 'safeName', label: 'Safe Name', required: true, aliases: ['safe'] },
+  { key: 'automaticManagement', label: 'CPM Management', aliases: ['automaticmanagementenabled', 'automanagement', 'cpm', 'managed'] },
+  { key: 'manualManagementReason', label: 'Manual Reason', aliases: ['reason', 'manualreason'] },
+  { key: 'remoteMachines', label: 'Allowed Machines', aliases: ['remotemachines', 'remotemachinesaccess', 'machines'] }
+];
+
+/**
+ * Turns mapped import rows into staged Account items. Each row gets the same
+ * required-field check as the Account form, platform IDs are matched
+ * case-insensitively against the platforms already known to the vault (an
+ * unknown one is a warning, since that list only covers platforms in use),
+ * and rows that repeat an earlier row or an already staged account are rejected.
+ * `lineNumbers` gives the file line of each row for the duplicate messages.
+ */
+const validateAccountImportRows = (rows, stagedAccounts, knownPlatformIds, lineNumbers) => {
+  const platformsByKey = new Map(knownPlatformIds.map(id => [id.toLowerCase(), id]));
+  const stagedKeys = new Set(stagedAccounts.map(accountKey));
+  const firstRowByKey = new Map();
+
+  return rows.map((values, index) => {
+    const platformId = values.platformId.trim();
+    const automaticManagement = parseBooleanCell(values.automaticManagement, true);
+    const item = {
+      object: values.object.trim(),
+      address: values.address.trim(),
+      userName: values.userName.trim(),
+      secret: values.secret,
+      platformId: platformsByKey.get(platformId.toLowerCase()) || platformId,
+      safeName: values.safeName.trim(),
+      automaticManagement: automaticManagement !== false,
+      manualManagementReason: automaticManagement === false ? values.manualManagementReason.trim() : '',
+      remoteMachines: values.remoteMachines.trim()
+    };
+
+    const errors = validateAccountInput(item);
+    if (automaticManagement === null) {
+      errors.push('CPM Management must be yes or no!');
+    }
+    const warnings = platformId && platformsByKey.size > 0 && !platformsByKey.has(platformId.toLowerCase())
+      ? [`Platform "${platformId}" is not used by any account in the vault; check the ID before deploying`]
+      : [];
+    if (errors.length === 0) {
+      const key = accountKey(item);
+      if (stagedKeys.has(key)) {
+        errors.push('Already staged in the Account Creation Queue!');
+      } else if (firstRowByKey.has(key)) {
+        errors.push(`Duplicate of line ${lineNumbers[firstRowByKey.get(key)]} in this file!`);
+      } else {
+        firstRowByKey.set(key, index);
+      }
+    }
+    return { item, errors, warnings };
+  });
+};
+
+// ============================================================================
+// MEMBER MATRIX IMPORT
+// ============================================================================
+
+// One optional column per Safe permission, matched by the permission name ("Use Accounts", "UseAccounts", ...)
+const MEMBER_IMPORT_FIELDS = [
+  { key: 'safe', label: 'Safe Name', required: true, aliases: ['safename', 'targetsafe'] },
+  { key: 'member', label: 'Member', required: true, aliases: ['membername', 'user', 'group', 'name'] },
+  { key: 'domain', label: 'Domain', aliases: ['searchin', 'directory', 'location'] },
+  { key: 'role', label: 'Role', aliases: ['template', 'permissiontemplate', 'rolename'] },
+  ...PERMISSION_KEYS.map(key => ({ key, label: key }))
+];
+
+// Same required fields as the custom member form
+const validateMemberInput = ({ safe, member }) =>
+  (typeof safe === 'string' && safe.trim() && typeof member === 'string' && member.trim()
+    ? []
+    : ['Please specify a target Safe and member name!']);
+
+/**
+ * Turns mapped matrix rows into staged member entries. A role name is resolved
+ * through PERM_TEMPLATES (case-insensitively) and any filled permission column
+ * overrides that template; without a role, blank permission cells mean "no".
+ * The resulting roleLabel is recomputed with detectRoleFromPermissions.
+ */
+const validateMemberImportRows = (rows) => {
+  const rolesByKey = new Map(Object.keys(PERM_TEMPLATES).map(role => [role.toLowerCase(), role]));
+
+  return rows.map((values) => {
+    const safe = values.safe.trim();
+    const member = values.member.trim();
+    const errors = validateMemberInput({ safe, member });
+
+    const roleName = values.role.trim();
+    const role = rolesByKey.get(roleName.toLowerCase());
+    if (roleName && !role) {
+      errors.push(`Unknown role "${roleName}"! Use one of: ${Object.keys(PERM_TEMPLATES).join(', ')}`);
+    }
+    if (!roleName && PERMISSION_KEYS.every(key => !values[key].trim())) {
+      errors.push('Provide a role or at least one permission column!');
+    }
+
+    // Built in PERMISSION_KEYS order so detectRoleFromPermissions can match the templates
+    const perms = Object.fromEntries(PERMISSION_KEYS.map(key => {
+      const value = parseBooleanCell(values[key], role ? PERM_TEMPLATES[role][key] : false);
+      if (value === null) errors.push(`${key} must be yes or no!`);
+      return [key, value === true];
+    }));
+
+    return {
+      item: { safe, member, domain: values.domain.trim() || 'Vault', perms, roleLabel: detectRoleFromPermissions(perms) },
+      errors
+    };
+  });
+};
+
+// ============================================================================
+// SAFE BLUEPRINTS
+// ============================================================================
+
+const SAFE_BLUEPRINT_STORAGE_KEY = 'cyberark_safe_blueprints';
+const BLUEPRINT_PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Shape check for a stored blueprint; blueprints are expanded while rendering, so a malformed one is dropped
+const isValidSafeBlueprint = (blueprint) =>
+  isPlainObject(blueprint) &&
+  typeof blueprint.name === 'string' && blueprint.name.trim() !== '' &&
+  (blueprint.description === undefined || typeof blueprint.description === 'string') &&
+  isPlainObject(blueprint.safe) &&
+  (blueprint.standardMembers === undefined ||
+    (Array.isArray(blueprint.standardMembers) && blueprint.standardMembers.every(name => typeof name === 'string'))) &&
+  (blueprint.customMembers === undefined ||
+    (Array.isArray(blueprint.customMembers) && blueprint.customMembers.every(entry =>
+      isPlainObject(entry) && typeof entry.member === 'string' &&
+      (typeof entry.role === 'string' || isPlainObject(entry.perms))))) &&
+  (blueprint.accounts === undefined || (Array.isArray(blueprint.accounts) && blueprint.accounts.every(isPlainObject)));
+
+const readSafeBlueprints = () => {
+  try {
+    const blueprints = JSON.parse(localStorage.getItem(SAFE_BLUEPRINT_STORAGE_KEY));
+    return Array.isArray(blueprints) ? blueprints.filter(isValidSafeBlueprint) : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeSafeBlueprints = (blueprints) => {
+  localStorage.setItem(SAFE_BLUEPRINT_STORAGE_KEY, JSON.stringify(blueprints));
+};
+
+// Placeholders used by a blueprint's Safe, members and accounts, in order of first use
+const listBlueprintPlaceholders = (blueprint) => {
+  const text = JSON.stringify([blueprint.safe, blueprint.customMembers, blueprint.accounts]);
+  return [...new Set([...text.matchAll(BLUEPRINT_PLACEHOLDER_PATTERN)].map(match => match[1]))];
+};
+
+const fillBlueprintText = (text, values) =>
+  String(text ?? '').replace(BLUEPRINT_PLACEHOLDER_PATTERN, (token, key) => values[key]?.trim() || token);
+
+/**
+ * Fills in a blueprint and returns the items to stage, shaped like the Safe,
+ * member and account queues expect, together with every problem found. The
+ * Safe is checked with the same rules as the Safe form (including the naming
+ * policy), each account with the account form's required fields.
+ */
+const expandSafeBlueprint = (blueprint, values, { standardMembers, namingPolicy }) => {
+  const missing = listBlueprintPlaceholders(blueprint).filter(key => !values[key]?.trim());
+  if (missing.length > 0) {
+    return { safe: null, members: [], accounts: [], errors: [`Please fill in ${missing.map(key => `{${key}}`).join(', ')}!`] };
+  }
+
+  const fill = (text) => fillBlueprintText(text, values).trim();
+  const { safe: safeTemplate = {}, standardMembers: standardNames = [], customMembers = [], accounts = [] } = blueprint;
+  const safe = {
+    name: fill(safeTemplate.name),
+    description: fill(safeTemplate.description),
+    location: fill(safeTemplate.location),
+    CPMManaging: safeTemplate.CPMManaging !== undefined ? fill(safeTemplate.CPMManaging) : DEFAULT_MANAGING_CPM,
+    olacEnabled: Boolean(safeTemplate.olacEnabled),
+    autoPurgeEnabled: Boolean(safeTemplate.autoPurgeEnabled),
+    addMembersOnCreation: safeTemplate.addMembersOnCreation !== false,
+    retentionMode: safeTemplate.retentionMode || 'versions',
+    retentionValue: String(safeTemplate.retentionValue ?? '').trim()
+  };
+  const errors = validateSafeInput(safe, { namingPolicy });
+
+  const members = [];
+  standardNames.forEach(name => {
+    const standard = standardMembers.find(m => m.member.toLowerCase() === name.toLowerCase());
+    if (!standard) {
+      errors.push(`Standard member "${name}" is not in the standard members list!`);
+      return;
+    }
+    members.push({ safe: safe.name, member: standard.member, domain: standard.domain, perms: { ...standard.perms }, roleLabel: detectRoleFromPermissions(standard.perms) });
+  });
+  customMembers.forEach(entry => {
+    const member = fill(entry.member);
+    const perms = entry.perms || PERM_TEMPLATES[entry.role];
+    if (!perms) {
+      errors.push(`Member "${member}" has an unknown role "${entry.role}"! Use one of: ${Object.keys(PERM_TEMPLATES).join(', ')}`);
+      return;
+    }
+    members.push({ safe: safe.name, member, domain: fill(entry.domain) || 'Vault', perms: { ...perms }, roleLabel: detectRoleFromPermissions(perms) });
+  });
+
+  const stagedAccounts = accounts.map((account, index) => {
+    const automaticManagement = account.automaticManagement !== false;
+    const item = {
+      object: fill(account.object),
+      address: fill(account.address),
+      userName: fill(account.userName),
+      secret: '',
+      platformId: fill(account.platformId),
+      safeName: safe.name,
+      automaticManagement,
+      manualManagementReason: automaticManagement ? '' : fill(account.manualManagementReason),
+      remoteMachines: fill(account.remoteMachines)
+    };
+    errors.push(...validateAccountInput(item).map(error => `Account ${index + 1}: ${error}`));
+    return item;
+  });
+
+  return { safe, members, accounts: stagedAccounts, errors };
+};
+
+/**
+ * Turns a queued Safe and the members and accounts queued for it into a
+ * blueprint. Every occurrence of a value in `placeholders` ({ app: 'ABCD' })
+ * becomes its {placeholder}; the longest value wins where two overlap.
+ * Members matching a standard member's current permissions are kept by name,
+ * others by role, or by their permissions when they match no template.
+ */
+const createSafeBlueprint = ({ name, description, safe, members, accounts, placeholders, standardMembers }) => {
+  const replacements = new Map(
+    Object.entries(placeholders)
+      .map(([key, value]) => [String(value).trim(), key])
+      .filter(([value, key]) => value && key)
+  );
+  const pattern = replacements.size > 0
+    ? new RegExp([...replacements.keys()]
+      .sort((a, b) => b.length - a.length)
+      .map(value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|'), 'g')
+    : null;
+  const templatize = (text) => (pattern ? String(text ?? '').replace(pattern, value => `{${replacements.get(value)}}`) : String(text ?? ''));
+
+  const isStandard = (entry) => {
+    const standard = standardMembers.find(m => m.member.toLowerCase() === entry.member.toLowerCase());
+    return Boolean(standard) && PERMISSION_KEYS.every(key => Boolean(standard.perms[key]) === Boolean(entry.perms[key]));
+  };
+
+  return {
+    name,
+    description,
+    safe: {
+      name: templatize(safe.name),
+      description: templatize(safe.description),
+      location: templatize(safe.location),
+      CPMManaging: templatize(safe.CPMManaging),
+      olacEnabled: Boolean(safe.olacEnabled),
+      autoPurgeEnabled: Boolean(safe.autoPurgeEnabled),
+      addMembersOnCreation: safe.addMembersOnCreation !== false,
+      retentionMode: safe.retentionMode,
+      retentionValue: safe.retentionValue
+    },
+    standardMembers: members.filter(isStandard).map(entry => entry.member),
+    customMembers: members.filter(entry => !isStandard(entry)).map(entry => {
+      const role = detectRoleFromPermissions(entry.perms);
+      return {
+        member: templatize(entry.member),
+        domain: templatize(entry.domain),
+        ...(PERM_TEMPLATES[role] ? { role } : { perms: { ...entry.perms } })
+      };
+    }),
+    accounts: accounts.map(account => ({
+      object: templatize(account.object),
+      address: templatize(account.address),
+      userName: templatize(account.userName),
+      platformId: templatize(account.platformId),
+      automaticManagement: account.automaticManagement,
+      manualManagementReason: templatize(account.manualManagementReason),
+      remoteMachines: templatize(account.remoteMachines)
+    }))
+  };
+};
+
+// ============================================================================
+// NOTIFICATION COMPONENT
+// ============================================================================
+
+const NotificationPopup = ({ notification }) => {
+  if (!notification) return null;
+
+  const bgColor = {
+    success: 'bg-emerald-600',
+    error: 'bg-red-600',
+    warning: 'bg-amber-600',
+    info: 'bg-blue-600'
+  }[notification.type] || 'bg-blue-600';
+
+  const icon = {
+    success: '✓',
+    error: '✕',
+    warning: '⚠',
+    info: 'ℹ'
+  }[notification.type] || 'ℹ';
+
+  return (
+    <div className={`fixed top-6 right-6 ${bgColor} text-white px-6 py-4 rounded-xl shadow-2xl flex items-center gap-3 animate-in fade-in slide-in-from-top-2 duration-300 z-[9999] max-w-sm`}>
+      <span className="text-lg font-bold">{icon}</span>
+      <p className="font-medium">{notification.message}</p>
+    </div>
+  );
+};
+
+// ============================================================================
+// RE-AUTHENTICATION MODAL
+// ============================================================================
+
+/**
+ * Shown when the session token expires; API calls stay paused until it is
+ * submitted or cancelled. `onSubmit` may resolve with `{ challenge }` when a
+ * RADIUS server wants a second factor, which is then asked for here.
+ */
+const ReauthenticationModal = ({ vaultUrl, username, authMethod, onSubmit, onCancel, isDark, themeClasses }) => {
+  const [reauthPassword, setReauthPassword] = useState('');
+  const [challenge, setChallenge] = useState(null);
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const usesPassword = authMethod !== 'Windows';
+
+  const submit = async () => {
+    if (usesPassword && !reauthPassword) {
+      return setError(challenge ? 'Please enter the RADIUS response.' : 'Please enter your password.');
+    }
+    setError('');
+    setIsSubmitting(true);
+    try {
+      const result = await onSubmit(reauthPassword);
+      if (result?.challenge) {
+        setChallenge(result.challenge);
+        setReauthPassword('');
+        setIsSubmitting(false);
+      }
+    } catch (submitError) {
+      setChallenge(null);
+      setError(submitError.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className={`fixed inset-0 z-[100] flex items-center justify-center p-4 ${isDark ? 'bg-black/70' : 'bg-black/50'}`}>
+      <div className={`rounded-2xl shadow-2xl w-full max-w-md border p-8 ${themeClasses.card}`}>
+        <h3 style={{ color: themeClasses.text }} className="text-xl font-bold uppercase mb-2">
+          Session Expired
+        </h3>
+        <p className="text-xs text-slate-500 mb-6">
+          The vault rejected the current session. Pending API calls are paused and your staged changes are kept — sign in again to resume.
+        </p>
+        <div className="space-y-3 mb-6">
+          <input
+            type="text"
+            value={vaultUrl}
+            readOnly
+            className={`w-full p-3 rounded-xl border text-sm outline-none opacity-70 ${themeClasses.input}`}
+          />
+          {usesPassword && (
+            <input
+              type="text"
+              value={username}
+              readOnly
+              className={`w-full p-3 rounded-xl border text-sm outline-none opacity-70 ${themeClasses.input}`}
+            />
+          )}
+          {challenge && (
+            <p className="text-xs font-bold text-blue-600">{challenge}</p>
+          )}
+          {usesPassword && (
+            <input
+              type="password"
+              value={reauthPassword}
+              onChange={(e) => setReauthPassword(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && submit()}
+              placeholder={challenge ? 'Response code' : authMethod === 'Identity' ? 'Client secret' : `${authMethod} password`}
+              autoFocus
+              className={`w-full p-3 rounded-xl border text-sm outline-none ${themeClasses.input}`}
+            />
+          )}
+          {error && (
+            <div className="rounded-xl border border-red-400 bg-red-50 px-4 py-3 text-sm text-red-700" role="alert">
+              {error}
+            </div>
+          )}
+        </div>
+        <div className="flex gap-3">
+          <button
+            onClick={onCancel}
+            disabled={isSubmitting}
+            className="flex-1 bg-slate-400 text-white font-black py-3 rounded-xl uppercase tracking-widest text-xs hover:bg-slate-500 transition-all disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={submit}
+            disabled={isSubmitting}
+            className="flex-[2] bg-red-600 text-white font-black py-3 rounded-xl uppercase tracking-widest text-xs hover:bg-red-700 transition-all shadow-lg disabled:opacity-70 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? 'Authenticating...' : 'Sign In & Resume'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// IDLE TIMEOUT WARNING
+// ============================================================================
+
+// Countdown shown before the idle logoff; only its buttons keep or end the session
+const IdleTimeoutWarning = ({ secondsLeft, onStaySignedIn, onLogout, isDark, themeClasses }) => (
+  <div className={`fixed inset-0 z-[100] flex items-center justify-center p-4 ${isDark ? 'bg-black/70' : 'bg-black/50'}`}>
+    <div className={`rounded-2xl shadow-2xl w-full max-w-md border p-8 ${themeClasses.card}`} role="alertdialog" aria-live="assertive">
+      <h3 style={{ color: themeClasses.text }} className="text-xl font-bold uppercase mb-2">
+        Still There?
+      </h3>
+      <p className="text-xs text-slate-500 mb-6">
+        You will be logged off for inactivity in{' '}
+        <span className="font-black text-red-600">
+          {Math.floor(secondsLeft / 60)}:{String(secondsLeft % 60).padStart(2, '0')}
+        </span>
+        . Staged changes are kept for your next sign-in.
+      </p>
+      <div className="flex gap-3">
+        <button
+          onClick={onLogout}
+          className="flex-1 bg-slate-400 text-white font-black py-3 rounded-xl uppercase tracking-widest text-xs hover:bg-slate-500 transition-all"
+        >
+          Log Out
+        </button>
+        <button
+          onClick={onStaySignedIn}
+          autoFocus
+          className="flex-[2] bg-red-600 text-white font-black py-3 rounded-xl uppercase tracking-widest text-xs hover:bg-red-700 transition-all shadow-lg"
+        >
+          Stay Signed In
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+// ============================================================================
+// CONNECTION PROFILE COMPONENTS
+// ============================================================================
+
+/**
+ * Profile picker for the login screen. Choosing a profile fills in the login
+ * form; "Save" stores whatever the form currently holds under the given name.
+ */
+const ConnectionProfilePicker = ({ profiles, selected, onSelect, onSave, onDelete, disabled, isDark, themeClasses }) => {
+  const [isSaving, setIsSaving] = useState(false);
+  const [profileName, setProfileName] = useState('');
+  const [profileColor, setProfileColor] = useState('green');
+
+  const startSaving = () => {
+    setProfileName(selected?.name || '');
+    setProfileColor(selected?.color || 'green');
+    setIsSaving(true);
+  };
+
+  const save = () => {
+    if (!profileName.trim()) return;
+    onSave({ name: profileName.trim(), color: profileColor });
+    setIsSaving(false);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2">
+        <select
+          value={selected?.name || ''}
+          onChange={(e) => onSelect(e.target.value)}
+          disabled={disabled}
+          aria-label="Connection profile"
+          className={`flex-1 min-w-0 p-3 rounded-xl border text-sm outline-none ${themeClasses.input}`}
+          style={themeClasses.inputStyle}
+        >
+          <option value="">{profiles.length ? 'No saved connection' : 'No saved connections'}</option>
+          {profiles.map(profile => (
+            <option key={profile.name} value={profile.name}>{profile.name}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => (isSaving ? setIsSaving(false) : startSaving())}
+          disabled={disabled}
+          className={`px-3 rounded-xl border text-[10px] font-black uppercase tracking-wider transition-all ${
+            isDark ? 'border-slate-700 text-slate-400 hover:bg-slate-800' : 'border-slate-300 text-slate-600 hover:bg-slate-100'
+          }`}
+        >
+          {isSaving ? 'Close' : 'Save'}
+        </button>
+        {selected && !isSaving && (
+          <button
+            onClick={() => window.confirm(`Delete the saved connection "${selected.name}"?`) && onDelete(selected.name)}
+            disabled={disabled}
+            className="px-3 rounded-xl border border-red-300 text-red-500 hover:bg-red-50 transition-all"
+            aria-label={`Delete connection ${selected.name}`}
+          >
+            <Trash2 size={14} />
+          </button>
+        )}
+      </div>
+
+      {isSaving && (
+        <div className={`p-3 rounded-xl border space-y-2 ${isDark ? 'border-slate-700' : 'border-slate-200'}`}>
+          <input
+            type="text"
+            value={profileName}
+            onChange={(e) => setProfileName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && save()}
+            placeholder="Profile name (e.g. Prod)"
+            autoFocus
+            className={`w-full p-2.5 rounded-lg border text-sm outline-none ${themeClasses.input}`}
+            style={themeClasses.inputStyle}
+          />
+          <div className="flex items-center gap-2">
+            {Object.entries(ENVIRONMENT_COLORS).map(([color, { label, swatch }]) => (
+              <button
+                key={color}
+                onClick={() => setProfileColor(color)}
+                title={label}
+                aria-label={`${label} environment colour`}
+                className={`h-6 w-6 rounded-full ${swatch} ${profileColor === color ? 'ring-2 ring-offset-2 ring-slate-500' : 'opacity-60'}`}
+              />
+            ))}
+            <button
+              onClick={save}
+              disabled={!profileName.trim()}
+              className="ml-auto bg-slate-800 text-white text-[10px] font-black px-3 py-2 rounded-lg uppercase tracking-wider disabled:opacity-50"
+            >
+              Save Profile
+            </button>
+          </div>
+          <p className="text-[10px] text-slate-500">
+            Saves the URL, login mode, method and username. Passwords are never stored.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Full-width strip across the top of the nav bar naming the vault this session is connected to
+const EnvironmentBanner = ({ profile, vaultUrl }) => {
+  const colors = ENVIRONMENT_COLORS[profile?.color] || ENVIRONMENT_COLORS.slate;
+  return (
+    <div className={`${colors.banner} text-[10px] font-black uppercase tracking-widest`} role="status">
+      <div className="max-w-6xl mx-auto px-6 py-1.5 flex justify-between gap-4">
+        <span>{profile ? `Environment: ${profile.name}` : 'Unsaved connection'}</span>
+        <span className="font-mono normal-case tracking-normal truncate">{vaultUrl}</span>
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// MAIN APP COMPONENT
+// ============================================================================
+
+function App() {
+  // Auth State (a session kept in sessionStorage is picked up again after a reload)
+  const [isLoggedIn, setIsLoggedIn] = useState(() => Boolean(sessionService.getToken()));
+  const [vaultUrl, setVaultUrl] = useState(() => sessionService.getSession()?.vaultUrl || '');
+  const [username, setUsername] = useState(() => sessionService.getSession()?.username || '');
+  const [password, setPassword] = useState('');
+  // Mirrors sessionService's token so effects re-run when it changes; API calls read the service directly
+  const [authToken, setAuthToken] = useState(() => sessionService.getToken());
+  const [authError, setAuthError] = useState('');
+  const [isAuthenticating, setIsAuthenticating] = useState(false);
+  // 'pvwa' signs in to a self-hosted PVWA; 'identity' gets an OAuth token for Privilege Cloud
+  const [loginMode, setLoginMode] = useState(() => sessionService.getSession()?.loginMode || 'pvwa');
+  const [identityUrl, setIdentityUrl] = useState(() => sessionService.getSession()?.identityUrl || DEFAULT_IDENTITY_URL);
+  const [identityTokenPath, setIdentityTokenPath] = useState(() => sessionService.getSession()?.identityTokenPath || IDENTITY_PLATFORM_TOKEN_PATH);
+  const [authMethod, setAuthMethod] = useState(() => sessionService.getSession()?.authMethod || 'CyberArk');
+  const [concurrentSession, setConcurrentSession] = useState(false);
+  const [changePassword, setChangePassword] = useState(false);
+  const [newPassword, setNewPassword] = useState('');
+  const [radiusChallenge, setRadiusChallenge] = useState(null);
+  const [challengeResponse, setChallengeResponse] = useState('');
+  const [isReauthRequired, setIsReauthRequired] = useState(false);
+  const pendingReauth = useRef(null);
+  // Seconds until the idle logoff while the warning dialog is open, otherwise null
+  const [idleSecondsLeft, setIdleSecondsLeft] = useState(null);
+  const lastActivityAt = useRef(0);
+  const [connectionProfiles, setConnectionProfiles] = useState(readConnectionProfiles);
+  const [selectedProfileName, setSelectedProfileName] = useState(null);
+  const activeProfile = findConnectionProfile(connectionProfiles, vaultUrl, selectedProfileName);
+
+  // Connection Health State (result of the last probeVaultHealth call; cleared on logout)
+  const [connectionHealth, setConnectionHealth] = useState(null);
+
+  // UI State
+  const [activeTab, setActiveTab] = useState('dashboard');
+  const [isDark, setIsDark] = useState(false);
+  const [hoveredCategory, setHoveredCategory] = useState(null);
+  const closeDropdownTimeout = useRef(null);
+  const [notification, setNotification] = useState(null);
+  
+  // Branding State (loaded from localStorage)
+  const [branding] = useState(() => {
+    const saved = localStorage.getItem('brandingPreferences');
+    return saved ? JSON.parse(saved) : DEFAULT_BRANDING;
+  });
+
+  // Safe Naming Policy (DEFAULT_SAFE_NAMING_POLICY unless overridden in localStorage)
+  const [safeNamingPolicy] = useState(loadSafeNamingPolicy);
+
+  // Notification helper function
+  const showNotification = useCallback((message, type = 'info') => {
+    setNotification({ message, type });
+    setTimeout(() => setNotification(null), 4000);
+  }, []);
+
+  // Fills the login form from a saved connection. The empty choice keeps the form
+  // but detaches it from any profile: no banner, and no method taken from a profile.
+  const handleSelectProfile = (name) => {
+    const profile = connectionProfiles.find(p => p.name === name);
+    setSelectedProfileName(profile?.name ?? '');
+    setPassword('');
+    if (profile) {
+      setVaultUrl(profile.vaultUrl || '');
+      setUsername(profile.username || '');
+      setLoginMode(profile.loginMode || 'pvwa');
+      setAuthMethod(profile.authMethod || 'CyberArk');
+      if (profile.identityUrl) setIdentityUrl(profile.identityUrl);
+    } else {
+      setAuthMethod(recallAuthMethod(vaultUrl) || 'CyberArk');
+    }
+    setRadiusChallenge(null);
+    if (authError) setAuthError('');
+  };
+
+  const handleSaveProfile = ({ name, color }) => {
+    if (!vaultUrl.trim()) {
+      showNotification('Enter the vault URL before saving a connection profile.', 'error');
+      return;
+    }
+    const profiles = upsertConnectionProfile(connectionProfiles, {
+      name,
+      color,
+      vaultUrl: vaultUrl.trim(),
+      loginMode,
+      authMethod,
+      identityUrl: loginMode === 'identity' ? identityUrl.trim() : '',
+      username: username.trim()
+    });
+    writeConnectionProfiles(profiles);
+    setConnectionProfiles(profiles);
+    setSelectedProfileName(name);
+    showNotification(`✓ Saved connection profile "${name}"`, 'success');
+  };
+
+  const handleDeleteProfile = (name) => {
+    const profiles = connectionProfiles.filter(p => p.name !== name);
+    writeConnectionProfiles(profiles);
+    setConnectionProfiles(profiles);
+    showNotification(`Deleted connection profile "${name}"`, 'info');
+  };
+
+  // Hands a fresh token to the session service and enters the app
+  const beginSession = (token, { vaultUrl: sessionVaultUrl = vaultUrl, username: sessionUsername = username } = {}) => {
+    sessionService.start(token, {
+      vaultUrl: sessionVaultUrl,
+      username: sessionUsername,
+      loginMode,
+      authMethod,
+      identityUrl,
+      identityTokenPath
+    });
+    setAuthToken(token);
+    setIsLoggedIn(true);
+  };
+
+  // CyberArk Authentication Function
+  const authenticate = async () => {
+    if (loginMode === 'identity') return authenticateWithIdentity();
+
+    const usesPassword = authMethod !== 'Windows';
+    let message = null;
+    if (!vaultUrl || (usesPassword && (!username || !password))) {
+      message = usesPassword ? 'Please enter PVWA URL, username, and password.' : 'Please enter the PVWA URL.';
+    } else if (radiusChallenge && !challengeResponse) {
+      message = 'Please enter the RADIUS response.';
+    } else if (usesPassword && changePassword && !newPassword) {
+      message = 'Please enter the new password.';
+    }
+    if (message) {
+      setAuthError(message);
+      showNotification(message, 'error');
+      return;
+    }
+
+    try {
+      setAuthError('');
+      setIsAuthenticating(true);
+      showNotification(`Authenticating with CyberArk (${authMethod})...`, 'info');
+      
+      const result = await logonToVault(vaultUrl, {
+        method: authMethod,
+        username,
+        password: radiusChallenge ? challengeResponse : password,
+        newPassword: changePassword ? newPassword : undefined,
+        concurrentSession
+      });
+      if (result.challenge) {
+        setRadiusChallenge(result.challenge);
+        setChallengeResponse('');
+        showNotification('RADIUS server requested a second factor.', 'info');
+        return;
+      }
+      const { token } = result;
+      rememberAuthMethod(vaultUrl, authMethod);
+      setRadiusChallenge(null);
+      setChallengeResponse('');
+      setChangePassword(false);
+      setNewPassword('');
+
+      // Clear password from state for security
+      setPassword('');
+
+      // Windows logons carry no username, so ask the vault who logged on; staged changes are kept per user
+      let sessionUsername = username;
+      if (authMethod === 'Windows') {
+        sessionUsername = await getLoggedOnUserName(vaultUrl, token).catch((error) => {
+          console.error('Logged-on user lookup failed:', error);
+          return '';
+        });
+        setUsername(sessionUsername);
+      }
+
+      // Keep the token in the session service and mark as logged in
+      beginSession(token, { username: sessionUsername });
+      showNotification('✓ Successfully authenticated with CyberArk!', 'success');
+    } catch (error) {
+      const errorMessage = error?.message || 'Authentication failed. Please verify your credentials and try again.';
+      setAuthError(errorMessage);
+      // A failed challenge answer invalidates the RADIUS session, so start again from the password
+      setRadiusChallenge(null);
+      setChallengeResponse('');
+      showNotification(`✗ Authentication failed: ${errorMessage}`, 'error');
+      console.error('Authentication error:', error);
+    } finally {
+      setIsAuthenticating(false);
+    }
+  };
+
+  // Privilege Cloud login: the Identity token drives the same API wrappers against the Privilege Cloud API
+  const authenticateWithIdentity = async () => {
+    if (!vaultUrl || !identityUrl || !username || !password) {
+      const message = 'Please enter the Privilege Cloud URL, Identity URL, client ID and client secret.';
+      setAuthError(message);
+      showNotification(message, 'error');
+      return;
+    }
+
+    try {
+      setAuthError('');
+      setIsAuthenticating(true);
+      showNotification('Requesting a token from CyberArk Identity...', 'info');
+
+      const { token } = await requestIdentityToken(identityUrl, {
+        clientId: username,
+        clientSecret: password,
+        tokenPath: identityTokenPath
+      });
+      setPassword('');
+      beginSession(token);
+      showNotification('✓ Successfully authenticated with CyberArk Identity!', 'success');
+    } catch (error) {
+      const errorMessage = error?.message || 'Authentication failed. Please verify the client credentials and try again.';
+      setAuthError(errorMessage);
+      showNotification(`✗ Authentication failed: ${errorMessage}`, 'error');
+      console.error('Identity authentication error:', error);
+    } finally {
+      setIsAuthenticating(false);
+    }
+  };
+
+  /**
+   * Called by makeAPIRequest when the vault answers 401. Every caller waiting at
+   * the same time shares one re-login prompt; the promise resolves with the new
+   * token once the operator signs in again, or rejects if they cancel.
+   */
+  const requestReauthentication = useCallback(() => {
+    if (!pendingReauth.current) {
+      let resolve;
+      let reject;
+      const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+      });
+      pendingReauth.current = { promise, resolve, reject };
+      setIsReauthRequired(true);
+    }
+    return pendingReauth.current.promise;
+  }, []);
+
+  // Signs in again with the stored vault URL, username and method, keeping all staged work in place
+  const handleReauthenticate = async (reauthPassword) => {
+    const result = loginMode === 'identity'
+      ? await requestIdentityToken(identityUrl, { clientId: username, clientSecret: reauthPassword, tokenPath: identityTokenPath })
+      : await logonToVault(vaultUrl, { method: authMethod, username, password: reauthPassword, concurrentSession });
+    if (result.challenge) return result;
+    const { token } = result;
+    sessionService.renew(token);
+    setAuthToken(token);
+    setIsReauthRequired(false);
+    pendingReauth.current?.resolve(token);
+    pendingReauth.current = null;
+    showNotification('✓ Re-authenticated — resuming paused operations', 'success');
+  };
+
+  const handleCancelReauthentication = () => {
+    setIsReauthRequired(false);
+    pendingReauth.current?.reject(new Error('Session expired and re-authentication was cancelled'));
+    pendingReauth.current = null;
+    showNotification('Re-authentication cancelled; paused calls have failed.', 'warning');
+  };
+
+  /**
+   * Logs off on the vault first, then clears the local session. A failed logoff
+   * still signs the operator out here but says that the vault session may
+   * remain valid until it times out.
+   */
+  const handleLogout = useCallback(async (reason = 'manual') => {
+    const token = sessionService.getToken();
+    // Identity tokens cannot be revoked through PVWA; they simply expire
+    const hasVaultSession = loginMode === 'pvwa' && token && !isDebugToken(token);
+    let logoffError = null;
+    if (hasVaultSession) {
+      try {
+        await endVaultSession(vaultUrl, token);
+      } catch (error) {
+        logoffError = error;
+        console.error('Vault logoff failed:', error);
+      }
+    }
+
+    // Clear authentication state; a running deployment stops starting new steps
+    deployAbortController.current?.abort();
+    pendingReauth.current?.reject(new Error('Logged out'));
+    pendingReauth.current = null;
+    setIsReauthRequired(false);
+    setIdleSecondsLeft(null);
+    // The next vault signed in to may be a different one
+    setConnectionHealth(null);
+    setIsLoggedIn(false);
+    setAuthToken('');
+    // Other tabs follow this logoff, unless it came from one of them
+    sessionService.end({ broadcast: reason !== 'remote' });
+    setVaultUrl('');
+    setUsername('');
+
+    const prefix = {
+      idle: 'Logged out after inactivity',
+      remote: 'Logged out in another tab'
+    }[reason] || 'Logged out';
+    if (logoffError) {
+      showNotification(`${prefix}, but the vault session could not be closed: ${logoffError.message}`, 'warning');
+    } else if (hasVaultSession) {
+      showNotification(`✓ ${prefix} — vault session closed`, 'success');
+    } else {
+      showNotification(`✓ ${prefix}`, 'success');
+    }
+  }, [vaultUrl, loginMode, showNotification]);
+
+  // Safe Management State
+  const [customSafeName, setCustomSafeName] = useState('');
+  const [safeDescription, setSafeDescription] = useState('');
+  const [managingCPM, setManagingCPM] = useState(DEFAULT_MANAGING_CPM);
+  const [safeLocation, setSafeLocation] = useState('');
+  const [safeOlacEnabled, setSafeOlacEnabled] = useState(false);
+  const [safeAutoPurgeEnabled, setSafeAutoPurgeEnabled] = useState(false);
+  const [safeAddMembersOnCreation, setSafeAddMembersOnCreation] = useState(true);
+  const [retentionMode, setRetentionMode] = useState('versions'); // 'versions' or 'days'
+  const [versionRetention, setVersionRetention] = useState('');
+  const [daysRetention, setDaysRetention] = useState('');
+  const [stagedSafes, setStagedSafes] = useState([]);
+
+  // Safe Blueprint State (blueprints saved in this browser; DEFAULT_SAFE_BLUEPRINTS are listed first)
+  const [savedSafeBlueprints, setSavedSafeBlueprints] = useState(readSafeBlueprints);
+
+  // Member Management State
+  const [targetSafe, setTargetSafe] = useState('');
+  const [memberName, setMemberName] = useState('');
+  const [memberDomain, setMemberDomain] = useState('Vault');
+  const [memberPermissions, setMemberPermissions] = useState({});
+  const [stagedMembers, setStagedMembers] = useState([]);
+  const [standardMembersSelection, setStandardMembersSelection] = useState({});
+  const [editingStandardMember, setEditingStandardMember] = useState(null);
+  const [standardMembersPermissions, setStandardMembersPermissions] = useState({});
+  const [managedStandardMembers, setManagedStandardMembers] = useState([...GLOBAL_STANDARD_MEMBERS]);
+  const [editingMemberInModal, setEditingMemberInModal] = useState(null);
+  const [newMemberForm, setNewMemberForm] = useState({ member: '', domain: 'Vault', role: '', perms: {} });
+  const [standardMemberTargets, setStandardMemberTargets] = useState([]);
+  const [includeQueuedSafes, setIncludeQueuedSafes] = useState(false);
+
+  // Account Management State
+  const [accObject, setAccObject] = useState('');
+  const [accAddress, setAccAddress] = useState('');
+  const [accUsername, setAccUsername] = useState('');
+  const [accPassword, setAccPassword] = useState('');
+  const [accPlatformId, setAccPlatformId] = useState('');
+  const [accSafeName, setAccSafeName] = useState('');
+  const [accAutoMgmt, setAccAutoMgmt] = useState(true);
+  const [accManualReason, setAccManualReason] = useState('');
+  const [accRemoteMachines, setAccRemoteMachines] = useState('');
+  const [stagedAccounts, setStagedAccounts] = useState([]);
+
+  // Safe Removal State
+  const [availableSafesForRemoval, setAvailableSafesForRemoval] = useState([
+    { id: 'SAFE-001', name: 'Legacy-Database', managingCPM: 'CyberArk', numberOfVersionsRetention: 10, numberOfDaysRetention: null },
+    { id: 'SAFE-002', name: 'Test-Environment', managingCPM: 'VaultManager', numberOfVersionsRetention: null, numberOfDaysRetention: 30 },
+    { id: 'SAFE-003', name: 'Archive-2022', managingCPM: 'CyberArk', numberOfVersionsRetention: 5, numberOfDaysRetention: null },
+  ]);
+  const [selectedSafesForRemoval, setSelectedSafesForRemoval] = useState({});
+  const [safeRemovalFilter, setSafeRemovalFilter] = useState('');
+  const [stagedSafeRemovals, setStagedSafeRemovals] = useState([]);
+
+  // Member Removal State
+  const [availableMembersForRemoval, setAvailableMembersForRemoval] = useState([
+    { id: 'MEM-001', member: 'user.departed', domain: 'DOMAIN', safe: 'SAFE-001', role: 'Contributor'},
+    { id: 'MEM-002', member: 'temp.contractor', domain: 'DOMAIN', safe: 'SAFE-002', role: 'Auditor'},
+    { id: 'MEM-003', member: 'old.admin', domain: 'Vault', safe: 'SAFE-001', role: 'Manager'},
+  ]);
+  const [selectedMembersForRemoval, setSelectedMembersForRemoval] = useState({});
+  const [memberRemovalFilter, setMemberRemovalFilter] = useState('');
+  const [memberRemovalSafeFilter, setMemberRemovalSafeFilter] = useState('');
+  const [stagedMemberRemovals, setStagedMemberRemovals] = useState([]);
+
+  // Account Removal State
+  const [availableAccountsForRemoval, setAvailableAccountsForRemoval] = useState([
+    { id: 'ACC-001', object: 'root', username: 'admin_user', address: '192.168.1.10', platform: 'Linux', safeName: 'SAFE-001'},
+    { id: 'ACC-002', object: 'sa', username: 'db_admin', address: 'db-server.local', platform: 'SQLServer', safeName: 'SAFE-002'},
+    { id: 'ACC-003', object: 'admin', username: 'system_admin', address: '10.0.0.5', platform: 'Windows', safeName: 'SAFE-003'},
+  ]);
+  const [selectedAccountsForRemoval, setSelectedAccountsForRemoval] = useState({});
+  const [accountRemovalFilter, setAccountRemovalFilter] = useState('');
+  const [accountRemovalSafeFilter, setAccountRemovalSafeFilter] = useState('');
+  const [stagedAccountRemovals, setStagedAccountRemovals] = useState([]);
+
+  // Safe Modification State
+  const [availableSafesForModification, setAvailableSafesForModification] = useState([
+    { id: 'SAFE-001', name: 'Legacy-Database', managingCPM: 'CyberArk', numberOfVersionsRetention: 10, numberOfDaysRetention: null },
+    { id: 'SAFE-002', name: 'Test-Environment', managingCPM: 'VaultManager', numberOfVersionsRetention: null, numberOfDaysRetention: 30 },
+    { id: 'SAFE-003', name: 'Archive-2022', managingCPM: 'CyberArk', numberOfVersionsRetention: 5, numberOfDaysRetention: null },
+  ]);
+  const [editingSafeId, setEditingSafeId] = useState(null);
+  const [editedSafeData, setEditedSafeData] = useState({});
+  const [safeModificationFilter, setSafeModificationFilter] = useState('');
+  const [stagedSafeModifications, setStagedSafeModifications] = useState([]);
+
+  // Member Modification State
+  const [availableMembersForModification, setAvailableMembersForModification] = useState([
+    { id: 'MEM-001', member: 'user.departed', domain: 'DOMAIN', safe: 'SAFE-001', role: 'Contributor'},
+    { id: 'MEM-002', member: 'temp.contractor', domain: 'DOMAIN', safe: 'SAFE-002', role: 'Auditor'},
+    { id: 'MEM-003', member: 'old.admin', domain: 'Vault', safe: 'SAFE-001', role: 'Manager'},
+  ]);
+  const [editingMemberId, setEditingMemberId] = useState(null);
+  const [editedMemberData, setEditedMemberData] = useState({});
+  const [memberModificationFilter, setMemberModificationFilter] = useState('');
+  const [memberModificationSafeFilter, setMemberModificationSafeFilter] = useState('');
+  const [stagedMemberModifications, setStagedMemberModifications] = useState([]);
+
+  // Account Modification State
+  const [availableAccountsForModification, setAvailableAccountsForModification] = useState([
+    { id: 'ACC-001', object: 'root', username: 'admin_user', address: '192.168.1.10', platform: 'Linux', safeName: 'SAFE-001'},
+    { id: 'ACC-002', object: 'sa', username: 'db_admin', address: 'db-server.local', platform: 'SQLServer', safeName: 'SAFE-002'},
+    { id: 'ACC-003', object: 'admin', username: 'system_admin', address: '10.0.0.5', platform: 'Windows', safeName: 'SAFE-003'},
+  ]);
+  const [editingAccountId, setEditingAccountId] = useState(null);
+  const [editedAccountData, setEditedAccountData] = useState({});
+  const [accountModificationFilter, setAccountModificationFilter] = useState('');
+  const [accountModificationSafeFilter, setAccountModificationSafeFilter] = useState('');
+  const [stagedAccountModifications, setStagedAccountModifications] = useState([]);
+
+  // Inventory Loading State ({ label, loaded, total } while a listing is being paged in)
+  const [inventoryProgress, setInventoryProgress] = useState(null);
+
+  // Deployment State
+  const [executionPlan, setExecutionPlan] = useState(null);
+  const [isDeploying, setIsDeploying] = useState(false);
+  const [deploymentResult, setDeploymentResult] = useState(null);
+  const [isRollingBack, setIsRollingBack] = useState(false);
+  const [deployConcurrency, setDeployConcurrency] = useState(DEFAULT_DEPLOY_CONCURRENCY);
+  const [deployProgress, setDeployProgress] = useState(null);
+  const deployAbortController = useRef(null);
+
+  // Changeset State
+  const [changesetForm, setChangesetForm] = useState({ name: '', version: '1', ticket: '' });
+  const [loadedChangeset, setLoadedChangeset] = useState(null);
+
+  // ========================================================================
+  // COMPUTED VALUES & EFFECTS
+  // ========================================================================
+
+  const themeClasses = getThemeClasses(isDark, branding);
+
+  // Log off after IDLE_TIMEOUT_MS without activity in this or any other tab, warning for the last
+  // IDLE_WARNING_MS; a running deployment keeps the session alive
+  useEffect(() => {
+    if (!isLoggedIn || isDeploying) return;
+    lastActivityAt.current = Date.now();
+    const noteActivity = () => {
+      // Once the warning is open only its buttons decide
+      if (Date.now() - lastActivityAt.current >= IDLE_TIMEOUT_MS - IDLE_WARNING_MS) return;
+      lastActivityAt.current = Date.now();
+      sessionService.noteActivity();
+    };
+    const unsubscribe = sessionService.subscribe((message) => {
+      if (message?.type === 'activity') lastActivityAt.current = Math.max(lastActivityAt.current, message.at);
+    });
+    const timer = setInterval(() => {
+      const remaining = IDLE_TIMEOUT_MS - (Date.now() - lastActivityAt.current);
+      if (remaining <= 0) {
+        clearInterval(timer);
+        handleLogout('idle');
+        return;
+      }
+      setIdleSecondsLeft(remaining <= IDLE_WARNING_MS ? Math.ceil(remaining / 1000) : null);
+    }, 1000);
+    const activityEvents = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+    activityEvents.forEach(event => window.addEventListener(event, noteActivity, { passive: true }));
+    return () => {
+      clearInterval(timer);
+      unsubscribe();
+      activityEvents.forEach(event => window.removeEventListener(event, noteActivity));
+    };
+  }, [isLoggedIn, isDeploying, handleLogout]);
+
+  const handleStaySignedIn = () => {
+    lastActivityAt.current = Date.now();
+    sessionService.noteActivity();
+    setIdleSecondsLeft(null);
+  };
+
+  // Logging out in one tab logs out every other tab
+  useEffect(() => {
+    if (!isLoggedIn) return;
+    return sessionService.subscribe((message) => {
+      if (message?.type === 'logout') handleLogout('remote');
+    });
+  }, [isLoggedIn, handleLogout]);
+
+  // Close the vault session when the tab is closed or reloaded; the page cannot wait for the answer.
+  // A session kept in sessionStorage is left open so a reload can carry on with it.
+  useEffect(() => {
+    if (!isLoggedIn || SESSION_PERSISTENCE !== 'memory') return;
+    const logoffOnUnload = () => {
+      const token = sessionService.getToken();
+      if (loginMode !== 'pvwa' || !token || isDebugToken(token)) return;
+      endVaultSession(vaultUrl, token, { keepalive: true }).catch(() => {});
+    };
+    window.addEventListener('beforeunload', logoffOnUnload);
+    return () => window.removeEventListener('beforeunload', logoffOnUnload);
+  }, [isLoggedIn, vaultUrl, loginMode]);
+
+  // All staged queues, in the shape consumed by the deployment helpers
+  const stagedQueues = useMemo(() => ({
+    stagedSafes, stagedMembers, stagedAccounts,
+    stagedSafeRemovals, stagedMemberRemovals, stagedAccountRemovals,
+    stagedSafeModifications, stagedMemberModifications, stagedAccountModifications
+  }), [
+    stagedSafes, stagedMembers, stagedAccounts,
+    stagedSafeRemovals, stagedMemberRemovals, stagedAccountRemovals,
+    stagedSafeModifications, stagedMemberModifications, stagedAccountModifications
+  ]);
+
+  // Setter for each staged queue, keyed like stagedQueues
+  const stagedQueueSetters = useMemo(() => ({
+    stagedSafes: setStagedSafes,
+    stagedMembers: setStagedMembers,
+    stagedAccounts: setStagedAccounts,
+    stagedSafeRemovals: setStagedSafeRemovals,
+    stagedMemberRemovals: setStagedMemberRemovals,
+    stagedAccountRemovals: setStagedAccountRemovals,
+    stagedSafeModifications: setStagedSafeModifications,
+    stagedMemberModifications: setStagedMemberModifications,
+    stagedAccountModifications: setStagedAccountModifications
+  }), []);
+
+  const stagingConflicts = useMemo(() => findStagingConflicts(stagedQueues), [stagedQueues]);
+
+  // Platform IDs seen on vault accounts, used to normalize the casing of imported platform IDs
+  const knownPlatformIds = useMemo(
+    () => [...new Set(availableAccountsForModification.map(account => account.platform).filter(Boolean))],
+    [availableAccountsForModification]
+  );
+  const reportedConflicts = useRef([]);
+
+  // Restore the staged queues saved for this vault and user once logged in
+  const stagingKey = isLoggedIn ? stagingStorageKey(vaultUrl, username) : null;
+  // A Windows logon whose user name could not be looked up shares its key with every such logon on this browser
+  const isSharedStagingKey = isLoggedIn && loginMode === 'pvwa' && authMethod === 'Windows' && !username.trim();
+  const [restoredStagingKey, setRestoredStagingKey] = useState(null);
+  const pendingStagingSave = useRef(Promise.resolve());
+
+  useEffect(() => {
+    if (!stagingKey) {
+      setRestoredStagingKey(null);
+      return;
+    }
+    let cancelled = false;
+    loadStagedQueues(stagingKey)
+      .then((saved) => {
+        if (cancelled) return;
+        // Replace whatever is in memory so one user's staging never leaks into another's
+        Object.entries(stagedQueueSetters).forEach(([queue, setQueue]) => setQueue(saved?.queues[queue] || []));
+        if (saved) {
+          const count = Object.values(saved.queues).reduce((total, items) => total + items.length, 0);
+          showNotification(`Restored ${count} staged item${count !== 1 ? 's' : ''} from ${new Date(saved.savedAt).toLocaleString()}`, 'info');
+          if (isSharedStagingKey) {
+            showNotification('Your Windows user name could not be read from the vault, so these staged changes may have been saved by another Windows user of this browser. Review them before deploying.', 'warning');
+          }
+          if (saved.lostSecrets > 0) {
+            showNotification(`${saved.lostSecrets} saved secret${saved.lostSecrets !== 1 ? 's' : ''} could not be decrypted and must be re-entered.`, 'warning');
+          }
+        }
+      })
+      .catch((error) => {
+        console.error('Failed to restore staged changes:', error);
+        if (!cancelled) showNotification('Staged changes could not be restored from browser storage.', 'warning');
+      })
+      .finally(() => {
+        if (!cancelled) setRestoredStagingKey(stagingKey);
+      });
+    return () => { cancelled = true; };
+  }, [stagingKey, isSharedStagingKey, stagedQueueSetters, showNotification]);
+
+  // Save every change to the staged queues, but only after the restore has finished
+  useEffect(() => {
+    if (!stagingKey || restoredStagingKey !== stagingKey) return;
+    // Chain saves so an older snapshot can never overwrite a newer one
+    pendingStagingSave.current = pendingStagingSave.current
+      .then(() => saveStagedQueues(stagingKey, stagedQueues))
+      .catch((error) => console.error('Failed to save staged changes:', error));
+  }, [stagingKey, restoredStagingKey, stagedQueues]);
+
+  // Discard a previewed execution plan as soon as the staged queues change
+  useEffect(() => {
+    setExecutionPlan(null);
+  }, [stagedQueues]);
+
+  // Flag contradictory combinations as soon as they are staged
+  useEffect(() => {
+    const newConflicts = stagingConflicts.filter(conflict => !reportedConflicts.current.includes(conflict));
+    if (newConflicts.length > 0) {
+      const more = newConflicts.length > 1 ? ` (+${newConflicts.length - 1} more)` : '';
+      showNotification(`⚠ ${newConflicts[0]}${more}`, 'warning');
+    }
+    reportedConflicts.current = stagingConflicts;
+  }, [stagingConflicts, showNotification]);
+
+  // Update dark mode class on html element
+  useEffect(() => {
+    if (isDark) document.documentElement.classList.add('dark');
+    else document.documentElement.classList.remove('dark');
+  }, [isDark]);
+
+  // Fetch Safes when accessing safe-modify or safe-remove tabs
+  useEffect(() => {
+    if ((activeTab === 'safe-modify' || activeTab === 'safe-remove') && authToken && safeAPI) {
+      let cancelled = false;
+      const fetchSafes = async () => {
+        try {
+          const safes = await safeAPI.getAll({
+            onProgress: ({ loaded, total }) => !cancelled && setInventoryProgress({ label: 'Safes', loaded, total })
+          });
+          if (cancelled) return;
+          // Convert API response to our format
+          const formattedSafes = Array.isArray(safes) ? safes.map(safe => ({
+            id: safe.safeName || safe.id,
+            name: safe.safeName || safe.name,
+            description: safe.description || '',
+            location: safe.location || '\\',
+            managingCPM: safe.managingCPM || 'CyberArk',
+            olacEnabled: Boolean(safe.olacEnabled),
+            autoPurgeEnabled: Boolean(safe.autoPurgeEnabled),
+            numberOfVersionsRetention: safe.numberOfVersionsRetention || null,
+            numberOfDaysRetention: safe.numberOfDaysRetention || null
+          })) : [];
+          
+          // Update both removal and modification arrays
+          setAvailableSafesForRemoval(formattedSafes);
+          setAvailableSafesForModification(formattedSafes);
+        } catch (error) {
+          console.error('Failed to fetch safes:', error);
+          // Keep existing data on error
+        } finally {
+          if (!cancelled) setInventoryProgress(null);
+        }
+      };
+      fetchSafes();
+      return () => {
+        cancelled = true;
+        setInventoryProgress(null);
+      };
+    }
+  }, [activeTab, authToken]);
+
+  // Fetch Members when accessing member-modify or member-remove tabs
+  useEffect(() => {
+    if ((activeTab === 'member-modify' || activeTab === 'member-remove') && authToken && memberAPI) {
+      let cancelled = false;
+      const fetchMembers = async () => {
+        try {
+          const { members, failedSafes } = await loadMemberInventory({ safeAPI, memberAPI }, {
+            onProgress: ({ loaded, total }) => !cancelled && setInventoryProgress({ label: 'Safe member lists', loaded, total })
+          });
+          if (cancelled) return;
+
+          // Update both removal and modification arrays
+          setAvailableMembersForRemoval(members);
+          setAvailableMembersForModification(members);
+          if (failedSafes.length > 0) {
+            showNotification(`Members of ${failedSafes.length} Safe${failedSafes.length !== 1 ? 's' : ''} could not be loaded: ${failedSafes.join(', ')}`, 'warning');
+          }
+        } catch (error) {
+          console.error('Failed to fetch members:', error);
+          // Keep existing data on error
+        } finally {
+          if (!cancelled) setInventoryProgress(null);
+        }
+      };
+      fetchMembers();
+      return () => {
+        cancelled = true;
+        setInventoryProgress(null);
+      };
+    }
+  }, [activeTab, authToken]);
+
+  // Fetch Accounts when accessing account-modify or account-remove tabs
+  useEffect(() => {
+    if ((activeTab === 'account-modify' || activeTab === 'account-remove') && authToken && accountAPI) {
+      let cancelled = false;
+      const fetchAccounts = async () => {
+        try {
+          const accounts = await accountAPI.getAll({
+            onProgress: ({ loaded, total }) => !cancelled && setInventoryProgress({ label: 'Accounts', loaded, total })
+          });
+          if (cancelled) return;
+          // Convert API response to our format
+          const formattedAccounts = Array.isArray(accounts) ? accounts.map(account => ({
+            id: account.id || account.object,
+            object: account.id || account.object,
+            username: account.userName || account.username,
+            address: account.address,
+            platform: account.platformId || account.platform,
+            safeName: account.safeName || account.safe
+          })) : [];
+          
+          // Update both removal and modification arrays
+          setAvailableAccountsForRemoval(formattedAccounts);
+          setAvailableAccountsForModification(formattedAccounts);
+        } catch (error) {
+          console.error('Failed to fetch accounts:', error);
+          // Keep existing data on error
+        } finally {
+          if (!cancelled) setInventoryProgress(null);
+        }
+      };
+      fetchAccounts();
+      return () => {
+        cancelled = true;
+        setInventoryProgress(null);
+      };
+    }
+  }, [activeTab, authToken]);
+
+  // Skips members and accounts that are already staged (or listed twice)
+  const keepUnstaged = (items, staged, keyOf) => {
+    const seen = new Set(staged.map(keyOf));
+    return items.filter(item => {
+      if (seen.has(keyOf(item))) return false;
+      seen.add(keyOf(item));
+      return true;
+    });
+  };
+
+  /**
+   * Queues new Safes together with the creation members of those that add
+   * members on creation, plus any `members` staged alongside them. Each Safe
+   * records the creation members it brought so the queue can show them.
+   * Returns the member entries actually staged and how many were already staged.
+   */
+  const stageNewSafes = (safes, members = []) => {
+    const creationMembers = safes.map(safe =>
+      (safe.addMembersOnCreation ? buildSafeCreationMembers(safe.name, managedStandardMembers) : []));
+    const candidates = [...creationMembers.flat(), ...members];
+    const newMembers = keepUnstaged(candidates, stagedMembers, memberAssignmentKey);
+    setStagedSafes([
+      ...stagedSafes,
+      ...safes.map((safe, index) => ({ ...safe, creationMembers: creationMembers[index].map(entry => entry.member) }))
+    ]);
+    setStagedMembers([...stagedMembers, ...newMembers]);
+    return { newMembers, skipped: candidates.length - newMembers.length };
+  };
+
+  // Removes a queued Safe and the creation members it brought along
+  const handleRemoveStagedSafe = (index) => {
+    const safe = stagedSafes[index];
+    setStagedSafes(stagedSafes.filter((_, i) => i !== index));
+    setStagedMembers(stagedMembers.filter(entry => !(entry.addedWithSafe && safeKey(entry.safe) === safeKey(safe.name))));
+  };
+
+  // Removes a queued member; a creation member also leaves its Safe's list
+  const handleRemoveStagedMember = (index) => {
+    const entry = stagedMembers[index];
+    setStagedMembers(stagedMembers.filter((_, i) => i !== index));
+    if (entry.addedWithSafe) {
+      setStagedSafes(stagedSafes.map(safe => (safeKey(safe.name) === safeKey(entry.safe)
+        ? { ...safe, creationMembers: (safe.creationMembers || []).filter(name => name !== entry.member) }
+        : safe)));
+    }
+  };
+
+  const handleAddSafeToStage = () => {
+    const retentionValue = retentionMode === 'versions' ? versionRetention : daysRetention;
+    const errors = validateSafeInput(
+      { name: customSafeName, retentionMode, retentionValue, location: safeLocation },
+      { namingPolicy: safeNamingPolicy }
+    );
+    if (errors.length > 0) {
+      return showNotification(errors[0], "error");
+    }
+    const newSafe = {
+      name: customSafeName,
+      description: safeDescription,
+      location: safeLocation.trim(),
+      CPMManaging: managingCPM,
+      olacEnabled: safeOlacEnabled,
+      autoPurgeEnabled: safeAutoPurgeEnabled,
+      addMembersOnCreation: safeAddMembersOnCreation,
+      retentionMode: retentionMode,
+      retentionValue: retentionValue
+    };
+    stageNewSafes([newSafe]);
+    setCustomSafeName('');
+    setSafeDescription('');
+    setManagingCPM(DEFAULT_MANAGING_CPM);
+    setSafeLocation('');
+    setSafeOlacEnabled(false);
+    setSafeAutoPurgeEnabled(false);
+    setSafeAddMembersOnCreation(true);
+    setRetentionMode('versions');
+    setVersionRetention('');
+    setDaysRetention('');
+  };
+
+  // ========================================================================
+  // EVENT HANDLERS - Safe Blueprints
+  // ========================================================================
+
+  // Stages the blueprint's Safe, members and accounts together, or nothing if any of them is invalid.
+  // Returns true once staged so the blueprint form can clear its placeholders
+  const handleStageBlueprint = (blueprint, values) => {
+    const { safe, members, accounts, errors } = expandSafeBlueprint(blueprint, values, {
+      standardMembers: managedStandardMembers,
+      namingPolicy: safeNamingPolicy
+    });
+    if (errors.length > 0) {
+      return showNotification(errors[0], 'error');
+    }
+    if (stagedSafes.some(staged => safeKey(staged.name) === safeKey(safe.name))) {
+      return showNotification(`Safe "${safe.name}" is already in the creation queue!`, 'error');
+    }
+    if (availableSafesForModification.some(existing => safeKey(existing.name) === safeKey(safe.name))) {
+      return showNotification(`Safe "${safe.name}" already exists in the vault!`, 'error');
+    }
+
+    // Like the standard member fan-out, skip members and accounts that are already staged
+    const { newMembers, skipped: skippedMembers } = stageNewSafes([safe], members);
+    const newAccounts = keepUnstaged(accounts, stagedAccounts, accountKey);
+    const skipped = skippedMembers + accounts.length - newAccounts.length;
+    setStagedAccounts([...stagedAccounts, ...newAccounts]);
+    showNotification(
+      `✓ Staged "${safe.name}" with ${newMembers.length} member${newMembers.length !== 1 ? 's' : ''} and ${newAccounts.length} account${newAccounts.length !== 1 ? 's' : ''}` +
+        (skipped > 0 ? ` (${skipped} already staged)` : ''),
+      'success'
+    );
+    return true;
+  };
+
+  // Returns true once saved so the blueprint form can close
+  const handleSaveBlueprint = ({ name, description, safeName, placeholders }) => {
+    const safe = stagedSafes.find(staged => safeKey(staged.name) === safeKey(safeName));
+    if (!safe) {
+      return showNotification('Please choose a queued Safe to save as a blueprint!', 'error');
+    }
+    if (DEFAULT_SAFE_BLUEPRINTS.some(blueprint => blueprint.name.toLowerCase() === name.toLowerCase())) {
+      return showNotification(`"${name}" is a built-in blueprint; please choose another name!`, 'error');
+    }
+    const blueprint = createSafeBlueprint({
+      name,
+      description,
+      safe,
+      // Creation members come back through the Safe's addMembersOnCreation setting
+      members: stagedMembers.filter(entry => safeKey(entry.safe) === safeKey(safe.name) && !entry.addedWithSafe),
+      accounts: stagedAccounts.filter(account => safeKey(account.safeName) === safeKey(safe.name)),
+      placeholders,
+      standardMembers: managedStandardMembers
+    });
+    // Blueprint names are unique regardless of case; saving under an existing name replaces it
+    const blueprints = [
+      ...savedSafeBlueprints.filter(saved => saved.name.toLowerCase() !== name.toLowerCase()),
+      blueprint
+    ].sort((a, b) => a.name.localeCompare(b.name));
+    writeSafeBlueprints(blueprints);
+    setSavedSafeBlueprints(blueprints);
+    const placeholderCount = listBlueprintPlaceholders(blueprint).length;
+    showNotification(`✓ Saved blueprint "${name}" with ${placeholderCount} placeholder${placeholderCount !== 1 ? 's' : ''}`, 'success');
+    return true;
+  };
+
+  const handleDeleteBlueprint = (name) => {
+    const blueprints = savedSafeBlueprints.filter(saved => saved.name !== name);
+    writeSafeBlueprints(blueprints);
+    setSavedSafeBlueprints(blueprints);
+    showNotification(`Deleted blueprint "${name}"`, 'info');
+  };
+
+  // ========================================================================
+  // EVENT HANDLERS - Member Management
+  // ========================================================================
+
+  // Standard members go to the Target Safe field, the extra targets and optionally every queued Safe
+  const standardMemberTargetSafes = [
+    targetSafe,
+    ...standardMemberTargets,
+    ...(includeQueuedSafes ? stagedSafes.map(safe => safe.name) : [])
+  ]
+    .map(name => name.trim())
+    .filter((name, index, names) => name && names.findIndex(other => safeKey(other) === safeKey(name)) === index);
+
+  const handleAddStandardMembers = () => {
+    if (standardMemberTargetSafes.length === 0) return showNotification("Please specify at least one target Safe!", "error");
+    const selectedMembers = Object.keys(standardMembersSelection).filter(key => standardMembersSelection[key]);
+    if (selectedMembers.length === 0) return showNotification("Please select at least one standard member!", "error");
+
+    // Skip assignments that are already staged so repeated fan-outs stay idempotent
+    const stagedAssignments = new Set(stagedMembers.map(memberAssignmentKey));
+    const candidates = standardMemberTargetSafes.flatMap(safe => selectedMembers.map(memberKey => {
+      const member = managedStandardMembers.find(m => m.member === memberKey);
+      const perms = standardMembersPermissions[memberKey] ? { ...standardMembersPermissions[memberKey] } : { ...member.perms };
+      return {
+        safe,
+        member: member.member,
+        domain: member.domain,
+        perms: perms,
+        roleLabel: detectRoleFromPermissions(perms)
+      };
+    }));
+    const newEntries = candidates.filter(entry => !stagedAssignments.has(memberAssignmentKey(entry)));
+    const skipped = candidates.length - newEntries.length;
+
+    setStagedMembers([...stagedMembers, ...newEntries]);
+    setStandardMembersSelection({});
+    setStandardMembersPermissions({});
+    setStandardMemberTargets([]);
+    setIncludeQueuedSafes(false);
+    showNotification(
+      `✓ ${newEntries.length} member assignment${newEntries.length !== 1 ? 's' : ''} staged across ${standardMemberTargetSafes.length} Safe${standardMemberTargetSafes.length !== 1 ? 's' : ''}` +
+        (skipped > 0 ? ` (${skipped} already staged)` : ''),
+      newEntries.length > 0 ? 'success' : 'warning'
+    );
+  };
+
+  const handleAddCustomMember = () => {
+    if (!targetSafe || !memberName) return showNotification("Please specify a target Safe and member name!", "error");
+    const detectedRole = detectRoleFromPermissions(memberPermissions);
+    setStagedMembers([...stagedMembers, {
+      safe: targetSafe,
+      member: memberName,
+      domain: memberDomain,
+      perms: { ...memberPermissions },
+      roleLabel: detectedRole
+    }]);
+    setMemberName('');
+  };
+
+  // ========================================================================
+  // EVENT HANDLERS - Account Management
+  // ========================================================================
+
+  const handleAddAccountToQueue = () => {
+    const errors = validateAccountInput({
+      object: accObject, address: accAddress, userName: accUsername, platformId: accPlatformId, safeName: accSafeName
+    });
+    if (errors.length > 0) {
+      return showNotification(errors[0], "error");
+    }
+    setStagedAccounts([...stagedAccounts, {
+      object: accObject,
+      address: accAddress,
+      userName: accUsername,
+      secret: accPassword,
+      platformId: accPlatformId,
+      safeName: accSafeName,
+      automaticManagement: accAutoMgmt,
+      manualManagementReason: accAutoMgmt ? '' : accManualReason,
+      remoteMachines: accRemoteMachines
+    }]);
+    // Reset form
+    setAccAddress('');
+    setAccUsername('');
+    setAccManualReason('');
+    setAccObject('');
+    setAccPassword('');
+    setAccRemoteMachines('');
+  };
+
+  // ========================================================================
+  // EVENT HANDLERS - Safe Removal
+  // ========================================================================
+
+  const handleStageSafeRemovals = () => {
+    const selectedIds = Object.keys(selectedSafesForRemoval).filter(key => selectedSafesForRemoval[key]);
+    if (selectedIds.length === 0) {
+      return showNotification("Please select at least one Safe to remove!", "error");
+    }
+    const itemsToRemove = availableSafesForRemoval.filter(safe => 
+      selectedIds.includes(safe.id) && !stagedSafeRemovals.some(staged => staged.id === safe.id)
+    );
+    if (itemsToRemove.length === 0) {
+      return showNotification("All selected Safes are already queued!", "warning");
+    }
+    setStagedSafeRemovals([...stagedSafeRemovals, ...itemsToRemove]);
+    setSelectedSafesForRemoval({});
+    setSafeRemovalFilter('');
+  };
+
+  // ========================================================================
+  // EVENT HANDLERS - Member Removal
+  // ========================================================================
+
+  const handleStageMemberRemovals = () => {
+    const selectedIds = Object.keys(selectedMembersForRemoval).filter(key => selectedMembersForRemoval[key]);
+    if (selectedIds.length === 0) {
+      return showNotification("Please select at least one Member to remove!", "error");
+    }
+    const itemsToRemove = availableMembersForRemoval.filter(member => selectedIds.includes(member.id));
+    const stagedIds = stagedMemberRemovals.map(m => m.id);
+    const duplicates = itemsToRemove.filter(item => stagedIds.includes(item.id));
+    if (duplicates.length > 0) {
+      return showNotification(`The following member(s) are already staged for removal: ${duplicates.map(d => d.member).join(', ')}`, "warning");
+    }
+    setStagedMemberRemovals([...stagedMemberRemovals, ...itemsToRemove]);
+    setSelectedMembersForRemoval({});
+    setMemberRemovalFilter('');
+    setMemberRemovalSafeFilter('');
+  };
+
+  // ========================================================================
+  // EVENT HANDLERS - Account Removal
+  // ========================================================================
+
+  const handleStageAccountRemovals = () => {
+    const selectedIds = Object.keys(selectedAccountsForRemoval).filter(key => selectedAccountsForRemoval[key]);
+    if (selectedIds.length === 0) {
+      return showNotification("Please select at least one Account to remove!", "error");
+    }
+    const itemsToRemove = availableAccountsForRemoval.filter(account => selectedIds.includes(account.id));
+    const stagedIds = stagedAccountRemovals.map(a => a.id);
+    const duplicates = itemsToRemove.filter(item => stagedIds.includes(item.id));
+    if (duplicates.length > 0) {
+      return showNotification(`The following account(s) are already staged for removal: ${duplicates.map(d => d.username).join(', ')}`, "warning");
+    }
+    setStagedAccountRemovals([...stagedAccountRemovals, ...itemsToRemove]);
+    setSelectedAccountsForRemoval({});
+    setAccountRemovalFilter('');
+    setAccountRemovalSafeFilter('');
+  };
+
+  // ========================================================================
+  // EVENT HANDLERS - Safe Modification
+  // ========================================================================
+
+  /**
+   * Points staged members and accounts (additions, modifications and removals)
+   * at a Safe's new name after a rename, or back again when the rename is
+   * dropped. Returns how many staged items were changed.
+   */
+  const rekeyStagedSafeReferences = (fromName, toName) => {
+    let changed = 0;
+    const rekey = (items, field) => items.map(item => {
+      if (safeKey(item[field]) !== safeKey(fromName)) return item;
+      changed++;
+      return { ...item, [field]: toName };
+    });
+    setStagedMembers(rekey(stagedMembers, 'safe'));
+    setStagedMemberModifications(rekey(stagedMemberModifications, 'safe'));
+    setStagedMemberRemovals(rekey(stagedMemberRemovals, 'safe'));
+    setStagedAccounts(rekey(stagedAccounts, 'safeName'));
+    setStagedAccountModifications(rekey(stagedAccountModifications, 'safeName'));
+    setStagedAccountRemovals(rekey(stagedAccountRemovals, 'safeName'));
+    return changed;
+  };
+
+  const handleSaveModifiedSafe = (safeId) => {
+    const baseSafe = availableSafesForModification.find(s => s.id === safeId);
+    const stagedModification = stagedSafeModifications.find(s => s.id === safeId);
+    
+    // Determine retention type from editedSafeData or existing safe
+    const retentionType = editedSafeData.retentionType || (baseSafe.numberOfVersionsRetention ? 'versions' : 'days');
+    const retentionValue = editedSafeData.retentionValue || 
+      (retentionType === 'versions' ? baseSafe.numberOfVersionsRetention : baseSafe.numberOfDaysRetention);
+    const name = (editedSafeData.name ?? baseSafe.name).trim();
+    const location = editedSafeData.location !== undefined ? editedSafeData.location.trim() : baseSafe.location;
+    // Existing names and retention are left alone; only changed values are checked
+    const retentionChanged = editedSafeData.retentionType !== undefined || editedSafeData.retentionValue !== undefined;
+    const errors = validateSafeInput(
+      { name, retentionMode: retentionType, retentionValue, location },
+      { namingPolicy: name !== baseSafe.name ? safeNamingPolicy : null, checkRetention: retentionChanged }
+    );
+    // A case-only rename keeps the Safe's identity; any other new name must be free
+    const nameTaken = safeKey(name) !== safeKey(baseSafe.id) && [
+      ...availableSafesForModification.map(s => s.name),
+      ...stagedSafes.map(s => s.name),
+      ...stagedSafeModifications.filter(s => s.id !== safeId).map(s => s.name)
+    ].some(existing => safeKey(existing) === safeKey(name));
+    if (nameTaken) errors.push(`A Safe named "${name}" already exists or is staged!`);
+    const isStagedForRemoval = stagedSafeRemovals.some(removal => removal.id === safeId || safeKey(removal.name) === safeKey(baseSafe.name));
+    if (name !== baseSafe.id && isStagedForRemoval) {
+      errors.push(`Safe "${baseSafe.name}" is staged for removal and cannot be renamed!`);
+    }
+    if (errors.length > 0) {
+      return showNotification(errors[0], "error");
+    }
+    
+    const editedSafe = {
+      ...baseSafe,
+      name,
+      description: editedSafeData.description !== undefined ? editedSafeData.description : baseSafe.description,
+      location,
+      managingCPM: editedSafeData.managingCPM !== undefined ? editedSafeData.managingCPM : baseSafe.managingCPM,
+      olacEnabled: editedSafeData.olacEnabled !== undefined ? editedSafeData.olacEnabled : baseSafe.olacEnabled,
+      autoPurgeEnabled: editedSafeData.autoPurgeEnabled !== undefined ? editedSafeData.autoPurgeEnabled : baseSafe.autoPurgeEnabled,
+      numberOfVersionsRetention: retentionType === 'versions' ? retentionValue : undefined,
+      numberOfDaysRetention: retentionType === 'days' ? retentionValue : undefined,
+      // The vault copy, for the before/after view in the queue
+      original: baseSafe
+    };
+    
+    const previousName = stagedModification ? stagedModification.name : baseSafe.name;
+    const rekeyed = previousName !== name ? rekeyStagedSafeReferences(previousName, name) : 0;
+    const rekeyNote = rekeyed > 0 ? ` ${rekeyed} staged item${rekeyed !== 1 ? 's' : ''} now target${rekeyed === 1 ? 's' : ''} "${name}".` : '';
+    if (stagedModification) {
+      setStagedSafeModifications(stagedSafeModifications.map(s => s.id === safeId ? editedSafe : s));
+      showNotification(`Safe "${editedSafe.name}" updated in staging!${rekeyNote}`, "success");
+    } else {
+      setStagedSafeModifications([...stagedSafeModifications, editedSafe]);
+      showNotification(`Safe "${editedSafe.name}" staged for modification!${rekeyNote}`, "success");
+    }
+    setEditingSafeId(null);
+    setEditedSafeData({});
+  };
+
+  // Dropping a staged rename points the staged members and accounts back at the Safe's current name
+  const handleRemoveSafeModification = (index) => {
+    const safe = stagedSafeModifications[index];
+    if (safe.name !== safe.id) {
+      const rekeyed = rekeyStagedSafeReferences(safe.name, safe.id);
+      if (rekeyed > 0) {
+        showNotification(`Rename of "${safe.id}" dropped; ${rekeyed} staged item${rekeyed !== 1 ? 's' : ''} target "${safe.id}" again.`, 'info');
+      }
+    }
+    setStagedSafeModifications(stagedSafeModifications.filter((_, i) => i !== index));
+  };
+
+  // ========================================================================
+  // EVENT HANDLERS - Member Modification
+  // ========================================================================
+
+  const handleSaveModifiedMember = (memberId) => {
+    const baseMember = availableMembersForModification.find(m => m.id === memberId);
+    const editedMember = {
+      ...baseMember,
+      ...editedMemberData,
+      // Auto-detect role from permissions
+      role: detectRoleFromPermissions(editedMemberData.perms || baseMember.perms || {})
+    };
+    const stagedIds = stagedMemberModifications.map(m => m.id);
+    if (stagedIds.includes(memberId)) {
+      setStagedMemberModifications(stagedMemberModifications.map(m => m.id === memberId ? editedMember : m));
+      showNotification(`Member "${editedMember.member}" updated in staging!`, "success");
+    } else {
+      setStagedMemberModifications([...stagedMemberModifications, editedMember]);
+      showNotification(`Member "${editedMember.member}" staged for modification!`, "success");
+    }
+    setEditingMemberId(null);
+    setEditedMemberData({});
+  };
+
+  // ========================================================================
+  // EVENT HANDLERS - Account Modification
+  // ========================================================================
+
+  const handleSaveModifiedAccount = (accountId) => {
+    const editedAccount = {
+      ...availableAccountsForModification.find(a => a.id === accountId),
+      ...editedAccountData
+    };
+    const stagedIds = stagedAccountModifications.map(a => a.id);
+    if (stagedIds.includes(accountId)) {
+      setStagedAccountModifications(stagedAccountModifications.map(a => a.id === accountId ? editedAccount : a));
+      showNotification(`Account "${editedAccount.username}" updated in staging!`, "success");
+    } else {
+      setStagedAccountModifications([...stagedAccountModifications, editedAccount]);
+      showNotification(`Account "${editedAccount.username}" staged for modification!`, "success");
+    }
+    setEditingAccountId(null);
+    setEditedAccountData({});
+  };
+
+  // ========================================================================
+  // RENDER - Logo Component
+  // ========================================================================
+
+  const LogoComponent = () => {
+    const LogoIcon = AVAILABLE_LOGO_ICONS[branding.logoIcon] || Shield;
+    return (
+      <div className="flex items-center gap-3">
+        {branding.logoImageUrl ? (
+          // Custom image logo
+          <div className="flex-shrink-0 rounded-xl shadow-md overflow-hidden">
+            <img
+              src={branding.logoImageUrl}
+              alt="Logo"
+              className="h-10 w-10 object-cover"
+            />
+          </div>
+        ) : (
+          // Icon-based logo
+          <div className="p-2 rounded-xl shadow-md flex-shrink-0" style={{ backgroundColor: branding.logoBgColor }}>
+            <LogoIcon size={20} color="white" />
+          </div>
+        )}
+        <div className="text-left">
+          <span
+            style={{ color: themeClasses.text }}
+            className="font-black text-xl tracking-tight block leading-none"
+          >
+            {branding.siteName}
+          </span>
+        </div>
+      </div>
+    );
+  };
+
+  const DebugModeIndicator = () => {
+    if (!DEBUG_MODE) return null;
+
+    return (
+      <div className="fixed bottom-4 right-4 z-10 pointer-events-none px-4 py-2 rounded-full bg-amber-500/90 text-slate-900 text-xs font-black uppercase tracking-widest shadow-lg border border-amber-600">
+        🔧 Debug Mode Enabled
+      </div>
+    );
+  };
+
+  // ========================================================================
+  // DYNAMIC API LAYER - CyberArk REST API with Current Auth State
+  // ========================================================================
+  
+  // Create dynamic API functions that use current authToken and vaultUrl from state
+  const { makeAPIRequest, checkConnection, safeAPI, memberAPI, accountAPI, planAPI } = useMemo(() => {
+    // Same PasswordVault/API root as logon and logoff, in both login modes
+    const baseURL = pvwaApiRoot(vaultUrl);
+
+    /**
+     * Generic API request wrapper for CyberArk REST calls
+     * Handles Bearer token authentication, error handling, and JSON serialization.
+     * Each attempt is aborted after `timeoutMs`; retryable failures are retried up
+     * to `maxRetries` times, waiting for Retry-After or an exponential backoff.
+     * Passing `signal` lets the caller cancel the request, including its retries.
+     * A 401 pauses the call until the operator signs in again, then repeats it once
+     * with the new token.
+     */
+    const makeAPIRequest = async (endpoint, options = {}) => {
+      const url = `${baseURL}${endpoint}`;
+      const {
+        timeoutMs = API_REQUEST_POLICY.timeoutMs,
+        maxRetries = API_REQUEST_POLICY.maxRetries,
+        signal,
+        ...requestOptions
+      } = options;
+      const method = (requestOptions.method || 'GET').toUpperCase();
+      
+      let reauthenticated = false;
+      
+      for (let attempt = 1; ; attempt++) {
+        const defaultOptions = {
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${sessionService.getToken()}`
+          }
+        };
+        
+        const finalOptions = {
+          ...defaultOptions,
+          ...requestOptions,
+          headers: { ...defaultOptions.headers, ...requestOptions.headers }
+        };
+        
+        const controller = new AbortController();
+        const cancelAttempt = () => controller.abort();
+        const timer = setTimeout(cancelAttempt, timeoutMs);
+        signal?.addEventListener('abort', cancelAttempt, { once: true });
+        let failure;
+
+        try {
+          if (signal?.aborted) controller.abort();
+          const response = await fetch(url, { ...finalOptions, signal: controller.signal });
+          
+          if (response.ok) {
+            return await response.json().catch(() => ({}));
+          }
+          const errorData = await response.json().catch(() => ({}));
+          failure = {
+            status: response.status,
+            body: errorData,
+            message: errorData.error || errorData.message || errorData.ErrorMessage ||
+              `API Error ${response.status}: ${response.statusText}`,
+            retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+          };
+        } catch (error) {
+          const cancelled = Boolean(signal?.aborted);
+          const timedOut = !cancelled && controller.signal.aborted;
+          failure = {
+            status: null,
+            body: null,
+            message: cancelled ? 'Request was cancelled' : timedOut ? `Request timed out after ${timeoutMs} ms` : error.message,
+            timedOut,
+            cancelled
+          };
+        } finally {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', cancelAttempt);
+        }
+
+        if (failure.status === 401 && !reauthenticated && !signal?.aborted) {
+          const resumed = await requestReauthentication().then(() => true, () => false);
+          if (resumed) {
+            reauthenticated = true;
+            continue;
+          }
+          failure.message = 'Session expired and re-authentication was cancelled';
+        }
+
+        if (failure.cancelled || attempt > maxRetries || !isRetryableFailure(method, failure.status)) {
+          throw new CyberArkAPIError(`CyberArk API Request Failed: ${failure.message}`, {
+            status: failure.status,
+            body: failure.body,
+            method,
+            endpoint,
+            attempts: attempt,
+            timedOut: failure.timedOut,
+            cancelled: failure.cancelled
+          });
+        }
+        const delay = failure.retryAfter ?? backoffDelay(attempt);
+        await waitFor(Math.min(delay, API_REQUEST_POLICY.maxRetryAfterMs), signal);
+      }
+    };
+
+    /**
+     * Dry-run request recorder used by the execution plan.
+     * Resolves with the request that would be sent instead of calling fetch.
+     */
+    const planAPIRequest = async (endpoint, options = {}) => {
+      const payload = options.body ? JSON.parse(options.body) : null;
+      return {
+        method: options.method || 'GET',
+        endpoint,
+        url: `${baseURL}${endpoint}`,
+        // Never surface secrets in a plan that is shared for sign-off
+        payload: payload && payload.secret ? { ...payload, secret: '********' } : payload
+      };
+    };
+
+    return {
+      makeAPIRequest,
+      checkConnection: () => probeVaultHealth(`${baseURL}/safes?limit=1`, sessionService.getToken()),
+      ...createCyberArkAPI(makeAPIRequest),
+      planAPI: createCyberArkAPI(planAPIRequest)
+    };
+  }, [vaultUrl, requestReauthentication]);
+
+  // Re-check the vault every HEALTH_CHECK_POLICY.intervalMs, and straight away after signing in or renewing the token
+  const isDebugSession = isDebugToken(authToken);
+  useEffect(() => {
+    if (!isLoggedIn || !authToken || isDebugSession) return;
+    let cancelled = false;
+    const runCheck = () => checkConnection().then(result => {
+      if (!cancelled) setConnectionHealth(result);
+    });
+    runCheck();
+    const timer = setInterval(runCheck, HEALTH_CHECK_POLICY.intervalMs);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [isLoggedIn, authToken, isDebugSession, checkConnection]);
+
+  const handleCheckConnection = async () => {
+    setConnectionHealth(await checkConnection());
+  };
+
+  // Health shown on the dashboard
+  const displayedHealth = isDebugSession
+    ? { status: 'DEBUG', latencyMs: null, checkedAt: null, detail: 'Debug mode has no vault to check' }
+    : connectionHealth || { status: 'CHECKING', latencyMs: null, checkedAt: null, detail: null };
+
+  // ========================================================================
+  // EVENT HANDLERS - Deployment
+  // ========================================================================
+
+  const deploymentSteps = useMemo(() => orderDeploymentSteps(buildDeploymentSteps(stagedQueues)), [stagedQueues]);
+
+  const handlePreviewExecutionPlan = async () => {
+    if (deploymentSteps.length === 0) {
+      return showNotification('No staged items to preview!', 'warning');
+    }
+    const steps = await buildExecutionPlan(deploymentSteps, planAPI);
+    setExecutionPlan({
+      generatedAt: new Date().toISOString(),
+      vaultUrl,
+      steps
+    });
+  };
+
+  const handleDeploy = async () => {
+    const totalItems = deploymentSteps.length;
+    if (totalItems === 0) {
+      showNotification('No staged items to deploy!', 'warning');
+      return;
+    }
+
+    // Every step starts as skipped and is only marked otherwise once it has run
+    const results = deploymentSteps.map(step => ({
+      queue: step.queue,
+      label: step.label,
+      action: step.action,
+      resource: step.resource,
+      status: 'skipped',
+      httpStatus: null,
+      attempts: null,
+      error: null,
+      errorBody: null,
+      skipReason: null
+    }));
+    const indexByKey = new Map(deploymentSteps.map((step, index) => [step.key, index]));
+    const succeededItems = new Set();
+    const journal = [];
+    const startedAt = new Date().toISOString();
+    const abortController = new AbortController();
+    deployAbortController.current = abortController;
+
+    setIsDeploying(true);
+    setDeploymentResult(null);
+    setDeployProgress({ total: totalItems, succeeded: 0, failed: 0, skipped: 0, cancelling: false });
+    try {
+      showNotification(`Starting deployment of ${totalItems} items...`, "info");
+
+      await runDeploymentSteps(deploymentSteps, { safeAPI, memberAPI, accountAPI }, {
+        concurrency: deployConcurrency,
+        signal: abortController.signal,
+        onSettled: (step, outcome) => {
+          const i = indexByKey.get(step.key);
+          if (outcome.status === 'succeeded') {
+            results[i] = { ...results[i], status: 'succeeded' };
+            succeededItems.add(step.item);
+            // Journal entries are kept in completion order, which respects dependencies for rollback
+            journal.push(createJournalEntry(step, step.inverse(outcome.previous, outcome.response)));
+          } else if (outcome.status === 'failed') {
+            const { error } = outcome;
+            results[i] = {
+              ...results[i],
+              status: 'failed',
+              httpStatus: error.status ?? null,
+              attempts: error.attempts ?? null,
+              error: error.message,
+              errorBody: error.body ?? null
+            };
+            showNotification(`✗ ${step.label} failed: ${error.message}`, "error");
+          } else {
+            results[i] = { ...results[i], skipReason: outcome.skipReason };
+          }
+          setDeployProgress(current => ({ ...current, [outcome.status]: current[outcome.status] + 1 }));
+        }
+      });
+    } catch (error) {
+      showNotification(`Deployment error: ${error.message}`, "error");
+    } finally {
+      // Only successful items leave their queues so failures can be fixed and retried
+      const keepUnsucceeded = (items) => items.filter(item => !succeededItems.has(item));
+      Object.values(stagedQueueSetters).forEach(setQueue => setQueue(keepUnsucceeded));
+
+      const summary = summarizeDeploymentResults(results);
+      const cancelled = abortController.signal.aborted;
+      deployAbortController.current = null;
+      setDeploymentResult({ startedAt, finishedAt: new Date().toISOString(), items: results, journal });
+      setDeployProgress(null);
+      setIsDeploying(false);
+      showNotification(
+        `Deployment ${cancelled ? 'cancelled' : 'finished'}: ${summary.succeeded} succeeded, ${summary.failed} failed, ${summary.skipped} skipped.`,
+        summary.failed > 0 || summary.skipped > 0 ? 'warning' : 'success'
+      );
+    }
+  };
+
+  // Stops scheduling new deployment steps; calls already in flight are allowed to finish
+  const handleCancelDeployment = () => {
+    if (!deployAbortController.current) return;
+    deployAbortController.current.abort();
+    setDeployProgress(current => current && { ...current, cancelling: true });
+  };
+
+  const handleRollbackDeployment = async () => {
+    const pendingEntries = deploymentResult.journal.filter(entry => entry.status === 'pending' || entry.status === 'failed');
+    if (pendingEntries.length === 0) {
+      return showNotification('Nothing left to roll back for this deployment.', 'warning');
+    }
+    if (!window.confirm(`Roll back ${pendingEntries.length} change${pendingEntries.length !== 1 ? 's' : ''} from this deployment?`)) {
+      return;
+    }
+
+    setIsRollingBack(true);
+    const journal = [...deploymentResult.journal];
+    // Undo in reverse execution order so dependents are reverted before their parents
+    for (let i = journal.length - 1; i >= 0; i--) {
+      const entry = journal[i];
+      if (entry.status !== 'pending' && entry.status !== 'failed') continue;
+      try {
+        await entry.execute({ safeAPI, memberAPI, accountAPI });
+        journal[i] = { ...entry, status: 'rolled-back', error: null };
+      } catch (error) {
+        journal[i] = { ...entry, status: 'failed', error: error.message };
+      }
+    }
+    setDeploymentResult(current => ({ ...current, journal }));
+    setIsRollingBack(false);
+
+    const failed = journal.filter(entry => entry.status === 'failed').length;
+    showNotification(
+      failed > 0 ? `Rollback finished with ${failed} failure${failed !== 1 ? 's' : ''}.` : '✓ Deployment rolled back.',
+      failed > 0 ? 'warning' : 'success'
+    );
+  };
+
+  // ========================================================================
+  // EVENT HANDLERS - Changesets
+  // ========================================================================
+
+  const handleExportChangeset = () => {
+    if (deploymentSteps.length === 0) {
+      return showNotification('No staged items to export!', 'warning');
+    }
+    if (!changesetForm.name.trim()) {
+      return showNotification('Please enter a changeset name!', 'error');
+    }
+    const changeset = createChangesetDocument({ ...changesetForm, author: username, vaultUrl }, stagedQueues);
+    downloadJSON(changesetFileName(changeset.metadata), changeset);
+    const { secretsOmitted } = changeset.metadata;
+    showNotification(
+      secretsOmitted > 0
+        ? `✓ Changeset exported. ${secretsOmitted} account secret${secretsOmitted !== 1 ? 's were' : ' was'} left out and must be re-entered after import.`
+        : `✓ Changeset "${changeset.metadata.name}" exported.`,
+      secretsOmitted > 0 ? 'warning' : 'success'
+    );
+  };
+
+  const handleImportChangeset = async (file) => {
+    try {
+      const { metadata, queues } = parseChangesetDocument(await file.text());
+      if (deploymentSteps.length > 0 &&
+          !window.confirm(`Replace the ${deploymentSteps.length} currently staged item${deploymentSteps.length !== 1 ? 's' : ''} with changeset "${metadata.name}"?`)) {
+        return;
+      }
+      Object.entries(stagedQueueSetters).forEach(([queue, setQueue]) => setQueue(queues[queue]));
+      setLoadedChangeset(metadata);
+      setChangesetForm({ name: metadata.name, version: metadata.version || '1', ticket: metadata.ticket || '' });
+      showNotification(`✓ Loaded changeset "${metadata.name}" v${metadata.version || '1'}`, 'success');
+    } catch (error) {
+      showNotification(`✗ Could not import changeset: ${error.message}`, 'error');
+    }
+  };
+
+  // ========================================================================
+  // RENDER - Login Screen
+  // ========================================================================
+
+  if (!isLoggedIn) {
+    return (
+      <div className={`min-h-screen flex items-center justify-center p-6 transition-all duration-500 ${themeClasses.bg}`} style={themeClasses.bgStyle}>
+        <DebugModeIndicator />
+        <div className={`p-10 rounded-[2.5rem] shadow-2xl w-full max-w-sm border ${themeClasses.card}`} style={themeClasses.cardStyle}>
+          <div className="flex justify-center mb-10">
+            <LogoComponent />
+          </div>
+          <div className="space-y-4">
+            {/* Saved Connections */}
+            <ConnectionProfilePicker
+              profiles={connectionProfiles}
+              selected={activeProfile}
+              onSelect={handleSelectProfile}
+              onSave={handleSaveProfile}
+              onDelete={handleDeleteProfile}
+              disabled={isAuthenticating}
+              isDark={isDark}
+              themeClasses={themeClasses}
+            />
+
+            {/* Login Mode */}
+            <div className="grid grid-cols-2 gap-1">
+              {[['pvwa', 'Self-Hosted PVWA'], ['identity', 'Privilege Cloud']].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  onClick={() => {
+                    setLoginMode(mode);
+                    if (mode === 'identity' && !vaultUrl && DEFAULT_PRIVILEGE_CLOUD_URL) {
+                      setVaultUrl(DEFAULT_PRIVILEGE_CLOUD_URL);
+                    }
+                    setRadiusChallenge(null);
+                    if (authError) setAuthError('');
+                  }}
+                  disabled={isAuthenticating}
+                  className={`text-[10px] font-black py-2.5 rounded-lg uppercase tracking-wider border transition-all ${
+                    loginMode === mode
+                      ? 'bg-slate-800 border-slate-800 text-white'
+                      : isDark ? 'border-slate-700 text-slate-400 hover:bg-slate-800' : 'border-slate-300 text-slate-600 hover:bg-slate-100'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            <input
+              type="text"
+              value={vaultUrl}
+              onChange={(e) => {
+                setVaultUrl(e.target.value);
+                // Switch to the method last used against this vault
+                const rememberedMethod = recallAuthMethod(e.target.value);
+                if (rememberedMethod) setAuthMethod(rememberedMethod);
+                setRadiusChallenge(null);
+                if (authError) setAuthError('');
+              }}
+              placeholder={loginMode === 'identity' ? 'Privilege Cloud URL' : 'PVWA URL'}
+              className={`w-full p-3.5 rounded-xl border text-sm outline-none transition-all ${themeClasses.input}`}
+              style={themeClasses.inputStyle}
+            />
+
+            {loginMode === 'identity' ? (
+              <>
+                <input
+                  type="text"
+                  value={identityUrl}
+                  onChange={(e) => {
+                    setIdentityUrl(e.target.value);
+                    if (authError) setAuthError('');
+                  }}
+                  placeholder="Identity URL (https://tenant.id.cyberark.cloud)"
+                  className={`w-full p-3.5 rounded-xl border text-sm outline-none transition-all ${themeClasses.input}`}
+                  style={themeClasses.inputStyle}
+                />
+                <input
+                  type="text"
+                  value={identityTokenPath}
+                  onChange={(e) => setIdentityTokenPath(e.target.value)}
+                  placeholder={IDENTITY_PLATFORM_TOKEN_PATH}
+                  title="Token endpoint path on the Identity tenant"
+                  className={`w-full p-3.5 rounded-xl border text-sm font-mono outline-none transition-all ${themeClasses.input}`}
+                  style={themeClasses.inputStyle}
+                />
+                <input
+                  type="text"
+                  value={username}
+                  onChange={(e) => {
+                    setUsername(e.target.value);
+                    if (authError) setAuthError('');
+                  }}
+                  placeholder="Client ID / service user"
+                  className={`w-full p-3.5 rounded-xl border text-sm outline-none transition-all ${themeClasses.input}`}
+                  style={themeClasses.inputStyle}
+                />
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => {
+                    setPassword(e.target.value);
+                    if (authError) setAuthError('');
+                  }}
+                  placeholder="Client secret"
+                  className={`w-full p-3.5 rounded-xl border text-sm outline-none transition-all ${themeClasses.input}`}
+                  style={themeClasses.inputStyle}
+                />
+              </>
+            ) : (
+              <>
+                {/* Authentication Method */}
+                <div className="grid grid-cols-4 gap-1">
+                  {AUTH_METHODS.map(method => (
+                    <button
+                      key={method}
+                      onClick={() => {
+                        setAuthMethod(method);
+                        setRadiusChallenge(null);
+                        if (authError) setAuthError('');
+                      }}
+                      disabled={isAuthenticating}
+                      className={`text-[9px] font-black py-2 rounded-lg uppercase tracking-wider border transition-all ${
+                        authMethod === method
+                          ? 'bg-red-600 border-red-600 text-white'
+                          : isDark ? 'border-slate-700 text-slate-400 hover:bg-slate-800' : 'border-slate-300 text-slate-600 hover:bg-slate-100'
+                      }`}
+                    >
+                      {method}
+                    </button>
+                  ))}
+                </div>
+
+                {authMethod === 'Windows' ? (
+                  <p className="text-[10px] text-slate-500">
+                    Windows authentication signs in with the account you are logged on to this computer with.
+                  </p>
+                ) : radiusChallenge ? (
+                  <>
+                    <p className="text-xs font-bold text-blue-600">{radiusChallenge}</p>
+                    <input
+                      type="password"
+                      value={challengeResponse}
+                      onChange={(e) => {
+                        setChallengeResponse(e.target.value);
+                        if (authError) setAuthError('');
+                      }}
+                      placeholder="Response code"
+                      autoFocus
+                      className={`w-full p-3.5 rounded-xl border text-sm outline-none transition-all ${themeClasses.input}`}
+                      style={themeClasses.inputStyle}
+                    />
+                  </>
+                ) : (
+                  <>
+                    <input
+                      type="text"
+                      value={username}
+                      onChange={(e) => {
+                        setUsername(e.target.value);
+                        if (authError) setAuthError('');
+                      }}
+                      placeholder="Username"
+                      className={`w-full p-3.5 rounded-xl border text-sm outline-none transition-all ${themeClasses.input}`}
+                      style={themeClasses.inputStyle}
+                    />
+                    <input
+                      type="password"
+                      value={password}
+                      onChange={(e) => {
+                        setPassword(e.target.value);
+                        if (authError) setAuthError('');
+                      }}
+                      placeholder="Password"
+                      className={`w-full p-3.5 rounded-xl border text-sm outline-none transition-all ${themeClasses.input}`}
+                      style={themeClasses.inputStyle}
+                    />
+                    {changePassword && (
+                      <input
+                        type="password"
+                        value={newPassword}
+                        onChange={(e) => {
+                          setNewPassword(e.target.value);
+                          if (authError) setAuthError('');
+                        }}
+                        placeholder="New password"
+                        className={`w-full p-3.5 rounded-xl border text-sm outline-none transition-all ${themeClasses.input}`}
+                        style={themeClasses.inputStyle}
+                      />
+                    )}
+                  </>
+                )}
+
+                {/* Logon Options */}
+                <div className="space-y-2">
+                  <label className="flex items-center gap-2 text-[10px] font-bold text-slate-500 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={concurrentSession}
+                      onChange={(e) => setConcurrentSession(e.target.checked)}
+                      className="accent-red-600"
+                    />
+                    Allow concurrent sessions
+                  </label>
+                  {authMethod !== 'Windows' && !radiusChallenge && (
+                    <label className="flex items-center gap-2 text-[10px] font-bold text-slate-500 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={changePassword}
+                        onChange={(e) => {
+                          setChangePassword(e.target.checked);
+                          if (!e.target.checked) setNewPassword('');
+                        }}
+                        className="accent-red-600"
+                      />
+                      Change password while signing in
+                    </label>
+                  )}
+                </div>
+              </>
+            )}
+
+            <button
+              onClick={authenticate}
+              disabled={isAuthenticating}
+              className="w-full bg-red-600 text-white font-black py-4 rounded-xl shadow-lg uppercase tracking-widest transition-all hover:bg-red-700 disabled:opacity-70 disabled:cursor-not-allowed"
+            >
+              {isAuthenticating ? 'Authenticating...' : radiusChallenge ? 'Submit Response' : 'Authenticate'}
+            </button>
+            {radiusChallenge && (
+              <button
+                onClick={() => {
+                  setRadiusChallenge(null);
+                  setChallengeResponse('');
+                }}
+                className="w-full text-[10px] font-black uppercase tracking-widest text-slate-500 hover:text-slate-700"
+              >
+                Start Over
+              </button>
+            )}
+            
+            {/* DEBUG MODE BUTTON - Only shown when DEBUG_MODE is enabled */}
+            {DEBUG_MODE && (
+              <button
+                onClick={() => {
+                  // Set debug/test credentials
+                  setVaultUrl('https://cyberark-dev.local:8443');
+                  beginSession('debug_token_' + Date.now(), { vaultUrl: 'https://cyberark-dev.local:8443' });
+                  showNotification('✓ Debug mode enabled - bypassing authentication', 'success');
+                }}
+                className="w-full bg-slate-700 hover:bg-slate-800 text-white font-black py-3 rounded-xl shadow-lg uppercase tracking-widest transition-all text-xs"
+              >
+                🔧 Debug Mode (Skip Login)
+              </button>
+            )}
+
+            {authError && (
+              <div className="rounded-xl border border-red-400 bg-red-50 px-4 py-3 text-sm text-red-700" role="alert" aria-live="polite">
+                {authError}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // ========================================================================
+  // RENDER - Main Application
+  // ========================================================================
+
+  return (
+    <div className={`min-h-screen transition-all duration-500 ${themeClasses.bg}`} style={themeClasses.bgStyle}>
+      <DebugModeIndicator />
+      {/* Notification Popup */}
+      <NotificationPopup notification={notification} />
+
+      {/* Idle Timeout Warning */}
+      {idleSecondsLeft !== null && !isDeploying && (
+        <IdleTimeoutWarning
+          secondsLeft={idleSecondsLeft}
+          onStaySignedIn={handleStaySignedIn}
+          onLogout={() => handleLogout()}
+          isDark={isDark}
+          themeClasses={themeClasses}
+        />
+      )}
+
+      {/* Re-authentication Modal */}
+      {isReauthRequired && (
+        <ReauthenticationModal
+          vaultUrl={vaultUrl}
+          username={username}
+          authMethod={loginMode === 'identity' ? 'Identity' : authMethod}
+          onSubmit={handleReauthenticate}
+          onCancel={handleCancelReauthentication}
+          isDark={isDark}
+          themeClasses={themeClasses}
+        />
+      )}
+      
+      {/* Navigation Bar */}
+      <nav className={`sticky top-0 z-50 border-b transition-all ${themeClasses.navBg}`} style={themeClasses.navBgStyle}>
+        <EnvironmentBanner profile={activeProfile} vaultUrl={vaultUrl} />
+        <div className="max-w-6xl mx-auto px-6 h-20 flex justify-between items-center">
+          <LogoComponent />
+          
+          {/* Tab Navigation */}
+          <div className={`flex gap-2 items-center ${isDark ? 'bg-slate-800' : 'bg-slate-100'} rounded-xl p-1`}>
+            {/* Dashboard Button */}
+            <button
+              onClick={() => setActiveTab('dashboard')}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg text-[11px] font-bold transition-all ${
+                activeTab === 'dashboard' ? themeClasses.tabActive : themeClasses.tabInactive
+              }`}
+            >
+              <LayoutDashboard size={14} /> DASHBOARD
+            </button>
+
+            {/* Dropdown Factory Function */}
+            {NAV_CATEGORIES.map((category) => (
+              <div 
+                key={category.id}
+                className="relative"
+                onMouseEnter={() => {
+                  if (closeDropdownTimeout.current) clearTimeout(closeDropdownTimeout.current);
+                  setHoveredCategory(category.id);
+                }}
+                onMouseLeave={() => {
+                  closeDropdownTimeout.current = setTimeout(() => {
+                    setHoveredCategory(null);
+                  }, 150);
+                }}
+              >
+                <button
+                  className={`flex items-center gap-2 px-4 py-2 rounded-lg text-[11px] font-bold transition-all ${
+                    NAV_TABS.filter(tab => tab.category === category.id).some(tab => activeTab === TAB_ID_MAP[tab.id])
+                      ? `${CATEGORY_COLORS[category.id].text} font-extrabold` 
+                      : `${themeClasses.tabInactive} hover:${CATEGORY_COLORS[category.id].button}`
+                  }`}
+                >
+                  {React.createElement(CATEGORY_ICONS[category.id], { size: 14 })} {category.label.toUpperCase()}
+                </button>
+
+                {/* Dropdown Menu */}
+                {hoveredCategory === category.id && (
+                  <div className={`absolute top-full left-0 mt-0 rounded-lg shadow-lg border ${isDark ? 'bg-slate-900 border-slate-700' : 'bg-white border-slate-200'} min-w-[150px] z-50 py-1`}>
+                    {NAV_TABS.filter(tab => tab.category === category.id).map((tab) => (
+                      <button
+                        key={tab.id}
+                        onClick={() => {
+                          setActiveTab(TAB_ID_MAP[tab.id]);
+                          setHoveredCategory(null);
+                        }}
+                        className={`w-full text-left flex items-center gap-2 px-4 py-2.5 text-[11px] font-bold transition-all first:rounded-t-lg last:rounded-b-lg ${
+                          activeTab === TAB_ID_MAP[tab.id] 
+                            ? 'bg-red-600 text-white' 
+                            : isDark ? 'hover:bg-slate-800 text-slate-100' : 'hover:bg-slate-100 text-slate-900'
+                        }`}
+                      >
+                        <tab.icon size={14} /> {tab.label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+
+            {/* Review & Deploy Button */}
+            <button
+              onClick={() => setActiveTab('review-deploy')}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg text-[11px] font-bold transition-all ${
+                activeTab === 'review-deploy' ? themeClasses.tabActive : themeClasses.tabInactive
+              }`}
+            >
+              <Send size={14} /> REVIEW & DEPLOY
+            </button>
+          </div>
+
+          {/* Theme & Logout Buttons */}
+          <div className="flex gap-2">
+            <button
+              onClick={() => setIsDark(!isDark)}
+              className={`p-2.5 rounded-xl border transition-all ${themeClasses.border}`}
+              aria-label="Toggle theme"
+            >
+              {isDark ? <Sun size={18} color="yellow" /> : <Moon size={18} color="#475569" />}
+            </button>
+            <button
+              onClick={() => handleLogout()}
+              className={`p-2.5 rounded-xl border transition-all text-slate-400 ${themeClasses.border}`}
+              aria-label="Logout"
+            >
+              <LogOut size={18} />
+            </button>
+          </div>
+        </div>
+      </nav>
+
+      {/* Main Content */}
+      <main className="max-w-6xl mx-auto px-6 py-12 space-y-8">
+        {/* Dashboard Tab */}
+        {activeTab === 'dashboard' && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <StatsCard
+              title="Accounts Detected"
+              count={stagedAccounts.length}
+              isDark={isDark}
+              themeClasses={themeClasses}
+            />
+            <StatsCard
+              title="Safes Detected"
+              count={stagedSafes.length}
+              isDark={isDark}
+              themeClasses={themeClasses}
+            />
+            <ConnectionHealthCard
+              health={displayedHealth}
+              onRefresh={isDebugSession ? null : handleCheckConnection}
+              themeClasses={themeClasses}
+            />
+          </div>
+        )}
+
+        {/* Inventory Loading Progress */}
+        {inventoryProgress && (
+          <div className={`p-4 rounded-2xl border ${isDark ? 'bg-blue-900/20 border-blue-700' : 'bg-blue-50 border-blue-300'}`}>
+            <div className="flex justify-between text-[10px] font-black uppercase tracking-widest text-blue-600 mb-2">
+              <span>Loading {inventoryProgress.label} from vault…</span>
+              <span>
+                {inventoryProgress.loaded}
+                {inventoryProgress.total !== null ? ` / ${inventoryProgress.total}` : ''}
+              </span>
+            </div>
+            <div className={`h-1.5 rounded-full overflow-hidden ${isDark ? 'bg-slate-700' : 'bg-blue-100'}`}>
+              <div
+                className={`h-full bg-blue-600 transition-all ${inventoryProgress.total ? '' : 'animate-pulse w-full'}`}
+                style={inventoryProgress.total ? { width: `${Math.min(100, (inventoryProgress.loaded / inventoryProgress.total) * 100)}%` } : undefined}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Safe Management Tab */}
+        {activeTab === 'safe' && (
+          <>
+            <SafeBlueprintSection
+              builtInBlueprints={DEFAULT_SAFE_BLUEPRINTS}
+              savedBlueprints={savedSafeBlueprints}
+              standardMembers={managedStandardMembers}
+              namingPolicy={safeNamingPolicy}
+              queuedSafeNames={stagedSafes.map(safe => safe.name)}
+              onStage={handleStageBlueprint}
+              onSave={handleSaveBlueprint}
+              onDelete={handleDeleteBlueprint}
+              isDark={isDark}
+              themeClasses={themeClasses}
+            />
+            <SafeManagementSection
+              customSafeName={customSafeName}
+              setCustomSafeName={setCustomSafeName}
+              safeDescription={safeDescription}
+              setSafeDescription={setSafeDescription}
+              managingCPM={managingCPM}
+              setManagingCPM={setManagingCPM}
+              namingPolicy={safeNamingPolicy}
+              safeLocation={safeLocation}
+              setSafeLocation={setSafeLocation}
+              safeOlacEnabled={safeOlacEnabled}
+              setSafeOlacEnabled={setSafeOlacEnabled}
+              safeAutoPurgeEnabled={safeAutoPurgeEnabled}
+              setSafeAutoPurgeEnabled={setSafeAutoPurgeEnabled}
+              safeAddMembersOnCreation={safeAddMembersOnCreation}
+              setSafeAddMembersOnCreation={setSafeAddMembersOnCreation}
+              standardMembers={managedStandardMembers}
+              retentionMode={retentionMode}
+              setRetentionMode={setRetentionMode}
+              versionRetention={versionRetention}
+              setVersionRetention={setVersionRetention}
+              daysRetention={daysRetention}
+              setDaysRetention={setDaysRetention}
+              onAddSafe={handleAddSafeToStage}
+              isDark={isDark}
+              themeClasses={themeClasses}
+            />
+            <BulkImportSection
+              title="Bulk Safe Import"
+              description="Upload a CSV or TSV file with one Safe per row. Rows are checked with the same rules as the form above."
+              fields={SAFE_IMPORT_FIELDS}
+              validateRows={(rows) => validateSafeImportRows(rows, safeNamingPolicy)}
+              renderItem={(safe) => `${safe.name} · CPM: ${safe.CPMManaging || 'Not specified'} · ${describeSafeRetention(safe)}${safe.location ? ` · ${safe.location}` : ''}`}
+              onStage={(safes) => {
+                const { newMembers } = stageNewSafes(safes);
+                showNotification(
+                  `✓ ${safes.length} Safe${safes.length !== 1 ? 's' : ''} staged from import` +
+                    (newMembers.length > 0 ? ` with ${newMembers.length} creation member${newMembers.length !== 1 ? 's' : ''}` : ''),
+                  'success'
+                );
+              }}
+              onLoadError={(message) => showNotification(message, 'error')}
+              isDark={isDark}
+              themeClasses={themeClasses}
+            />
+            <QueueSection
+              title="Safe Creation Queue"
+              items={stagedSafes}
+              onRemove={handleRemoveStagedSafe}
+              isDark={isDark}
+              themeClasses={themeClasses}
+              isSafe
+            />
+          </>
+        )}
+
+        {/* Member Management Tab */}
+        {activeTab === 'member' && (
+          <>
+            <MemberManagementSection
+              targetSafe={targetSafe}
+              setTargetSafe={setTargetSafe}
+              memberName={memberName}
+              setMemberName={setMemberName}
+              memberDomain={memberDomain}
+              setMemberDomain={setMemberDomain}
+              memberPermissions={memberPermissions}
+              setMemberPermissions={setMemberPermissions}
+              onAddStandardMembers={handleAddStandardMembers}
+              onAddCustomMember={handleAddCustomMember}
+              isDark={isDark}
+              themeClasses={themeClasses}
+              standardMembersSelection={standardMembersSelection}
+              setStandardMembersSelection={setStandardMembersSelection}
+              editingStandardMember={editingStandardMember}
+              setEditingStandardMember={setEditingStandardMember}
+              standardMembersPermissions={standardMembersPermissions}
+              setStandardMembersPermissions={setStandardMembersPermissions}
+              managedStandardMembers={managedStandardMembers}
+              setManagedStandardMembers={setManagedStandardMembers}
+              editingMemberInModal={editingMemberInModal}
+              setEditingMemberInModal={setEditingMemberInModal}
+              newMemberForm={newMemberForm}
+              setNewMemberForm={setNewMemberForm}
+              standardMemberTargets={standardMemberTargets}
+              setStandardMemberTargets={setStandardMemberTargets}
+              includeQueuedSafes={includeQueuedSafes}
+              setIncludeQueuedSafes={setIncludeQueuedSafes}
+              queuedSafeCount={stagedSafes.length}
+              standardMemberTargetSafes={standardMemberTargetSafes}
+            />
+            <BulkImportSection
+              title="Member Matrix Import"
+              description={`Upload a CSV or TSV file with Safe, member, domain and either a role (${Object.keys(PERM_TEMPLATES).join(', ')}) or one yes/no column per permission. Permission columns override the role's defaults.`}
+              fields={MEMBER_IMPORT_FIELDS}
+              previewFields={['safe', 'member', 'domain', 'role']}
+              validateRows={validateMemberImportRows}
+              renderItem={(entry) => `${entry.member}@${entry.domain} → ${entry.safe} · ${entry.roleLabel}`}
+              renderPreview={(entry) => <PermissionMatrixPreview perms={entry.perms} roleLabel={entry.roleLabel} />}
+              onStage={(entries) => {
+                setStagedMembers([...stagedMembers, ...entries]);
+                showNotification(`✓ ${entries.length} member assignment${entries.length !== 1 ? 's' : ''} staged from import`, 'success');
+              }}
+              onLoadError={(message) => showNotification(message, 'error')}
+              isDark={isDark}
+              themeClasses={themeClasses}
+            />
+            <QueueSection
+              title="Member Creation Queue"
+              items={stagedMembers}
+              onRemove={handleRemoveStagedMember}
+              isDark={isDark}
+              themeClasses={themeClasses}
+              isMember
+            />
+          </>
+        )}
+
+        {/* Account Management Tab */}
+        {activeTab === 'account' && (
+          <>
+            <AccountManagementSection
+              accObject={accObject}
+              setAccObject={setAccObject}
+              accAddress={accAddress}
+              setAccAddress={setAccAddress}
+              accUsername={accUsername}
+              setAccUsername={setAccUsername}
+              accPassword={accPassword}
+              setAccPassword={setAccPassword}
+              accPlatformId={accPlatformId}
+              setAccPlatformId={setAccPlatformId}
+              accSafeName={accSafeName}
+              setAccSafeName={setAccSafeName}
+              accAutoMgmt={accAutoMgmt}
+              setAccAutoMgmt={setAccAutoMgmt}
+              accManualReason={accManualReason}
+              setAccManualReason={setAccManualReason}
+              accRemoteMachines={accRemoteMachines}
+              setAccRemoteMachines={setAccRemoteMachines}
+              onAddAccount={handleAddAccountToQueue}
+              isDark={isDark}
+              themeClasses={themeClasses}
+            />
+            <BulkImportSection
+              title="Bulk Account Import"
+              description="Upload a CSV or TSV file with one account per row. Rows need the same fields as the form above; duplicates within the file or of staged accounts are rejected."
+              fields={ACCOUNT_IMPORT_FIELDS}
+              validateRows={(rows, lineNumbers) => validateAccountImportRows(rows, stagedAccounts, knownPlatformIds, lineNumbers)}
+              renderItem={(account) => `${account.userName}@${account.address} · ${account.platformId} · ${account.safeName}`}
+              onStage={(accounts) => {
+                setStagedAccounts([...stagedAccounts, ...accounts]);
+                showNotification(`✓ ${accounts.length} Account${accounts.length !== 1 ? 's' : ''} staged from import`, 'success');
+              }}
+              onLoadError={(message) => showNotification(message, 'error')}
+              isDark={isDark}
+              themeClasses={themeClasses}
+            />
+            <QueueSection
+              title="Account Creation Queue"
+              items={stagedAccounts}
+              onRemove={(idx) => setStagedAccounts(stagedAccounts.filter((_, i) => i !== idx))}
+              isDark={isDark}
+              themeClasses={themeClasses}
+              isAccount
+            />
+          </>
+        )}
+
+        {/* Safe Modification Tab */}
+        {activeTab === 'safe-modify' && (
+          <>
+            <SafeModifySection
+              availableSafesForModification={availableSafesForModification}
+              safeModificationFilter={safeModificationFilter}
+              setSafeModificationFilter={setSafeModificationFilter}
+              editingSafeId={editingSafeId}
+              setEditingSafeId={setEditingSafeId}
+              editedSafeData={editedSafeData}
+              setEditedSafeData={setEditedSafeData}
+              onSaveModifiedSafe={handleSaveModifiedSafe}
+              stagedSafeModifications={stagedSafeModifications}
+              isDark={isDark}
+              themeClasses={themeClasses}
+            />
+            <QueueSection
+              title="Safe Modification Queue"
+              items={stagedSafeModifications}
+              onRemove={handleRemoveSafeModification}
+              isDark={isDark}
+              themeClasses={themeClasses}
+              isSafe
+            />
+          </>
+        )}
+
+        {/* Member Modification Tab */}
+        {activeTab === 'member-modify' && (
+          <>
+            <MemberModifySection
+              availableMembersForModification={availableMembersForModification}
+              memberModificationFilter={memberModificationFilter}
+              setMemberModificationFilter={setMemberModificationFilter}
+              memberModificationSafeFilter={memberModificationSafeFilter}
+              setMemberModificationSafeFilter={setMemberModificationSafeFilter}
+              editingMemberId={editingMemberId}
+              setEditingMemberId={setEditingMemberId}
+              editedMemberData={editedMemberData}
+              setEditedMemberData={setEditedMemberData}
+              onSaveModifiedMember={handleSaveModifiedMember}
+              stagedMemberModifications={stagedMemberModifications}
+              isDark={isDark}
+              themeClasses={themeClasses}
+            />
+            <QueueSection
+              title="Member Modification Queue"
+              items={stagedMemberModifications}
+              onRemove={(idx) => setStagedMemberModifications(stagedMemberModifications.filter((_, i) => i !== idx))}
+              isDark={isDark}
+              themeClasses={themeClasses}
+              isMember
+            />
+          </>
+        )}
+
+        {/* Account Modification Tab */}
+        {activeTab === 'account-modify' && (
+          <>
+            <AccountModifySection
+              availableAccountsForModification={availableAccountsForModification}
+              accountModificationFilter={accountModificationFilter}
+              setAccountModificationFilter={setAccountModificationFilter}
+              accountModificationSafeFilter={accountModificationSafeFilter}
+              setAccountModificationSafeFilter={setAccountModificationSafeFilter}
+              editingAccountId={editingAccountId}
+              setEditingAccountId={setEditingAccountId}
+              editedAccountData={editedAccountData}
+              setEditedAccountData={setEditedAccountData}
+              onSaveModifiedAccount={handleSaveModifiedAccount}
+              stagedAccountModifications={stagedAccountModifications}
+              isDark={isDark}
+              themeClasses={themeClasses}
+            />
+            <QueueSection
+              title="Account Modification Queue"
+              items={stagedAccountModifications}
+              onRemove={(idx) => setStagedAccountModifications(stagedAccountModifications.filter((_, i) => i !== idx))}
+              isDark={isDark}
+              themeClasses={themeClasses}
+              isAccount
+            />
+          </>
+        )}
+
+        {/* Safe Removal Tab */}
+        {activeTab === 'safe-remove' && (
+          <>
+            <SafeRemovalSection
+              availableSafesForRemoval={availableSafesForRemoval}
+              selectedSafesForRemoval={selectedSafesForRemoval}
+              setSelectedSafesForRemoval={setSelectedSafesForRemoval}
+              safeRemovalFilter={safeRemovalFilter}
+              setSafeRemovalFilter={setSafeRemovalFilter}
+              onStageSafeRemovals={handleStageSafeRemovals}
+              stagedSafeRemovals={stagedSafeRemovals}
+              isDark={isDark}
+              themeClasses={themeClasses}
+            />
+            <QueueSection
+              title="Safe Removal Queue"
+              items={stagedSafeRemovals}
+              onRemove={(idx) => setStagedSafeRemovals(stagedSafeRemovals.filter((_, i) => i !== idx))}
+              isDark={isDark}
+              themeClasses={themeClasses}
+              isSafe
+              isRemoval
+            />
+          </>
+        )}
+
+        {/* Member Removal Tab */}
+        {activeTab === 'member-remove' && (
+          <>
+            <MemberRemovalSection
+              availableMembersForRemoval={availableMembersForRemoval}
+              selectedMembersForRemoval={selectedMembersForRemoval}
+              setSelectedMembersForRemoval={setSelectedMembersForRemoval}
+              memberRemovalFilter={memberRemovalFilter}
+              setMemberRemovalFilter={setMemberRemovalFilter}
+              memberRemovalSafeFilter={memberRemovalSafeFilter}
+              setMemberRemovalSafeFilter={setMemberRemovalSafeFilter}
+              onStageMemberRemovals={handleStageMemberRemovals}
+              stagedMemberRemovals={stagedMemberRemovals}
+              isDark={isDark}
+              themeClasses={themeClasses}
+            />
+            <QueueSection
+              title="Member Removal Queue"
+              items={stagedMemberRemovals}
+              onRemove={(idx) => setStagedMemberRemovals(stagedMemberRemovals.filter((_, i) => i !== idx))}
+              isDark={isDark}
+              themeClasses={themeClasses}
+              isMember
+              isRemoval
+            />
+          </>
+        )}
+
+        {/* Account Removal Tab */}
+        {activeTab === 'account-remove' && (
+          <>
+            <AccountRemovalSection
+              availableAccountsForRemoval={availableAccountsForRemoval}
+              selectedAccountsForRemoval={selectedAccountsForRemoval}
+              setSelectedAccountsForRemoval={setSelectedAccountsForRemoval}
+              accountRemovalFilter={accountRemovalFilter}
+              setAccountRemovalFilter={setAccountRemovalFilter}
+              accountRemovalSafeFilter={accountRemovalSafeFilter}
+              setAccountRemovalSafeFilter={setAccountRemovalSafeFilter}
+              onStageAccountRemovals={handleStageAccountRemovals}
+              stagedAccountRemovals={stagedAccountRemovals}
+              isDark={isDark}
+              themeClasses={themeClasses}
+            />
+            <QueueSection
+              title="Account Removal Queue"
+              items={stagedAccountRemovals}
+              onRemove={(idx) => setStagedAccountRemovals(stagedAccountRemovals.filter((_, i) => i !== idx))}
+              isDark={isDark}
+              themeClasses={themeClasses}
+              isAccount
+              isRemoval
+            />
+          </>
+        )}
+
+        {/* Review & Deploy Tab */}
+        {activeTab === 'review-deploy' && (
+          <div className="space-y-8">
+            <div className={`p-8 rounded-[1.5rem] border ${themeClasses.card}`} style={themeClasses.cardStyle}>
+              <h2 className="text-2xl font-black mb-6" style={{ color: themeClasses.text }}>
+                Review & Deploy Staged Items
+              </h2>
+              
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+                <StatsCard
+                  title="Safes Ready"
+                  count={stagedSafes.length}
+                  isDark={isDark}
+                  themeClasses={themeClasses}
+                />
+                <StatsCard
+                  title="Members Ready"
+                  count={stagedMembers.length}
+                  isDark={isDark}
+                  themeClasses={themeClasses}
+                />
+                <StatsCard
+                  title="Accounts Ready"
+                  count={stagedAccounts.length}
+                  isDark={isDark}
+                  themeClasses={themeClasses}
+                />
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+                <StatsCard
+                  title="Safes for Removal"
+                  count={stagedSafeRemovals.length}
+                  isDark={isDark}
+                  themeClasses={themeClasses}
+                />
+                <StatsCard
+                  title="Members for Removal"
+                  count={stagedMemberRemovals.length}
+                  isDark={isDark}
+                  themeClasses={themeClasses}
+                />
+                <StatsCard
+                  title="Accounts for Removal"
+                  count={stagedAccountRemovals.length}
+                  isDark={isDark}
+                  themeClasses={themeClasses}
+                />
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+                <StatsCard
+                  title="Safes Modified"
+                  count={stagedSafeModifications.length}
+                  isDark={isDark}
+                  themeClasses={themeClasses}
+                />
+                <StatsCard
+                  title="Members Modified"
+                  count={stagedMemberModifications.length}
+                  isDark={isDark}
+                  themeClasses={themeClasses}
+                />
+                <StatsCard
+                  title="Accounts Modified"
+                  count={stagedAccountModifications.length}
+                  isDark={isDark}
+                  themeClasses={themeClasses}
+                />
+              </div>
+
+              {/* Total Items Ready */}
+              <div className={`p-6 rounded-lg mb-8 ${isDark ? 'bg-slate-800' : 'bg-slate-100'}`}>
+                <p className="text-slate-500 text-sm mb-2">Total Items Staged</p>
+                <div className="flex gap-8">
+                  <div>
+                    <p className="text-slate-500 text-xs mb-1">Additions</p>
+                    <p className="text-3xl font-black text-emerald-500">
+                      {stagedSafes.length + stagedMembers.length + stagedAccounts.length}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-slate-500 text-xs mb-1">Removals</p>
+                    <p className="text-3xl font-black text-red-500">
+                      {stagedSafeRemovals.length + stagedMemberRemovals.length + stagedAccountRemovals.length}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-slate-500 text-xs mb-1">Modifications</p>
+                    <p className="text-3xl font-black text-amber-500">
+                      {stagedSafeModifications.length + stagedMemberModifications.length + stagedAccountModifications.length}
+                    </p>
+                  </div>
+                </div>
+              </div>
+
+              {/* Deployment Concurrency */}
+              <div className="flex flex-wrap items-center gap-4 mb-4">
+                <span className="text-[10px] font-black text-slate-500 uppercase tracking-widest">
+                  Parallel calls
+                </span>
+                {Object.keys(DEFAULT_DEPLOY_CONCURRENCY).map(resource => (
+                  <label key={resource} className="flex items-center gap-2 text-[10px] font-bold" style={{ color: themeClasses.text }}>
+                    {resource}s
+                    <input
+                      type="number"
+                      min={1}
+                      max={20}
+                      value={deployConcurrency[resource]}
+                      disabled={isDeploying}
+                      onChange={(e) => setDeployConcurrency({
+                        ...deployConcurrency,
+                        [resource]: Math.min(20, Math.max(1, Number(e.target.value) || 1))
+                      })}
+                      className={`w-14 p-1.5 rounded-lg border text-xs outline-none ${themeClasses.input}`}
+                    />
+                  </label>
+                ))}
+              </div>
+
+              {deployProgress && (
+                <div className="mb-4">
+                  <DeploymentProgressBar
+                    progress={deployProgress}
+                    paused={isReauthRequired}
+                    onCancel={handleCancelDeployment}
+                    isDark={isDark}
+                    themeClasses={themeClasses}
+                  />
+                </div>
+              )}
+
+              {/* Deploy & Plan Buttons */}
+              <div className="flex gap-3">
+                <button
+                  onClick={handlePreviewExecutionPlan}
+                  className={`flex-1 font-black py-4 rounded-xl uppercase tracking-widest transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 border ${
+                    isDark ? 'border-slate-700 text-slate-200 hover:bg-slate-800' : 'border-slate-300 text-slate-700 hover:bg-slate-100'
+                  }`}
+                  disabled={deploymentSteps.length === 0}
+                >
+                  <ListChecks size={20} /> Preview Execution Plan
+                </button>
+                <button
+                  onClick={handleDeploy}
+                  className="flex-[2] bg-emerald-600 hover:bg-emerald-700 text-white font-black py-4 rounded-xl shadow-lg uppercase tracking-widest transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                  disabled={deploymentSteps.length === 0 || isDeploying}
+                >
+                  <Send size={20} /> {isDeploying ? 'Deploying...' : 'Deploy All Staged Changes'}
+                </button>
+              </div>
+            </div>
+
+            {/* Changeset Export / Import */}
+            <ChangesetSection
+              changesetForm={changesetForm}
+              setChangesetForm={setChangesetForm}
+              loadedChangeset={loadedChangeset}
+              author={username}
+              vaultUrl={vaultUrl}
+              stagedCount={deploymentSteps.length}
+              onExport={handleExportChangeset}
+              onImport={handleImportChangeset}
+              isDark={isDark}
+              themeClasses={themeClasses}
+            />
+
+            {/* Staging Conflicts */}
+            {stagingConflicts.length > 0 && (
+              <div className={`p-6 rounded-[1.5rem] border ${isDark ? 'bg-amber-900/20 border-amber-700' : 'bg-amber-50 border-amber-300'}`}>
+                <h3 className="font-bold uppercase text-sm mb-3 text-amber-600">
+                  ⚠ {stagingConflicts.length} Contradictory Change{stagingConflicts.length !== 1 ? 's' : ''} Staged
+                </h3>
+                <ul className="space-y-1 list-disc ml-5">
+                  {stagingConflicts.map((conflict) => (
+                    <li key={conflict} className="text-xs" style={{ color: themeClasses.text }}>{conflict}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* Execution Plan (Dry Run) */}
+            {executionPlan && (
+              <ExecutionPlanSection
+                plan={executionPlan}
+                onDownload={() => downloadJSON(`execution-plan-${executionPlan.generatedAt.replace(/[:.]/g, '-')}.json`, executionPlan)}
+                onClose={() => setExecutionPlan(null)}
+                isDark={isDark}
+                themeClasses={themeClasses}
+              />
+            )}
+
+            {/* Deployment Results */}
+            {deploymentResult && (
+              <DeploymentResultsSection
+                result={deploymentResult}
+                onRollback={handleRollbackDeployment}
+                isRollingBack={isRollingBack}
+                onClose={() => setDeploymentResult(null)}
+                isDark={isDark}
+                themeClasses={themeClasses}
+              />
+            )}
+
+            {/* Detailed Review Section */}
+            {(stagedSafes.length > 0 || stagedMembers.length > 0 || stagedAccounts.length > 0 || 
+              stagedSafeRemovals.length > 0 || stagedMemberRemovals.length > 0 || stagedAccountRemovals.length > 0) && (
+              <div className={`p-8 rounded-[1.5rem] border ${themeClasses.card}`}>
+                <h3 className="text-xl font-bold mb-6" style={{ color: themeClasses.text }}>
+                  Detailed Staged Items
+                </h3>
+
+                {/* ADDITIONS SECTION */}
+                {(stagedSafes.length > 0 || stagedMembers.length > 0 || stagedAccounts.length > 0) && (
+                  <div className="mb-8">
+                    <h4 className="text-lg font-bold mb-4 text-emerald-500 flex items-center gap-2"><UserRoundPlus size={20} /> Added Items</h4>
+                    
+                    {stagedSafes.length > 0 && (
+                      <div className="mb-6">
+                        <h5 className="font-bold text-sm mb-3 text-blue-500">Safes ({stagedSafes.length})</h5>
+                        <div className="space-y-3">
+                          {stagedSafes.map((safe, idx) => (
+                            <div key={idx} className={`p-4 rounded-lg ${isDark ? 'bg-slate-800' : 'bg-slate-100'}`}>
+                              <p className="font-semibold">{safe.name}</p>
+                              {safe.description && (
+                                <p className="text-[9px] text-slate-500 mt-2 italic">
+                                  {safe.description}
+                                </p>
+                              )}
+                              <div className="mt-2">
+                                <SafePropertyBadges safe={safe} />
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
+                    {stagedMembers.length > 0 && (
+                      <div className="mb-6">
+                        <h5 className="font-bold text-sm mb-3 text-blue-500">Members ({stagedMembers.length})</h5>
+                        <div className="space-y-3">
+                          {stagedMembers.map((member, idx) => (
+                            <div key={idx} className={`p-4 rounded-lg ${isDark ? 'bg-slate-800' : 'bg-slate-100'}`}>
+                              <p className="font-semibold">{member.member}<span className="text-slate-500 font-normal"> @ {member.domain}</span></p>
+                              <div className="flex gap-3 mt-2 flex-wrap">
+                                <span className="text-[9px] bg-purple-600/10 text-purple-600 px-2 py-0.5 rounded font-bold">
+                                  Role: {member.roleLabel}
+                                </span>
+                                <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold">
+                                  Safe: {member.safe}
+                                </span>
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
+                    {stagedAccounts.length > 0 && (
+                      <div className="mb-6">
+                        <h5 className="font-bold text-sm mb-3 text-blue-500">Accounts ({stagedAccounts.length})</h5>
+                        <div className="space-y-3">
+                          {stagedAccounts.map((account, idx) => (
+                            <div key={idx} className={`p-4 rounded-lg ${isDark ? 'bg-slate-800' : 'bg-slate-100'}`}>
+                              <p className="font-mono font-bold" style={{ color: themeClasses.text }}>
+                                {account.userName} <span className="text-red-600">@</span> {account.address}
+                              </p>
+                              <div className="flex gap-3 mt-2 flex-wrap">
+                                <span className="text-[9px] bg-orange-600/10 text-orange-600 px-2 py-0.5 rounded font-bold flex items-center gap-1">
+                                  <Layers2 size={10} /> Platform: {account.platformId}
+                                </span>
+                                <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold flex items-center gap-1">
+                                  <Vault size={10} /> Safe: {account.safeName}
+                                </span>
+                                <span className="text-[9px] bg-slate-500/10 text-slate-600 px-2 py-0.5 rounded font-bold">
+                                  Object-ID: {account.object}
+                                </span>
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* REMOVALS SECTION */}
+                {(stagedSafeRemovals.length > 0 || stagedMemberRemovals.length > 0 || stagedAccountRemovals.length > 0) && (
+                  <div className="mb-8 border-t pt-8">
+                    <h4 className="text-lg font-bold mb-4 text-red-500 flex items-center gap-2"><UserRoundMinus size={20} /> Removed Items</h4>
+                    
+                    {stagedSafeRemovals.length > 0 && (
+                      <div className="mb-6">
+                        <h5 className="font-bold text-sm mb-3 text-blue-500">Safes ({stagedSafeRemovals.length})</h5>
+                        <div className="space-y-3">
+                          {stagedSafeRemovals.map((safe, idx) => (
+                            <div key={idx} className={`p-4 rounded-lg ${isDark ? 'bg-slate-800' : 'bg-slate-100'}`}>
+                              <p className="font-semibold">{safe.name}</p>
+                              <div className="mt-2">
+                                <SafePropertyBadges safe={safe} showId />
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
+                    {stagedMemberRemovals.length > 0 && (
+                      <div className="mb-6">
+                        <h5 className="font-bold text-sm mb-3 text-blue-500">Members ({stagedMemberRemovals.length})</h5>
+                        <div className="space-y-3">
+                          {stagedMemberRemovals.map((member, idx) => (
+                            <div key={idx} className={`p-4 rounded-lg ${isDark ? 'bg-slate-800' : 'bg-slate-100'}`}>
+                              <p className="font-semibold">{member.member}<span className="text-slate-500 font-normal"> @ {member.domain}</span></p>
+                              <div className="flex gap-3 mt-2 flex-wrap">
+                                <span className="text-[9px] bg-purple-600/10 text-purple-600 px-2 py-0.5 rounded font-bold">
+                                  Role: {member.role}
+                                </span>
+                                <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold">
+                                  Safe: {member.safe}
+                                </span>
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
+                    {stagedAccountRemovals.length > 0 && (
+                      <div className="mb-6">
+                        <h5 className="font-bold text-sm mb-3 text-blue-500">Accounts ({stagedAccountRemovals.length})</h5>
+                        <div className="space-y-3">
+                          {stagedAccountRemovals.map((account, idx) => (
+                            <div key={idx} className={`p-4 rounded-lg ${isDark ? 'bg-slate-800' : 'bg-slate-100'}`}>
+                              <p className="font-mono font-bold" style={{ color: themeClasses.text }}>
+                                {account.username} <span className="text-red-600">@</span> {account.address}
+                              </p>
+                              <div className="flex gap-3 mt-2 flex-wrap">
+                                <span className="text-[9px] bg-orange-600/10 text-orange-600 px-2 py-0.5 rounded font-bold flex items-center gap-1">
+                                  <Layers2 size={10} /> Platform: {account.platform}
+                                </span>
+                                <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold flex items-center gap-1">
+                                  <Vault size={10} /> Safe: {account.safeName}
+                                </span>
+                                <span className="text-[9px] bg-slate-500/10 text-slate-600 px-2 py-0.5 rounded font-bold">
+                                  Object-ID: {account.object}
+                                </span>
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
+
+// ============================================================================
+// HELPER COMPONENTS
+// ============================================================================
+
+const StatsCard = ({ title, count, isDark, themeClasses }) => (
+  <div className={`p-8 rounded-[1.5rem] border ${themeClasses.card}`}>
+    <p className="text-slate-500 text-[10px] font-bold uppercase tracking-widest mb-3">
+      {title}
+    </p>
+    <p className="text-3xl font-black" style={{ color: themeClasses.text }}>
+      {count}
+    </p>
+  </div>
+);
+
+// API Status card: health from the last periodic check, with its latency and when it ran
+const ConnectionHealthCard = ({ health, onRefresh, themeClasses }) => (
+  <div className={`p-8 rounded-[1.5rem] border ${themeClasses.card}`}>
+    <div className="flex justify-between items-start mb-3">
+      <p className="text-slate-500 text-[10px] font-bold uppercase tracking-widest">
+        API Status
+      </p>
+      {onRefresh && (
+        <button
+          onClick={onRefresh}
+          className="text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-slate-600"
+        >
+          Check now
+        </button>
+      )}
+    </div>
+    <p className={`text-3xl font-black ${HEALTH_STATUS_COLORS[health.status]}`}>
+      {health.status}
+    </p>
+    <p className="text-[10px] text-slate-500 mt-2">
+      {health.latencyMs !== null && `${health.latencyMs} ms · `}
+      {health.checkedAt ? `Checked ${new Date(health.checkedAt).toLocaleTimeString()}` : 'Not checked yet'}
+    </p>
+    {health.detail && (
+      <p className="text-[10px] text-slate-500 mt-1">{health.detail}</p>
+    )}
+  </div>
+);
+
+/**
+ * Live naming policy check under a Safe name field, with an optional builder
+ * that assembles the name from one input per policy segment.
+ */
+const SafeNameBuilder = ({ name, onChange, policy, isDark, themeClasses }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const violations = name.trim() ? checkSafeName(name, policy) : [];
+  const values = splitSafeName(name, policy);
+  const setSegment = (key, value) => onChange(buildSafeName({ ...values, [key]: value }, policy));
+
+  return (
+    <div className="mt-2 space-y-2">
+      <div className="flex justify-between items-start gap-2">
+        <div className="text-[10px]">
+          {!name.trim() ? (
+            <span className="text-slate-500">Format: {policy.segments.map(s => s.label).join(` ${policy.separator} `)}</span>
+          ) : violations.length === 0 ? (
+            <span className="text-emerald-600 font-bold">✓ Matches the naming policy</span>
+          ) : (
+            <ul className="text-red-600 space-y-0.5">
+              {violations.map(violation => <li key={violation}>✗ {violation}</li>)}
+            </ul>
+          )}
+        </div>
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="text-[9px] font-black uppercase tracking-widest text-slate-500 hover:text-slate-700 whitespace-nowrap"
+        >
+          {isOpen ? 'Hide Builder' : 'Build Name'}
+        </button>
+      </div>
+
+      {isOpen && (
+        <div className={`grid grid-cols-2 gap-2 p-3 rounded-xl border ${isDark ? 'border-slate-700' : 'border-slate-200 bg-white'}`}>
+          {policy.segments.map(segment => (
+            <div key={segment.key}>
+              <label className="text-[9px] font-bold text-slate-500 uppercase block mb-1">{segment.label}</label>
+              {segment.values ? (
+                <select
+                  value={values[segment.key]}
+                  onChange={(e) => setSegment(segment.key, e.target.value)}
+                  className={`w-full p-2 rounded-lg border text-sm outline-none ${themeClasses.input}`}
+                >
+                  <option value="">Select…</option>
+                  {segment.values.map(value => <option key={value} value={value}>{value}</option>)}
+                </select>
+              ) : (
+                <input
+                  type="text"
+                  value={values[segment.key]}
+                  onChange={(e) => setSegment(segment.key, e.target.value.split(policy.separator).join(''))}
+                  placeholder={segment.example}
+                  className={`w-full p-2 rounded-lg border text-sm outline-none ${themeClasses.input}`}
+                />
+              )}
+            </div>
+          ))}
+          <p className="col-span-2 text-[9px] text-slate-500">
+            {name.trim().length}/{policy.maxLength} characters
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// CPM, retention, location and option badges for a Safe staged from the form or loaded from the vault
+const SafePropertyBadges = ({ safe, showId }) => (
+  <div className="flex gap-2 flex-wrap">
+    <span className="text-[9px] bg-purple-600/10 text-purple-600 px-2 py-0.5 rounded font-bold">
+      CPM: {(safe.CPMManaging ?? safe.managingCPM) || 'Not specified'}
+    </span>
+    <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold">
+      Retention: {describeSafeRetention(safe)}
+    </span>
+    {safe.location && (
+      <span className="text-[9px] bg-slate-500/10 text-slate-600 px-2 py-0.5 rounded font-bold font-mono">
+        {safe.location}
+      </span>
+    )}
+    {safe.olacEnabled && (
+      <span className="text-[9px] bg-amber-500/10 text-amber-600 px-2 py-0.5 rounded font-bold">OLAC</span>
+    )}
+    {safe.autoPurgeEnabled && (
+      <span className="text-[9px] bg-amber-500/10 text-amber-600 px-2 py-0.5 rounded font-bold">Auto Purge</span>
+    )}
+    {safe.creationMembers?.length > 0 && (
+      <span className="text-[9px] bg-emerald-600/10 text-emerald-600 px-2 py-0.5 rounded font-bold">
+        Members on creation: {safe.creationMembers.join(', ')}
+      </span>
+    )}
+    {showId && (
+      <span className="text-[9px] bg-slate-500/10 text-slate-600 px-2 py-0.5 rounded font-bold">
+        ID: {safe.id}
+      </span>
+    )}
+  </div>
+);
+
+// Before/after table for a staged Safe modification
+const SafeModificationDiff = ({ safe }) => {
+  const changes = diffSafeModification(safe);
+  if (changes.length === 0) {
+    return <p className="text-[10px] text-slate-500 italic">No property changes</p>;
+  }
+  return (
+    <table className="text-[10px] w-full">
+      <tbody>
+        {changes.map(({ label, before, after }) => (
+          <tr key={label} className="align-top">
+            <td className="pr-3 py-0.5 font-black uppercase tracking-wider text-slate-500 whitespace-nowrap">{label}</td>
+            <td className="pr-2 py-0.5 text-red-500 line-through whitespace-normal break-words">{before}</td>
+            <td className="py-0.5 text-emerald-600 font-bold whitespace-normal break-words">{after}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+const InputField = ({ label, value, onChange, placeholder, isDark, themeClasses }) => (
+  <div className="mb-3">
+    <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest ml-1 block mb-2">
+      {label}
+    </label>
+    <input
+      type="text"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={placeholder}
+      className={`w-full p-3 rounded-xl border text-sm outline-none transition-all ${themeClasses?.input || (isDark ? 'bg-slate-900 border-slate-700 text-white' : 'bg-white border-slate-200')}`}
+    />
+  </div>
+);
+
+const SelectField = ({ label, value, onChange, options, isDark, themeClasses }) => (
+  <div className="mb-3">
+    <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest ml-1 block mb-2">
+      {label}
+    </label>
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className={`w-full p-3 rounded-xl border text-sm outline-none ${themeClasses?.input || (isDark ? 'bg-slate-900 border-slate-700 text-white' : 'bg-white border-slate-200')}`}
+    >
+      {options.map((o) => (
+        <option key={o.v} value={o.v}>
+          {o.l}
+        </option>
+      ))}
+    </select>
+  </div>
+);
+
+const SafeManagementSection = ({
+  customSafeName, setCustomSafeName, safeDescription, setSafeDescription, managingCPM, setManagingCPM, namingPolicy,
+  safeLocation, setSafeLocation, safeOlacEnabled, setSafeOlacEnabled, safeAutoPurgeEnabled, setSafeAutoPurgeEnabled,
+  safeAddMembersOnCreation, setSafeAddMembersOnCreation, standardMembers,
+  retentionMode, setRetentionMode, versionRetention, setVersionRetention, daysRetention, setDaysRetention,
+  onAddSafe, isDark, themeClasses
+}) => {
+  // Only the configured creation members that are still on the standard members list are staged
+  const creationMemberNames = buildSafeCreationMembers('', standardMembers).map(entry => entry.member);
+  return (
+    <div className={`p-10 rounded-[2.5rem] border shadow-sm ${themeClasses.card}`}>
+      <h2 style={{ color: themeClasses.text }} className="text-xl font-bold uppercase mb-8">
+        Safe Creation Management
+      </h2>
+      
+      {/* Safe Name & Description */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+        {/* Safe Name */}
+        <div className={`p-6 rounded-2xl border transition-all ${isDark ? 'bg-slate-800/50 border-slate-700' : 'bg-slate-50 border-slate-300'}`}>
+          <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest block mb-2">
+            Safe Name
+          </label>
+          <input
+            type="text"
+            value={customSafeName}
+            onChange={(e) => setCustomSafeName(e.target.value)}
+            placeholder={namingPolicy.enabled ? buildSafeName(Object.fromEntries(namingPolicy.segments.map(s => [s.key, s.example])), namingPolicy) : 'Enter Safe name'}
+            maxLength={namingPolicy.enabled ? namingPolicy.maxLength : undefined}
+            className={`w-full p-3 rounded-xl border text-sm outline-none transition-all ${themeClasses.input}`}
+            onKeyPress={(e) => e.key === 'Enter' && onAddSafe()}
+          />
+          {namingPolicy.enabled && (
+            <SafeNameBuilder
+              name={customSafeName}
+              onChange={setCustomSafeName}
+              policy={namingPolicy}
+              isDark={isDark}
+              themeClasses={themeClasses}
+            />
+          )}
+        </div>
+
+        {/* Description */}
+        <div className={`p-6 rounded-2xl border transition-all ${isDark ? 'bg-slate-800/50 border-slate-700' : 'bg-slate-50 border-slate-300'}`}>
+          <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest block mb-2">
+            Description (optional)
+          </label>
+          <textarea
+            value={safeDescription}
+            onChange={(e) => setSafeDescription(e.target.value)}
+            placeholder="Enter a description for this Safe"
+            className={`w-full p-3 rounded-xl border text-sm outline-none transition-all resize-none ${themeClasses.input}`}
+            rows="3"
+          />
+        </div>
+      </div>
+
+      {/* CPM & Retention Grid */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+        {/* CPM Management */}
+        <div className={`p-6 rounded-2xl border transition-all ${isDark ? 'bg-slate-800/50 border-slate-700' : 'bg-slate-50 border-slate-300'}`}>
+          <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest block mb-2">
+            Managing CPM
+          </label>
+          <input
+            type="text"
+            value={managingCPM}
+            onChange={(e) => setManagingCPM(e.target.value)}
+            placeholder="e.g. PasswordManager"
+            className={`w-full p-3 rounded-xl border text-sm outline-none transition-all ${themeClasses.input}`}
+          />
+        </div>
+
+        {/* Retention Type & Retention Value Input */}
+        <div className={`p-6 rounded-2xl border transition-all ${isDark ? 'bg-slate-800/50 border-slate-700' : 'bg-slate-50 border-slate-300'}`}>
+          <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest block mb-3">
+            Retention Type
+          </label>
+          <div className="flex gap-2 mb-4">
+            <button
+              onClick={() => setRetentionMode('versions')}
+              className={`flex-1 px-3 py-2 rounded-lg text-[9px] font-bold uppercase transition-all ${
+                retentionMode === 'versions'
+                  ? 'bg-red-600 text-white shadow-md'
+                  : isDark ? 'bg-slate-700 text-slate-300 hover:bg-slate-600' : 'bg-white border text-slate-600 hover:bg-slate-100'
+              }`}
+            >
+              Versions
+            </button>
+            <button
+              onClick={() => setRetentionMode('days')}
+              className={`flex-1 px-3 py-2 rounded-lg text-[9px] font-bold uppercase transition-all ${
+                retentionMode === 'days'
+                  ? 'bg-red-600 text-white shadow-md'
+                  : isDark ? 'bg-slate-700 text-slate-300 hover:bg-slate-600' : 'bg-white border text-slate-600 hover:bg-slate-100'
+              }`}
+            >
+              Days
+            </button>
+          </div>
+          <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest block mb-2">
+            {retentionMode === 'versions' ? 'Number of Versions' : 'Number of Days'}
+          </label>
+          <input
+            type="number"
+            min="1"
+            max={SAFE_RETENTION_LIMITS[retentionMode]}
+            value={retentionMode === 'versions' ? versionRetention : daysRetention}
+            onChange={(e) => retentionMode === 'versions' ? setVersionRetention(e.target.value) : setDaysRetention(e.target.value)}
+            placeholder={`Enter number of ${retentionMode === 'versions' ? 'versions' : 'days'} to be retained (max ${SAFE_RETENTION_LIMITS[retentionMode]})`}
+            className={`w-full p-3 rounded-xl border text-sm outline-none transition-all ${themeClasses.input}`}
+          />
+        </div>
+      </div>
+
+      {/* Location & Access Options */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+        {/* Location */}
+        <div className={`p-6 rounded-2xl border transition-all ${isDark ? 'bg-slate-800/50 border-slate-700' : 'bg-slate-50 border-slate-300'}`}>
+          <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest block mb-2">
+            Location (optional)
+          </label>
+          <input
+            type="text"
+            value={safeLocation}
+            onChange={(e) => setSafeLocation(e.target.value)}
+            placeholder="Vault root (\) when empty, e.g. \Applications"
+            className={`w-full p-3 rounded-xl border text-sm font-mono outline-none transition-all ${themeClasses.input}`}
+          />
+        </div>
+
+        {/* OLAC & Auto Purge */}
+        <div className={`p-6 rounded-2xl border transition-all space-y-3 ${isDark ? 'bg-slate-800/50 border-slate-700' : 'bg-slate-50 border-slate-300'}`}>
+          <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest block">
+            Options
+          </label>
+          <label className="flex items-start gap-2 text-xs text-slate-500 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={safeOlacEnabled}
+              onChange={(e) => setSafeOlacEnabled(e.target.checked)}
+              className="accent-red-600 mt-0.5"
+            />
+            <span>
+              <span className="font-bold">Object level access control</span> — cannot be turned off once the Safe exists
+            </span>
+          </label>
+          <label className="flex items-start gap-2 text-xs text-slate-500 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={safeAutoPurgeEnabled}
+              onChange={(e) => setSafeAutoPurgeEnabled(e.target.checked)}
+              className="accent-red-600 mt-0.5"
+            />
+            <span>
+              <span className="font-bold">Auto purge</span> — purge files once their retention period ends
+            </span>
+          </label>
+          {creationMemberNames.length > 0 && (
+            <label className="flex items-start gap-2 text-xs text-slate-500 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={safeAddMembersOnCreation}
+                onChange={(e) => setSafeAddMembersOnCreation(e.target.checked)}
+                className="accent-red-600 mt-0.5"
+              />
+              <span>
+                <span className="font-bold">Add members on creation</span> — queue {creationMemberNames.join(', ')} with the Safe
+              </span>
+            </label>
+          )}
+        </div>
+      </div>
+
+      <button
+        onClick={onAddSafe}
+        disabled={!customSafeName.trim() || !((retentionMode === 'versions' ? versionRetention : daysRetention))}
+        className={`w-full font-black py-5 rounded-2xl uppercase tracking-widest flex items-center justify-center gap-2 shadow-lg transition-all ${
+          customSafeName.trim() && (retentionMode === 'versions' ? versionRetention : daysRetention)
+            ? 'bg-red-600 text-white hover:bg-red-700' 
+            : 'bg-gray-400 text-gray-200 cursor-not-allowed opacity-60'
+        }`}
+      >
+        <PlusCircle size={20} /> Stage Safe
+      </button>
+    </div>
+  );
+};
+
+const MemberManagementSection = ({
+  targetSafe, setTargetSafe, memberName, setMemberName, memberDomain, setMemberDomain,
+  memberPermissions, setMemberPermissions, onAddStandardMembers, onAddCustomMember,
+  isDark, themeClasses, standardMembersSelection, setStandardMembersSelection, editingStandardMember, setEditingStandardMember,
+  standardMembersPermissions, setStandardMembersPermissions, managedStandardMembers, setManagedStandardMembers, 
+  editingMemberInModal, setEditingMemberInModal, newMemberForm, setNewMemberForm,
+  standardMemberTargets, setStandardMemberTargets, includeQueuedSafes, setIncludeQueuedSafes,
+  queuedSafeCount, standardMemberTargetSafes
+}) => {
+  const boxStyle = `p-6 rounded-2xl border transition-all ${isDark ? 'bg-slate-800/50 border-slate-700' : 'bg-slate-50 border-slate-300'}`;
+  const [newTargetSafe, setNewTargetSafe] = useState('');
+
+  const addTargetSafe = () => {
+    const name = newTargetSafe.trim();
+    if (!name) return;
+    if (!standardMemberTargets.some(target => safeKey(target) === safeKey(name))) {
+      setStandardMemberTargets([...standardMemberTargets, name]);
+    }
+    setNewTargetSafe('');
+  };
+
+  const toggleStandardMember = (memberName) => {
+    setStandardMembersSelection({
+      ...standardMembersSelection,
+      [memberName]: !standardMembersSelection[memberName]
+    });
+    if (!standardMembersPermissions[memberName]) {
+      const member = managedStandardMembers.find(m => m.member === memberName);
+      setStandardMembersPermissions({
+        ...standardMembersPermissions,
+        [memberName]: { ...member.perms }
+      });
+    }
+  };
+
+  const updateStandardMemberPerm = (memberName, perm, value) => {
+    setStandardMembersPermissions({
+      ...standardMembersPermissions,
+      [memberName]: {
+        ...standardMembersPermissions[memberName],
+        [perm]: value
+      }
+    });
+  };
+
+  const addNewStandardMember = () => {
+    if (!newMemberForm.member.trim()) return showNotification("Please enter a member name!", "error");
+    const newMember = {
+      member: newMemberForm.member,
+      domain: newMemberForm.domain,
+      perms: newMemberForm.perms || PERM_TEMPLATES.PAM,
+      role: detectRoleFromPermissions(newMemberForm.perms || PERM_TEMPLATES.PAM)
+    };
+    setManagedStandardMembers([...managedStandardMembers, newMember]);
+    setNewMemberForm({ member: '', domain: 'Vault', role: '', perms: {} });
+  };
+
+  const removeStandardMember = (memberName) => {
+    setManagedStandardMembers(managedStandardMembers.filter(m => m.member !== memberName));
+    setStandardMembersSelection(prev => {
+      const updated = { ...prev };
+      delete updated[memberName];
+      return updated;
+    });
+    setStandardMembersPermissions(prev => {
+      const updated = { ...prev };
+      delete updated[memberName];
+      return updated;
+    });
+  };
+
+  const updateManagedMember = (memberName, updates) => {
+    setManagedStandardMembers(managedStandardMembers.map(m => 
+      m.member === memberName ? { ...m, ...updates } : m
+    ));
+  };
+
+  return (
+    <div className={`p-10 rounded-[2.5rem] border shadow-sm ${themeClasses.card}`}>
+      <div className="flex justify-between items-center mb-8">
+        <h2 style={{ color: themeClasses.text }} className="text-xl font-bold uppercase">
+          Member Creation Management
+        </h2>
+        <button
+          onClick={() => setEditingStandardMember(editingStandardMember ? null : 'editor')}
+          className="bg-blue-600 text-white text-[10px] font-black px-4 py-2 rounded-xl uppercase tracking-widest shadow-lg hover:bg-blue-700 transition-all"
+        >
+          {editingStandardMember ? 'Close Editor' : 'Edit Standard Members'}
+        </button>
+      </div>
+
+      {/* Standard Members Modal/Editor */}
+      {editingStandardMember === 'editor' && (
+        <div className={`fixed inset-0 z-50 flex items-center justify-center p-4 ${isDark ? 'bg-black/70' : 'bg-black/50'}`}>
+          <div className={`rounded-2xl shadow-2xl w-full max-w-5xl max-h-[90vh] overflow-y-auto ${themeClasses.card} border p-8`}>
+            <div className="flex justify-between items-center mb-6">
+              <h3 style={{ color: themeClasses.text }} className="text-xl font-bold uppercase">
+                Manage Standard Members
+              </h3>
+              <button
+                onClick={() => setEditingStandardMember(null)}
+                className="text-2xl text-slate-400 hover:text-slate-600"
+              >
+                ✕
+              </button>
+            </div>
+
+            {/* Add New Member Form */}
+            <div className={`mb-6 p-4 rounded-xl border ${isDark ? 'bg-slate-800 border-slate-700' : 'bg-blue-50 border-blue-300'}`}>
+              <h4 style={{ color: themeClasses.text }} className="font-bold uppercase text-sm mb-3">Add New Standard Member</h4>
+              <div className="flex gap-2 mb-3">
+                <input
+                  type="text"
+                  value={newMemberForm.member}
+                  onChange={(e) => setNewMemberForm({ ...newMemberForm, member: e.target.value })}
+                  placeholder="Member name (e.g., G_NEW_GROUP)"
+                  className={`flex-1 p-2 rounded-lg text-sm outline-none border ${themeClasses.input}`}
+                />
+                <select
+                  value={newMemberForm.domain}
+                  onChange={(e) => setNewMemberForm({ ...newMemberForm, domain: e.target.value })}
+                  className={`flex-1 p-2 rounded-lg text-sm outline-none border ${themeClasses.input}`}
+                >
+                  <option value="Vault">Vault</option>
+                  <option value="Domain.example">Domain.example</option>
+                </select>
+                <select
+                  value={detectRoleFromPermissions(newMemberForm.perms || {})}
+                  onChange={(e) => {
+                    const role = e.target.value;
+                    setNewMemberForm({ 
+                      ...newMemberForm, 
+                      perms: PERM_TEMPLATES[role] || {},
+                      role 
+                    });
+                  }}
+                  className={`flex-1 p-2 rounded-lg text-sm outline-none border ${themeClasses.input}`}
+                >
+                  <option value="">Select Template</option>
+                  {Object.keys(PERM_TEMPLATES).map(t => (
+                    <option key={t} value={t}>{t}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={addNewStandardMember}
+                  className="bg-blue-600 text-white font-bold px-4 py-2 rounded-lg hover:bg-blue-700 transition-all"
+                >
+                  Add
+                </button>
+              </div>
+            </div>
+
+            {/* Existing Members List */}
+            <div className="space-y-3 mb-6">
+              {managedStandardMembers.map((member) => (
+                <div key={member.member} className={`p-4 rounded-xl border ${isDark ? 'bg-slate-800 border-slate-700' : 'bg-slate-50 border-slate-200'}`}>
+                  <div className="flex items-start justify-between mb-3">
+                    <div className="flex-1">
+                      <div className="flex items-center gap-3 mb-2">
+                        <input
+                          type="checkbox"
+                          checked={standardMembersSelection[member.member] || false}
+                          onChange={() => toggleStandardMember(member.member)}
+                          className="accent-red-600 w-4 h-4"
+                        />
+                        <div>
+                          <div className="font-bold text-sm" style={{ color: themeClasses.text }}>
+                            {member.member}
+                            <span className="text-slate-500 font-normal"> @ {member.domain}</span>
+                          </div>
+                          <div className="text-[9px] text-slate-500 mt-1">Role: {member.role}</div>
                         </div>
                       </div>
-                    )}
+                    </div>
+                    <button
+                      onClick={() => removeStandardMember(member.member)}
+                      className="text-red-600 hover:text-red-700 font-bold text-sm"
+                    >
+                      ✕ Remove
+                    </button>
                   </div>
-                )}
+
+                  {/* Permissions Grid */}
+                  {standardMembersSelection[member.member] && (
+                    <div className={`grid grid-cols-4 gap-3 p-4 rounded-lg ${isDark ? 'bg-slate-700/50' : 'bg-white border border-slate-200'}`}>
+                      {PERMISSION_KEYS.map((perm) => (
+                        <label key={perm} className="flex items-center gap-2 text-[9px] cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={standardMembersPermissions[member.member]?.[perm] || false}
+                            onChange={(e) => {
+                              updateStandardMemberPerm(member.member, perm, e.target.checked);
+                              const updatedPerms = { ...standardMembersPermissions[member.member], [perm]: e.target.checked };
+                              updateManagedMember(member.member, { perms: updatedPerms, role: detectRoleFromPermissions(updatedPerms) });
+                            }}
+                            className="accent-red-600"
+                          />
+                          <span className="truncate opacity-70" style={{ color: themeClasses.text }}>
+                            {perm}
+                          </span>
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="flex gap-3">
+              <button
+                onClick={() => setEditingStandardMember(null)}
+                className="flex-1 bg-slate-400 text-white font-black py-3 rounded-xl uppercase tracking-widest hover:bg-slate-500 transition-all"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => setEditingStandardMember(null)}
+                className="flex-1 bg-emerald-600 text-white font-black py-3 rounded-xl uppercase tracking-widest hover:bg-emerald-700 transition-all shadow-lg"
+              >
+                Done Editing
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Standard Members Summary */}
+      {Object.values(standardMembersSelection).some(v => v) && (
+        <div className={`mb-8 p-6 rounded-2xl border ${isDark ? 'bg-emerald-900/20 border-emerald-700' : 'bg-emerald-50 border-emerald-300'}`}>
+          <h3 style={{ color: themeClasses.text }} className="font-bold uppercase text-sm mb-3">
+            Selected Standard Members
+          </h3>
+          <div className="flex flex-wrap gap-2 mb-4">
+            {managedStandardMembers.filter(m => standardMembersSelection[m.member]).map(member => (
+              <span key={member.member} className="text-[9px] font-bold px-3 py-1 rounded-full bg-emerald-600 text-white">
+                {member.member}
+              </span>
+            ))}
+          </div>
+
+          {/* Target Safes */}
+          <div className="mb-4">
+            <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest block mb-2">
+              Additional Target Safes
+            </label>
+            <div className="flex gap-2 mb-3">
+              <input
+                type="text"
+                value={newTargetSafe}
+                onChange={(e) => setNewTargetSafe(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && addTargetSafe()}
+                placeholder="Safe name"
+                className={`flex-1 p-2 rounded-lg text-sm outline-none border ${themeClasses.input}`}
+              />
+              <button
+                onClick={addTargetSafe}
+                disabled={!newTargetSafe.trim()}
+                className="bg-blue-600 text-white text-[10px] font-black px-4 py-2 rounded-lg uppercase tracking-widest hover:bg-blue-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Add
+              </button>
+            </div>
+            {standardMemberTargets.length > 0 && (
+              <div className="flex flex-wrap gap-2 mb-3">
+                {standardMemberTargets.map(target => (
+                  <span key={target} className="text-[9px] font-bold pl-3 pr-2 py-1 rounded-full bg-blue-600/10 text-blue-600 flex items-center gap-1">
+                    {target}
+                    <button
+                      onClick={() => setStandardMemberTargets(standardMemberTargets.filter(other => other !== target))}
+                      className="hover:text-red-600"
+                    >
+                      ✕
+                    </button>
+                  </span>
+                ))}
               </div>
             )}
+            <label className={`flex items-center gap-2 text-[10px] font-bold ${queuedSafeCount === 0 ? 'opacity-50' : 'cursor-pointer'}`} style={{ color: themeClasses.text }}>
+              <input
+                type="checkbox"
+                checked={includeQueuedSafes}
+                disabled={queuedSafeCount === 0}
+                onChange={(e) => setIncludeQueuedSafes(e.target.checked)}
+                className="accent-emerald-600"
+              />
+              All Safes currently in the creation queue ({queuedSafeCount})
+            </label>
+            <p className="text-[10px] text-slate-500 mt-2">
+              {standardMemberTargetSafes.length > 0
+                ? `Targets: ${standardMemberTargetSafes.join(', ')}`
+                : 'Enter a Target Safe below or add target Safes here.'}
+            </p>
           </div>
-        )}
-      </main>
-    </div>
-  );
-}
-
-// ============================================================================
-// HELPER COMPONENTS
-// ============================================================================
 
-const StatsCard = ({ title, count, isDark, isStatus, themeClasses }) => (
-  <div className={`p-8 rounded-[1.5rem] border ${themeClasses.card}`}>
-    <p className="text-slate-500 text-[10px] font-bold uppercase tracking-widest mb-3">
-      {title}
-    </p>
-    <p
-      className={`text-3xl font-black ${isStatus ? 'text-emerald-500' : ''}`}
-      style={!isStatus ? { color: themeClasses.text } : {}}
-    >
-      {count}
-    </p>
-  </div>
-);
+          <button
+            onClick={onAddStandardMembers}
+            disabled={standardMemberTargetSafes.length === 0}
+            className="w-full bg-emerald-600 text-white text-sm font-black px-4 py-2 rounded-xl uppercase tracking-widest shadow-lg hover:bg-emerald-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Add Selected Standard Members{standardMemberTargetSafes.length > 1 ? ` to ${standardMemberTargetSafes.length} Safes` : ''}
+          </button>
+        </div>
+      )}
 
-const InputField = ({ label, value, onChange, placeholder, isDark, themeClasses }) => (
-  <div className="mb-3">
-    <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest ml-1 block mb-2">
-      {label}
-    </label>
-    <input
-      type="text"
-      value={value}
-      onChange={(e) => onChange(e.target.value)}
-      placeholder={placeholder}
-      className={`w-full p-3 rounded-xl border text-sm outline-none transition-all ${themeClasses?.input || (isDark ? 'bg-slate-900 border-slate-700 text-white' : 'bg-white border-slate-200')}`}
-    />
-  </div>
-);
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-6 mb-8">
+        {/* Target Safe & Templates */}
+        <div className={boxStyle}>
+          <InputField
+            label="Target Safe"
+            value={targetSafe}
+            onChange={setTargetSafe}
+            placeholder="0000-ABCD-MSP-Example"
+            isDark={isDark}
+            themeClasses={themeClasses}
+          />
+          <div className="mt-4">
+            <label className="text-[10px] font-black text-slate-500 uppercase block mb-2">
+              Permission Templates
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+              {Object.keys(PERM_TEMPLATES).map((t) => (
+                <button
+                  key={t}
+                  onClick={() => setMemberPermissions(PERM_TEMPLATES[t])}
+                  className={`text-[9px] font-bold py-2 border rounded-lg transition-all hover:bg-red-600 hover:text-white ${
+                    isDark ? 'border-slate-700 text-slate-400' : 'border-slate-300 text-slate-600'
+                  }`}
+                >
+                  {t}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
 
-const SelectField = ({ label, value, onChange, options, isDark, themeClasses }) => (
-  <div className="mb-3">
-    <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest ml-1 block mb-2">
-      {label}
-    </label>
-    <select
-      value={value}
-      onChange={(e) => onChange(e.target.value)}
-      className={`w-full p-3 rounded-xl border text-sm outline-none ${themeClasses?.input || (isDark ? 'bg-slate-900 border-slate-700 text-white' : 'bg-white border-slate-200')}`}
-    >
-      {options.map((o) => (
-        <option key={o.v} value={o.v}>
-          {o.l}
-        </option>
-      ))}
-    </select>
-  </div>
-);
+        {/* Member Details & Permissions */}
+        <div className={`${boxStyle} md:col-span-2`}>
+          <div className="mb-4">
+            <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest ml-1 block mb-2">
+              Member
+            </label>
+            <div className="flex gap-2">
+              <div className="flex-[3]">
+                <input
+                  type="text"
+                  value={memberName}
+                  onChange={(e) => setMemberName(e.target.value)}
+                  placeholder="User/Group Name"
+                  className={`w-full p-3 rounded-xl border text-sm outline-none transition-all ${themeClasses.input}`}
+                />
+              </div>
+              <div className="flex-[2]">
+                <select
+                  value={memberDomain}
+                  onChange={(e) => setMemberDomain(e.target.value)}
+                  className={`w-full p-3 rounded-xl border text-sm outline-none ${themeClasses.input}`}
+                >
+                  <option value="Vault">Vault</option>
+                  <option value="Domain.example">Domain.example</option>
+                </select>
+              </div>
+            </div>
+          </div>
+          <div className={`grid grid-cols-4 gap-x-4 gap-y-0 h-31 overflow-y-auto pr-2 custom-scrollbar ${isDark ? 'border-slate-700' : 'border-slate-300'}`}>
+            {PERMISSION_KEYS.map((perm) => (
+              <div
+                key={perm}
+                className={`flex items-center justify-between text-[9px] border-b py-1 ${
+                  isDark ? 'border-slate-700' : 'border-slate-300'
+                }`}
+              >
+                <span
+                  className="truncate opacity-80"
+                  style={{ color: themeClasses.text }}
+                >
+                  {perm}
+                </span>
+                <input
+                  type="checkbox"
+                  checked={memberPermissions[perm] || false}
+                  onChange={(e) =>
+                    setMemberPermissions({
+                      ...memberPermissions,
+                      [perm]: e.target.checked
+                    })
+                  }
+                  className="accent-red-600"
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+      <button
+        onClick={onAddCustomMember}
+        disabled={!targetSafe || !memberName}
+        className={`w-full font-black py-5 rounded-2xl uppercase tracking-widest flex items-center justify-center gap-2 shadow-lg transition-all ${
+          targetSafe && memberName
+            ? 'bg-red-600 text-white hover:bg-red-700' 
+            : 'bg-gray-400 text-gray-200 cursor-not-allowed opacity-60'
+        }`}
+      >
+        <PlusCircle size={20} /> Stage Member
+      </button>
+    </div>
+  );
+};
 
-const SafeManagementSection = ({
-  customSafeName, setCustomSafeName, safeDescription, setSafeDescription, managingCPM, setManagingCPM,
-  retentionMode, setRetentionMode, versionRetention, setVersionRetention, daysRetention, setDaysRetention,
-  onAddSafe, isDark, themeClasses
+const AccountManagementSection = ({
+  accObject, setAccObject, accAddress, setAccAddress, accUsername, setAccUsername,
+  accPassword, setAccPassword, accPlatformId, setAccPlatformId, accSafeName, setAccSafeName,
+  accAutoMgmt, setAccAutoMgmt, accManualReason, setAccManualReason, accRemoteMachines,
+  setAccRemoteMachines, onAddAccount, isDark, themeClasses
 }) => {
+  const boxStyle = `p-6 rounded-2xl border transition-all ${isDark ? 'bg-slate-800/50 border-slate-700' : 'bg-slate-50 border-slate-300'}`;
+
   return (
     <div className={`p-10 rounded-[2.5rem] border shadow-sm ${themeClasses.card}`}>
       <h2 style={{ color: themeClasses.text }} className="text-xl font-bold uppercase mb-8">
-        Safe Creation Management
+        Account Creation Management
       </h2>
-      
-      {/* Safe Name & Description */}
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
-        {/* Safe Name */}
-        <div className={`p-6 rounded-2xl border transition-all ${isDark ? 'bg-slate-800/50 border-slate-700' : 'bg-slate-50 border-slate-300'}`}>
-          <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest block mb-2">
-            Safe Name
-          </label>
-          <input
-            type="text"
-            value={customSafeName}
-            onChange={(e) => setCustomSafeName(e.target.value)}
-            placeholder="Enter Safe name"
-            className={`w-full p-3 rounded-xl border text-sm outline-none transition-all ${themeClasses.input}`}
-            onKeyPress={(e) => e.key === 'Enter' && onAddSafe()}
-          />
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+        {/* Object & Credentials */}
+        <div className={boxStyle}>
+          <InputField label="Object ID" value={accObject} onChange={setAccObject} isDark={isDark} themeClasses={themeClasses} />
+          <InputField label="Username" value={accUsername} onChange={setAccUsername} isDark={isDark} themeClasses={themeClasses} />
+          <InputField label="Secret" value={accPassword} onChange={setAccPassword} isDark={isDark} placeholder="optional" themeClasses={themeClasses} />
         </div>
 
-        {/* Description */}
-        <div className={`p-6 rounded-2xl border transition-all ${isDark ? 'bg-slate-800/50 border-slate-700' : 'bg-slate-50 border-slate-300'}`}>
-          <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest block mb-2">
-            Description (optional)
-          </label>
-          <textarea
-            value={safeDescription}
-            onChange={(e) => setSafeDescription(e.target.value)}
-            placeholder="Enter a description for this Safe"
-            className={`w-full p-3 rounded-xl border text-sm outline-none transition-all resize-none ${themeClasses.input}`}
-            rows="3"
-          />
+        {/* Address & Platform */}
+        <div className={boxStyle}>
+          <InputField label="Address" value={accAddress} onChange={setAccAddress} isDark={isDark} themeClasses={themeClasses} />
+          <InputField label="Platform ID" value={accPlatformId} onChange={setAccPlatformId} isDark={isDark} themeClasses={themeClasses} />
+          <InputField label="Safe Name" value={accSafeName} onChange={setAccSafeName} isDark={isDark} themeClasses={themeClasses} />
         </div>
-      </div>
 
-      {/* CPM & Retention Grid */}
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
         {/* CPM Management */}
-        <div className={`p-6 rounded-2xl border transition-all ${isDark ? 'bg-slate-800/50 border-slate-700' : 'bg-slate-50 border-slate-300'}`}>
-          <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest block mb-2">
-            Managing CPM
-          </label>
-          <input
-            type="text"
-            value={managingCPM}
-            onChange={(e) => setManagingCPM(e.target.value)}
-            placeholder="e.g. PasswordManager"
-            className={`w-full p-3 rounded-xl border text-sm outline-none transition-all ${themeClasses.input}`}
-          />
-        </div>
-
-        {/* Retention Type & Retention Value Input */}
-        <div className={`p-6 rounded-2xl border transition-all ${isDark ? 'bg-slate-800/50 border-slate-700' : 'bg-slate-50 border-slate-300'}`}>
-          <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest block mb-3">
-            Retention Type
-          </label>
-          <div className="flex gap-2 mb-4">
-            <button
-              onClick={() => setRetentionMode('versions')}
-              className={`flex-1 px-3 py-2 rounded-lg text-[9px] font-bold uppercase transition-all ${
-                retentionMode === 'versions'
-                  ? 'bg-red-600 text-white shadow-md'
-                  : isDark ? 'bg-slate-700 text-slate-300 hover:bg-slate-600' : 'bg-white border text-slate-600 hover:bg-slate-100'
-              }`}
-            >
-              Versions
-            </button>
-            <button
-              onClick={() => setRetentionMode('days')}
-              className={`flex-1 px-3 py-2 rounded-lg text-[9px] font-bold uppercase transition-all ${
-                retentionMode === 'days'
-                  ? 'bg-red-600 text-white shadow-md'
-                  : isDark ? 'bg-slate-700 text-slate-300 hover:bg-slate-600' : 'bg-white border text-slate-600 hover:bg-slate-100'
-              }`}
-            >
-              Days
-            </button>
+        <div className={boxStyle}>
+          <div className="flex justify-between items-center mb-4">
+            <span className="text-[10px] font-black text-slate-500 uppercase">
+              CPM Management
+            </span>
+            <input
+              type="checkbox"
+              checked={accAutoMgmt}
+              onChange={(e) => setAccAutoMgmt(e.target.checked)}
+              className="accent-red-600 w-5 h-5 rounded-lg"
+            />
           </div>
-          <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest block mb-2">
-            {retentionMode === 'versions' ? 'Number of Versions' : 'Number of Days'}
-          </label>
-          <input
-            type="number"
-            min="1"
-            value={retentionMode === 'versions' ? versionRetention : daysRetention}
-            onChange={(e) => retentionMode === 'versions' ? setVersionRetention(e.target.value) : setDaysRetention(e.target.value)}
-            placeholder={`Enter number of ${retentionMode === 'versions' ? 'versions' : 'days'} to be retained`}
-            className={`w-full p-3 rounded-xl border text-sm outline-none transition-all ${themeClasses.input}`}
+          {!accAutoMgmt && (
+            <div className="space-y-3 w-full mb-4">
+              <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest block">
+                Manual Reason
+              </label>
+              <textarea
+                value={accManualReason}
+                onChange={(e) => setAccManualReason(e.target.value)}
+                className={`w-full h-20 p-3 text-xs rounded-xl border outline-none ${themeClasses.input}`}
+                placeholder="Why is CPM disabled?"
+              />
+            </div>
+          )}
+          <InputField
+            label="Allowed Machines"
+            value={accRemoteMachines}
+            onChange={setAccRemoteMachines}
+            isDark={isDark}
+            placeholder="optional"
+            themeClasses={themeClasses}
           />
         </div>
       </div>
-
       <button
-        onClick={onAddSafe}
-        disabled={!customSafeName.trim() || !((retentionMode === 'versions' ? versionRetention : daysRetention))}
+        onClick={onAddAccount}
+        disabled={!accObject || !accAddress || !accUsername || !accPlatformId || !accSafeName}
         className={`w-full font-black py-5 rounded-2xl uppercase tracking-widest flex items-center justify-center gap-2 shadow-lg transition-all ${
-          customSafeName.trim() && (retentionMode === 'versions' ? versionRetention : daysRetention)
+          accObject && accAddress && accUsername && accPlatformId && accSafeName
             ? 'bg-red-600 text-white hover:bg-red-700' 
             : 'bg-gray-400 text-gray-200 cursor-not-allowed opacity-60'
         }`}
       >
-        <PlusCircle size={20} /> Stage Safe
+        <PlusCircle size={20} /> Stage Account
       </button>
     </div>
   );
 };
 
-const MemberManagementSection = ({
-  targetSafe, setTargetSafe, memberName, setMemberName, memberDomain, setMemberDomain,
-  memberPermissions, setMemberPermissions, onAddStandardMembers, onAddCustomMember,
-  isDark, themeClasses, standardMembersSelection, setStandardMembersSelection, editingStandardMember, setEditingStandardMember,
-  standardMembersPermissions, setStandardMembersPermissions, managedStandardMembers, setManagedStandardMembers, 
-  editingMemberInModal, setEditingMemberInModal, newMemberForm, setNewMemberForm
-}) => {
-  const boxStyle = `p-6 rounded-2xl border transition-all ${isDark ? 'bg-slate-800/50 border-slate-700' : 'bg-slate-50 border-slate-300'}`;
+const QueueSection = ({ title, items, onRemove, isDark, themeClasses, isMember, isAccount, isSafe, isRemoval }) => (
+  <div className={`p-10 rounded-[2.5rem] border shadow-sm ${themeClasses.card}`}>
+    <div className="flex justify-between items-center mb-8">
+      <h2 style={{ color: themeClasses.text }} className="text-xl font-bold uppercase">
+        {title}
+      </h2>
+      <span className="bg-red-600 text-white text-[10px] font-black px-3 py-1 rounded-full">
+        {items.length}
+      </span>
+    </div>
+    {items.length > 0 ? (
+      <div className="space-y-4">
+        {items.map((item, i) => (
+          <div
+            key={i}
+            className={`group p-6 rounded-2xl border flex justify-between items-start transition-all ${
+              isDark
+                ? 'bg-slate-800/40 border-slate-700 hover:bg-slate-800'
+                : 'bg-slate-50 border-slate-200 hover:bg-white hover:shadow-md'
+            }`}
+          >
+            <div className="flex items-start gap-4 overflow-hidden flex-1">
+              <div className={`p-2 rounded-lg flex-shrink-0 ${isDark ? 'bg-slate-700' : 'bg-white border'}`}>
+                {isSafe ? (
+                  <Lock size={16} className="text-red-600" />
+                ) : isMember ? (
+                  <Users size={16} className="text-red-600" />
+                ) : isAccount ? (
+                  <Database size={16} className="text-red-600" />
+                ) : (
+                  <Lock size={16} className="text-red-600" />
+                )}
+              </div>
+              <div className="truncate flex-1">
+                {isSafe ? (
+                  <div className="flex flex-col gap-2">
+                    <div>
+                      <span
+                        className="font-mono text-sm font-black"
+                        style={{ color: themeClasses.text }}
+                      >
+                        {item.name}
+                      </span>
+                      {item.description && (
+                        <p className="text-[9px] text-slate-500 mt-1 italic">
+                          {item.description}
+                        </p>
+                      )}
+                    </div>
+                    {item.original ? (
+                      <SafeModificationDiff safe={item} />
+                    ) : (
+                      <SafePropertyBadges safe={item} showId={isRemoval} />
+                    )}
+                  </div>
+                ) : isMember ? (
+                  <div className="flex flex-col">
+                    <span
+                      className="font-mono text-xs font-black"
+                      style={{ color: themeClasses.text }}
+                    >
+                      {item.member}
+                      <span className="text-slate-500 font-normal">
+                        {' '}@ {item.domain}
+                      </span>
+                    </span>
+                    <div className="flex gap-2 mt-1">
+                      <span className="text-[9px] bg-purple-600/10 text-purple-600 px-2 py-0.5 rounded font-bold uppercase">
+                        Role: {item.role}
+                      </span>
+                      <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold uppercase">
+                        Safe: {item.safe}
+                      </span>
+                    </div>
+                  </div>
+                ) : isAccount ? (
+                  <div className="flex flex-col gap-2">
+                    <span
+                      className="font-mono text-sm font-black"
+                      style={{ color: themeClasses.text }}
+                    >
+                      {item.userName || item.username}
+                      <span className="text-red-600">{' '}@{' '}</span>
+                      {item.address}
+                    </span>
+                    <div className="flex flex-wrap gap-2">
+                      <span className="text-[9px] bg-orange-600/10 text-orange-600 px-2 py-0.5 rounded font-bold flex items-center gap-1">
+                        <Layers2 size={10} /> Platform: {item.platformId || item.platform}
+                      </span>
+                      <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold flex items-center gap-1">
+                        <Vault size={10} /> Safe: {item.safeName}
+                      </span>
+                      <span className="text-[9px] bg-slate-500/10 text-slate-600 px-2 py-0.5 rounded font-bold">
+                        Object-ID: {item.object}
+                      </span>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="flex flex-col">
+                    <span
+                      className="font-mono text-xs font-black uppercase tracking-tight"
+                      style={{ color: themeClasses.text }}
+                    >
+                      {item}
+                    </span>
+                  </div>
+                )}
+              </div>
+            </div>
+            <button
+              onClick={() => onRemove(i)}
+              className="p-2 rounded-lg text-slate-400 hover:bg-red-600 hover:text-white transition-all flex-shrink-0"
+              aria-label="Remove item"
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+        ))}
+        <div className="flex justify-end pt-6">
+          <button className="bg-red-600 text-white font-black py-4 px-10 rounded-xl uppercase text-xs tracking-widest flex items-center gap-2 shadow-xl hover:bg-red-700 transition-all">
+            <Send size={16} /> Execute Deployment
+          </button>
+        </div>
+      </div>
+    ) : (
+      <div className="py-10 text-center text-slate-400 italic text-xs">
+        Queue is empty.
+      </div>
+    )}
+  </div>
+);
+
+// ============================================================================
+// SAFE BLUEPRINT SECTION
+// ============================================================================
 
-  const toggleStandardMember = (memberName) => {
-    setStandardMembersSelection({
-      ...standardMembersSelection,
-      [memberName]: !standardMembersSelection[memberName]
-    });
-    if (!standardMembersPermissions[memberName]) {
-      const member = managedStandardMembers.find(m => m.member === memberName);
-      setStandardMembersPermissions({
-        ...standardMembersPermissions,
-        [memberName]: { ...member.perms }
-      });
-    }
-  };
+/**
+ * Picks a blueprint, fills in its placeholders and previews the Safe, members
+ * and accounts that onStage will queue. A queued Safe (with the members and
+ * accounts queued for it) can be saved as a new blueprint, turning the values
+ * listed under Placeholders back into {placeholders}.
+ */
+const SafeBlueprintSection = ({
+  builtInBlueprints, savedBlueprints, standardMembers, namingPolicy, queuedSafeNames,
+  onStage, onSave, onDelete, isDark, themeClasses
+}) => {
+  const blueprints = [...builtInBlueprints, ...savedBlueprints];
+  const [selectedName, setSelectedName] = useState(blueprints[0]?.name ?? '');
+  const [values, setValues] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveForm, setSaveForm] = useState({
+    name: '', description: '', safeName: '', placeholders: [{ key: 'app', value: '' }, { key: 'env', value: '' }]
+  });
 
-  const updateStandardMemberPerm = (memberName, perm, value) => {
-    setStandardMembersPermissions({
-      ...standardMembersPermissions,
-      [memberName]: {
-        ...standardMembersPermissions[memberName],
-        [perm]: value
-      }
-    });
-  };
+  const blueprint = blueprints.find(b => b.name === selectedName) || blueprints[0] || null;
+  const isSavedBlueprint = blueprint && savedBlueprints.some(b => b.name === blueprint.name);
+  const placeholders = blueprint ? listBlueprintPlaceholders(blueprint) : [];
+  const preview = blueprint ? expandSafeBlueprint(blueprint, values, { standardMembers, namingPolicy }) : null;
+  const panelClass = `p-6 rounded-2xl border ${isDark ? 'bg-slate-800/50 border-slate-700' : 'bg-slate-50 border-slate-300'}`;
+  const labelClass = 'text-[10px] font-black text-slate-500 uppercase tracking-widest block mb-2';
 
-  const addNewStandardMember = () => {
-    if (!newMemberForm.member.trim()) return showNotification("Please enter a member name!", "error");
-    const newMember = {
-      member: newMemberForm.member,
-      domain: newMemberForm.domain,
-      perms: newMemberForm.perms || PERM_TEMPLATES.PAM,
-      role: detectRoleFromPermissions(newMemberForm.perms || PERM_TEMPLATES.PAM)
-    };
-    setManagedStandardMembers([...managedStandardMembers, newMember]);
-    setNewMemberForm({ member: '', domain: 'Vault', role: '', perms: {} });
-  };
+  const setPlaceholderRow = (index, changes) => setSaveForm({
+    ...saveForm,
+    placeholders: saveForm.placeholders.map((row, i) => (i === index ? { ...row, ...changes } : row))
+  });
 
-  const removeStandardMember = (memberName) => {
-    setManagedStandardMembers(managedStandardMembers.filter(m => m.member !== memberName));
-    setStandardMembersSelection(prev => {
-      const updated = { ...prev };
-      delete updated[memberName];
-      return updated;
-    });
-    setStandardMembersPermissions(prev => {
-      const updated = { ...prev };
-      delete updated[memberName];
-      return updated;
+  const handleSave = () => {
+    const saved = onSave({
+      name: saveForm.name.trim(),
+      description: saveForm.description.trim(),
+      safeName: saveForm.safeName,
+      placeholders: Object.fromEntries(saveForm.placeholders.map(row => [row.key, row.value]))
     });
-  };
-
-  const updateManagedMember = (memberName, updates) => {
-    setManagedStandardMembers(managedStandardMembers.map(m => 
-      m.member === memberName ? { ...m, ...updates } : m
-    ));
+    if (!saved) return;
+    setSelectedName(saveForm.name.trim());
+    setValues({});
+    setSaveForm({ ...saveForm, name: '', description: '' });
+    setIsSaving(false);
   };
 
   return (
     <div className={`p-10 rounded-[2.5rem] border shadow-sm ${themeClasses.card}`}>
-      <div className="flex justify-between items-center mb-8">
-        <h2 style={{ color: themeClasses.text }} className="text-xl font-bold uppercase">
-          Member Creation Management
-        </h2>
+      <div className="flex justify-between items-start mb-6">
+        <div>
+          <h2 style={{ color: themeClasses.text }} className="text-xl font-bold uppercase">
+            Safe Blueprints
+          </h2>
+          <p className="text-[10px] text-slate-500 mt-1">
+            Create a Safe with its members and accounts in one step. Fill in the placeholders and everything is staged into the Safe, member and account queues together.
+          </p>
+        </div>
         <button
-          onClick={() => setEditingStandardMember(editingStandardMember ? null : 'editor')}
-          className="bg-blue-600 text-white text-[10px] font-black px-4 py-2 rounded-xl uppercase tracking-widest shadow-lg hover:bg-blue-700 transition-all"
+          onClick={() => setIsSaving(!isSaving)}
+          className="bg-blue-600 text-white text-[10px] font-black px-4 py-2 rounded-xl uppercase tracking-widest shadow-lg hover:bg-blue-700 transition-all flex items-center gap-2 flex-shrink-0"
         >
-          {editingStandardMember ? 'Close Editor' : 'Edit Standard Members'}
+          <Layers2 size={14} /> {isSaving ? 'Cancel' : 'Save Queued Safe as Blueprint'}
         </button>
       </div>
 
-      {/* Standard Members Modal/Editor */}
-      {editingStandardMember === 'editor' && (
-        <div className={`fixed inset-0 z-50 flex items-center justify-center p-4 ${isDark ? 'bg-black/70' : 'bg-black/50'}`}>
-          <div className={`rounded-2xl shadow-2xl w-full max-w-5xl max-h-[90vh] overflow-y-auto ${themeClasses.card} border p-8`}>
-            <div className="flex justify-between items-center mb-6">
-              <h3 style={{ color: themeClasses.text }} className="text-xl font-bold uppercase">
-                Manage Standard Members
-              </h3>
-              <button
-                onClick={() => setEditingStandardMember(null)}
-                className="text-2xl text-slate-400 hover:text-slate-600"
+      {isSaving && (
+        <div className={`${panelClass} mb-6 space-y-4`}>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className={labelClass}>Queued Safe</label>
+              <select
+                value={saveForm.safeName}
+                onChange={(e) => setSaveForm({ ...saveForm, safeName: e.target.value })}
+                className={`w-full p-3 rounded-xl border text-sm outline-none ${themeClasses.input}`}
               >
-                ✕
-              </button>
-            </div>
-
-            {/* Add New Member Form */}
-            <div className={`mb-6 p-4 rounded-xl border ${isDark ? 'bg-slate-800 border-slate-700' : 'bg-blue-50 border-blue-300'}`}>
-              <h4 style={{ color: themeClasses.text }} className="font-bold uppercase text-sm mb-3">Add New Standard Member</h4>
-              <div className="flex gap-2 mb-3">
-                <input
-                  type="text"
-                  value={newMemberForm.member}
-                  onChange={(e) => setNewMemberForm({ ...newMemberForm, member: e.target.value })}
-                  placeholder="Member name (e.g., G_NEW_GROUP)"
-                  className={`flex-1 p-2 rounded-lg text-sm outline-none border ${themeClasses.input}`}
-                />
-                <select
-                  value={newMemberForm.domain}
-                  onChange={(e) => setNewMemberForm({ ...newMemberForm, domain: e.target.value })}
-                  className={`flex-1 p-2 rounded-lg text-sm outline-none border ${themeClasses.input}`}
-                >
-                  <option value="Vault">Vault</option>
-                  <option value="Domain.example">Domain.example</option>
-                </select>
-                <select
-                  value={detectRoleFromPermissions(newMemberForm.perms || {})}
-                  onChange={(e) => {
-                    const role = e.target.value;
-                    setNewMemberForm({ 
-                      ...newMemberForm, 
-                      perms: PERM_TEMPLATES[role] || {},
-                      role 
-                    });
-                  }}
-                  className={`flex-1 p-2 rounded-lg text-sm outline-none border ${themeClasses.input}`}
-                >
-                  <option value="">Select Template</option>
-                  {Object.keys(PERM_TEMPLATES).map(t => (
-                    <option key={t} value={t}>{t}</option>
-                  ))}
-                </select>
-                <button
-                  onClick={addNewStandardMember}
-                  className="bg-blue-600 text-white font-bold px-4 py-2 rounded-lg hover:bg-blue-700 transition-all"
-                >
-                  Add
-                </button>
-              </div>
+                <option value="">{queuedSafeNames.length > 0 ? 'Select a queued Safe…' : 'No Safes queued yet'}</option>
+                {queuedSafeNames.map(name => <option key={name} value={name}>{name}</option>)}
+              </select>
             </div>
-
-            {/* Existing Members List */}
-            <div className="space-y-3 mb-6">
-              {managedStandardMembers.map((member) => (
-                <div key={member.member} className={`p-4 rounded-xl border ${isDark ? 'bg-slate-800 border-slate-700' : 'bg-slate-50 border-slate-200'}`}>
-                  <div className="flex items-start justify-between mb-3">
-                    <div className="flex-1">
-                      <div className="flex items-center gap-3 mb-2">
-                        <input
-                          type="checkbox"
-                          checked={standardMembersSelection[member.member] || false}
-                          onChange={() => toggleStandardMember(member.member)}
-                          className="accent-red-600 w-4 h-4"
-                        />
-                        <div>
-                          <div className="font-bold text-sm" style={{ color: themeClasses.text }}>
-                            {member.member}
-                            <span className="text-slate-500 font-normal"> @ {member.domain}</span>
-                          </div>
-                          <div className="text-[9px] text-slate-500 mt-1">Role: {member.role}</div>
-                        </div>
-                      </div>
-                    </div>
-                    <button
-                      onClick={() => removeStandardMember(member.member)}
-                      className="text-red-600 hover:text-red-700 font-bold text-sm"
-                    >
-                      ✕ Remove
-                    </button>
-                  </div>
-
-                  {/* Permissions Grid */}
-                  {standardMembersSelection[member.member] && (
-                    <div className={`grid grid-cols-4 gap-3 p-4 rounded-lg ${isDark ? 'bg-slate-700/50' : 'bg-white border border-slate-200'}`}>
-                      {PERMISSION_KEYS.map((perm) => (
-                        <label key={perm} className="flex items-center gap-2 text-[9px] cursor-pointer">
-                          <input
-                            type="checkbox"
-                            checked={standardMembersPermissions[member.member]?.[perm] || false}
-                            onChange={(e) => {
-                              updateStandardMemberPerm(member.member, perm, e.target.checked);
-                              const updatedPerms = { ...standardMembersPermissions[member.member], [perm]: e.target.checked };
-                              updateManagedMember(member.member, { perms: updatedPerms, role: detectRoleFromPermissions(updatedPerms) });
-                            }}
-                            className="accent-red-600"
-                          />
-                          <span className="truncate opacity-70" style={{ color: themeClasses.text }}>
-                            {perm}
-                          </span>
-                        </label>
-                      ))}
-                    </div>
-                  )}
-                </div>
-              ))}
+            <div>
+              <label className={labelClass}>Blueprint Name</label>
+              <input
+                type="text"
+                value={saveForm.name}
+                onChange={(e) => setSaveForm({ ...saveForm, name: e.target.value })}
+                placeholder="e.g. Database Onboarding"
+                className={`w-full p-3 rounded-xl border text-sm outline-none ${themeClasses.input}`}
+              />
             </div>
-
-            <div className="flex gap-3">
-              <button
-                onClick={() => setEditingStandardMember(null)}
-                className="flex-1 bg-slate-400 text-white font-black py-3 rounded-xl uppercase tracking-widest hover:bg-slate-500 transition-all"
-              >
-                Cancel
-              </button>
-              <button
-                onClick={() => setEditingStandardMember(null)}
-                className="flex-1 bg-emerald-600 text-white font-black py-3 rounded-xl uppercase tracking-widest hover:bg-emerald-700 transition-all shadow-lg"
-              >
-                Done Editing
-              </button>
+            <div>
+              <label className={labelClass}>Description (optional)</label>
+              <input
+                type="text"
+                value={saveForm.description}
+                onChange={(e) => setSaveForm({ ...saveForm, description: e.target.value })}
+                className={`w-full p-3 rounded-xl border text-sm outline-none ${themeClasses.input}`}
+              />
             </div>
           </div>
-        </div>
-      )}
-
-      {/* Standard Members Summary */}
-      {Object.values(standardMembersSelection).some(v => v) && (
-        <div className={`mb-8 p-6 rounded-2xl border ${isDark ? 'bg-emerald-900/20 border-emerald-700' : 'bg-emerald-50 border-emerald-300'}`}>
-          <h3 style={{ color: themeClasses.text }} className="font-bold uppercase text-sm mb-3">
-            Selected Standard Members
-          </h3>
-          <div className="flex flex-wrap gap-2 mb-4">
-            {managedStandardMembers.filter(m => standardMembersSelection[m.member]).map(member => (
-              <span key={member.member} className="text-[9px] font-bold px-3 py-1 rounded-full bg-emerald-600 text-white">
-                {member.member}
-              </span>
-            ))}
-          </div>
-          <button
-            onClick={onAddStandardMembers}
-            disabled={!targetSafe}
-            className="w-full bg-emerald-600 text-white text-sm font-black px-4 py-2 rounded-xl uppercase tracking-widest shadow-lg hover:bg-emerald-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            Add Selected Standard Members
-          </button>
-        </div>
-      )}
 
-      <div className="grid grid-cols-2 md:grid-cols-3 gap-6 mb-8">
-        {/* Target Safe & Templates */}
-        <div className={boxStyle}>
-          <InputField
-            label="Target Safe"
-            value={targetSafe}
-            onChange={setTargetSafe}
-            placeholder="0000-ABCD-MSP-Example"
-            isDark={isDark}
-            themeClasses={themeClasses}
-          />
-          <div className="mt-4">
-            <label className="text-[10px] font-black text-slate-500 uppercase block mb-2">
-              Permission Templates
-            </label>
-            <div className="grid grid-cols-2 gap-2">
-              {Object.keys(PERM_TEMPLATES).map((t) => (
-                <button
-                  key={t}
-                  onClick={() => setMemberPermissions(PERM_TEMPLATES[t])}
-                  className={`text-[9px] font-bold py-2 border rounded-lg transition-all hover:bg-red-600 hover:text-white ${
-                    isDark ? 'border-slate-700 text-slate-400' : 'border-slate-300 text-slate-600'
-                  }`}
-                >
-                  {t}
-                </button>
+          <div>
+            <label className={labelClass}>Placeholders</label>
+            <p className="text-[10px] text-slate-500 mb-2">
+              Every occurrence of a value in the Safe, its members and accounts is saved as its placeholder, e.g. "PRD" as {'{env}'}.
+            </p>
+            <div className="space-y-2">
+              {saveForm.placeholders.map((row, index) => (
+                <div key={index} className="flex gap-2 items-center">
+                  <span className="text-sm font-mono text-slate-500">{'{'}</span>
+                  <input
+                    type="text"
+                    value={row.key}
+                    onChange={(e) => setPlaceholderRow(index, { key: e.target.value.replace(/\W/g, '') })}
+                    placeholder="placeholder"
+                    className={`w-40 p-2 rounded-lg border text-sm font-mono outline-none ${themeClasses.input}`}
+                  />
+                  <span className="text-sm font-mono text-slate-500">{'}'} replaces</span>
+                  <input
+                    type="text"
+                    value={row.value}
+                    onChange={(e) => setPlaceholderRow(index, { value: e.target.value })}
+                    placeholder="value in the queued Safe"
+                    className={`flex-1 p-2 rounded-lg border text-sm outline-none ${themeClasses.input}`}
+                  />
+                  <button
+                    onClick={() => setSaveForm({ ...saveForm, placeholders: saveForm.placeholders.filter((_, i) => i !== index) })}
+                    className="text-red-500 hover:text-red-700 p-2"
+                    title="Remove placeholder"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
               ))}
             </div>
+            <button
+              onClick={() => setSaveForm({ ...saveForm, placeholders: [...saveForm.placeholders, { key: '', value: '' }] })}
+              className="mt-2 text-[10px] font-black uppercase tracking-widest text-blue-600 hover:text-blue-700"
+            >
+              + Add Placeholder
+            </button>
           </div>
+
+          <button
+            onClick={handleSave}
+            disabled={!saveForm.safeName || !saveForm.name.trim()}
+            className={`w-full font-black py-3 rounded-xl uppercase tracking-widest text-xs transition-all ${
+              saveForm.safeName && saveForm.name.trim()
+                ? 'bg-blue-600 text-white hover:bg-blue-700'
+                : 'bg-gray-400 text-gray-200 cursor-not-allowed opacity-60'
+            }`}
+          >
+            Save Blueprint
+          </button>
         </div>
+      )}
 
-        {/* Member Details & Permissions */}
-        <div className={`${boxStyle} md:col-span-2`}>
-          <div className="mb-4">
-            <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest ml-1 block mb-2">
-              Member
-            </label>
+      {!blueprint ? (
+        <p className="text-sm text-slate-500 italic">No blueprints available.</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className={panelClass}>
+            <label className={labelClass}>Blueprint</label>
             <div className="flex gap-2">
-              <div className="flex-[3]">
-                <input
-                  type="text"
-                  value={memberName}
-                  onChange={(e) => setMemberName(e.target.value)}
-                  placeholder="User/Group Name"
-                  className={`w-full p-3 rounded-xl border text-sm outline-none transition-all ${themeClasses.input}`}
-                />
-              </div>
-              <div className="flex-[2]">
-                <select
-                  value={memberDomain}
-                  onChange={(e) => setMemberDomain(e.target.value)}
-                  className={`w-full p-3 rounded-xl border text-sm outline-none ${themeClasses.input}`}
+              <select
+                value={blueprint.name}
+                onChange={(e) => {
+                  setSelectedName(e.target.value);
+                  setValues({});
+                }}
+                className={`flex-1 p-3 rounded-xl border text-sm outline-none ${themeClasses.input}`}
+              >
+                <optgroup label="Built-in">
+                  {builtInBlueprints.map(b => <option key={b.name} value={b.name}>{b.name}</option>)}
+                </optgroup>
+                {savedBlueprints.length > 0 && (
+                  <optgroup label="Saved">
+                    {savedBlueprints.map(b => <option key={b.name} value={b.name}>{b.name}</option>)}
+                  </optgroup>
+                )}
+              </select>
+              {isSavedBlueprint && (
+                <button
+                  onClick={() => {
+                    onDelete(blueprint.name);
+                    setValues({});
+                  }}
+                  className="text-red-500 hover:text-red-700 p-3"
+                  title="Delete this saved blueprint"
                 >
-                  <option value="Vault">Vault</option>
-                  <option value="Domain.example">Domain.example</option>
-                </select>
-              </div>
+                  <Trash2 size={16} />
+                </button>
+              )}
             </div>
+            {blueprint.description && <p className="text-[10px] text-slate-500 mt-2">{blueprint.description}</p>}
+
+            {placeholders.length > 0 && (
+              <div className="mt-4 space-y-3">
+                {placeholders.map(key => (
+                  <div key={key}>
+                    <label className="text-[9px] font-bold text-slate-500 uppercase block mb-1 font-mono">{`{${key}}`}</label>
+                    <input
+                      type="text"
+                      value={values[key] ?? ''}
+                      onChange={(e) => setValues({ ...values, [key]: e.target.value })}
+                      className={`w-full p-2 rounded-lg border text-sm outline-none ${themeClasses.input}`}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
-          <div className={`grid grid-cols-4 gap-x-4 gap-y-0 h-31 overflow-y-auto pr-2 custom-scrollbar ${isDark ? 'border-slate-700' : 'border-slate-300'}`}>
-            {PERMISSION_KEYS.map((perm) => (
-              <div
-                key={perm}
-                className={`flex items-center justify-between text-[9px] border-b py-1 ${
-                  isDark ? 'border-slate-700' : 'border-slate-300'
-                }`}
-              >
-                <span
-                  className="truncate opacity-80"
-                  style={{ color: themeClasses.text }}
-                >
-                  {perm}
-                </span>
-                <input
-                  type="checkbox"
-                  checked={memberPermissions[perm] || false}
-                  onChange={(e) =>
-                    setMemberPermissions({
-                      ...memberPermissions,
-                      [perm]: e.target.checked
-                    })
-                  }
-                  className="accent-red-600"
-                />
+
+          <div className={panelClass}>
+            <label className={labelClass}>Preview</label>
+            {preview.safe ? (
+              <div className="space-y-3 text-sm">
+                <div>
+                  <p style={{ color: themeClasses.text }} className="font-bold">{preview.safe.name}</p>
+                  {preview.safe.description && <p className="text-[10px] text-slate-500">{preview.safe.description}</p>}
+                  <div className="mt-1">
+                    <SafePropertyBadges safe={preview.safe} />
+                  </div>
+                </div>
+                <div>
+                  <p className="text-[9px] font-bold text-slate-500 uppercase mb-1">Members ({preview.members.length})</p>
+                  <ul className="text-[11px] space-y-0.5">
+                    {preview.members.map((entry, index) => (
+                      <li key={index} style={{ color: themeClasses.text }}>{entry.member}@{entry.domain} · {entry.roleLabel}</li>
+                    ))}
+                  </ul>
+                </div>
+                <div>
+                  <p className="text-[9px] font-bold text-slate-500 uppercase mb-1">Accounts ({preview.accounts.length})</p>
+                  <ul className="text-[11px] space-y-0.5">
+                    {preview.accounts.map((account, index) => (
+                      <li key={index} style={{ color: themeClasses.text }}>{account.userName}@{account.address} · {account.platformId}</li>
+                    ))}
+                  </ul>
+                </div>
               </div>
-            ))}
+            ) : (
+              <p className="text-[10px] text-slate-500 italic">Fill in the placeholders to preview the Safe, members and accounts.</p>
+            )}
+            {preview.errors.length > 0 && (
+              <ul className="mt-3 text-[10px] text-red-600 space-y-0.5">
+                {preview.errors.map((error, index) => <li key={index}>✗ {error}</li>)}
+              </ul>
+            )}
           </div>
+
+          <button
+            onClick={() => onStage(blueprint, values) && setValues({})}
+            disabled={preview.errors.length > 0}
+            className={`md:col-span-2 w-full font-black py-5 rounded-2xl uppercase tracking-widest flex items-center justify-center gap-2 shadow-lg transition-all ${
+              preview.errors.length === 0
+                ? 'bg-red-600 text-white hover:bg-red-700'
+                : 'bg-gray-400 text-gray-200 cursor-not-allowed opacity-60'
+            }`}
+          >
+            <PlusCircle size={20} /> Stage Safe, Members &amp; Accounts
+          </button>
         </div>
-      </div>
-      <button
-        onClick={onAddCustomMember}
-        disabled={!targetSafe || !memberName}
-        className={`w-full font-black py-5 rounded-2xl uppercase tracking-widest flex items-center justify-center gap-2 shadow-lg transition-all ${
-          targetSafe && memberName
-            ? 'bg-red-600 text-white hover:bg-red-700' 
-            : 'bg-gray-400 text-gray-200 cursor-not-allowed opacity-60'
-        }`}
-      >
-        <PlusCircle size={20} /> Stage Member
-      </button>
+      )}
     </div>
   );
 };
 
-const AccountManagementSection = ({
-  accObject, setAccObject, accAddress, setAccAddress, accUsername, setAccUsername,
-  accPassword, setAccPassword, accPlatformId, setAccPlatformId, accSafeName, setAccSafeName,
-  accAutoMgmt, setAccAutoMgmt, accManualReason, setAccManualReason, accRemoteMachines,
-  setAccRemoteMachines, onAddAccount, isDark, themeClasses
+// ============================================================================
+// BULK IMPORT SECTION
+// ============================================================================
+
+/**
+ * CSV/TSV upload with column mapping and a validated preview. `validateRows`
+ * receives every mapped row (field key -> cell text) and returns
+ * `{ item, errors, warnings? }` per row; only rows without errors are passed to
+ * `onStage`, while warnings are shown without blocking the row.
+ * Fields flagged `secret` are masked in the preview and left out of the error report.
+ * `previewFields` limits the raw columns shown in the preview table, and
+ * `renderPreview` adds a column showing each resolved item. `validateRows` also
+ * receives the file line of every row, and `onLoadError(message)` reports a
+ * file that cannot be read.
+ */
+const BulkImportSection = ({
+  title, description, fields, previewFields, validateRows, renderItem, renderPreview, onStage, onLoadError, isDark, themeClasses
 }) => {
-  const boxStyle = `p-6 rounded-2xl border transition-all ${isDark ? 'bg-slate-800/50 border-slate-700' : 'bg-slate-50 border-slate-300'}`;
+  const [parsedFile, setParsedFile] = useState(null);
+  const [columnMapping, setColumnMapping] = useState({});
+  const tableFields = previewFields ? fields.filter(field => previewFields.includes(field.key)) : fields;
+
+  const mappedRows = parsedFile
+    ? parsedFile.records.map(record => Object.fromEntries(fields.map(field => [
+        field.key,
+        columnMapping[field.key] === '' || columnMapping[field.key] === undefined
+          ? ''
+          : (record[Number(columnMapping[field.key])] ?? '')
+      ])))
+    : [];
+  const validatedRows = parsedFile ? validateRows(mappedRows, parsedFile.lineNumbers) : [];
+  const validItems = validatedRows.filter(row => row.errors.length === 0).map(row => row.item);
+  const invalidCount = validatedRows.length - validItems.length;
+  const warningCount = validatedRows.filter(row => row.errors.length === 0 && row.warnings?.length > 0).length;
+  const unmappedRequired = fields.filter(field => field.required && !columnMapping[field.key]);
+
+  const loadFile = async (file) => {
+    try {
+      const parsed = parseDelimitedText(await file.text());
+      if (parsed.headers.length === 0) {
+        throw new Error('the file is empty');
+      }
+      setParsedFile({ fileName: file.name, ...parsed });
+      setColumnMapping(autoMapColumns(parsed.headers, fields));
+    } catch (error) {
+      onLoadError(`✗ Could not read ${file.name}: ${error.message}`);
+    }
+  };
+
+  const reset = () => {
+    setParsedFile(null);
+    setColumnMapping({});
+  };
+
+  // Secret columns are left out of the report so it can be shared safely
+  const downloadErrorReport = () => {
+    const reportFields = fields.filter(field => !field.secret);
+    const rows = validatedRows.flatMap((row, index) => (row.errors.length === 0 ? [] : [[
+      parsedFile.lineNumbers[index],
+      ...reportFields.map(field => mappedRows[index][field.key]),
+      row.errors.join('; ')
+    ]]));
+    downloadFile(
+      `${parsedFile.fileName.replace(/\.[^.]+$/, '')}-errors.csv`,
+      toCSVText([['Line', ...reportFields.map(field => field.label), 'Errors'], ...rows]),
+      'text/csv'
+    );
+  };
 
   return (
     <div className={`p-10 rounded-[2.5rem] border shadow-sm ${themeClasses.card}`}>
-      <h2 style={{ color: themeClasses.text }} className="text-xl font-bold uppercase mb-8">
-        Account Creation Management
-      </h2>
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
-        {/* Object & Credentials */}
-        <div className={boxStyle}>
-          <InputField label="Object ID" value={accObject} onChange={setAccObject} isDark={isDark} themeClasses={themeClasses} />
-          <InputField label="Username" value={accUsername} onChange={setAccUsername} isDark={isDark} themeClasses={themeClasses} />
-          <InputField label="Secret" value={accPassword} onChange={setAccPassword} isDark={isDark} placeholder="optional" themeClasses={themeClasses} />
+      <div className="flex justify-between items-start mb-6">
+        <div>
+          <h2 style={{ color: themeClasses.text }} className="text-xl font-bold uppercase">
+            {title}
+          </h2>
+          <p className="text-[10px] text-slate-500 mt-1">{description}</p>
         </div>
+        <label className="bg-blue-600 text-white text-[10px] font-black px-4 py-2 rounded-xl uppercase tracking-widest shadow-lg hover:bg-blue-700 transition-all cursor-pointer flex items-center gap-2 flex-shrink-0">
+          <Upload size={14} /> {parsedFile ? 'Choose Another File' : 'Upload CSV / TSV'}
+          <input
+            type="file"
+            accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+            className="hidden"
+            onChange={(e) => {
+              const [file] = e.target.files;
+              e.target.value = '';
+              if (file) loadFile(file);
+            }}
+          />
+        </label>
+      </div>
 
-        {/* Address & Platform */}
-        <div className={boxStyle}>
-          <InputField label="Address" value={accAddress} onChange={setAccAddress} isDark={isDark} themeClasses={themeClasses} />
-          <InputField label="Platform ID" value={accPlatformId} onChange={setAccPlatformId} isDark={isDark} themeClasses={themeClasses} />
-          <InputField label="Safe Name" value={accSafeName} onChange={setAccSafeName} isDark={isDark} themeClasses={themeClasses} />
-        </div>
+      {parsedFile && (
+        <>
+          {/* Column Mapping */}
+          <div className={`p-6 rounded-2xl border mb-6 ${isDark ? 'bg-slate-800/50 border-slate-700' : 'bg-slate-50 border-slate-300'}`}>
+            <h3 style={{ color: themeClasses.text }} className="font-bold uppercase text-sm mb-1">
+              Column Mapping
+            </h3>
+            <p className="text-[10px] text-slate-500 mb-4">
+              {parsedFile.fileName} · {parsedFile.records.length} row{parsedFile.records.length !== 1 ? 's' : ''}
+            </p>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-x-4">
+              {fields.map(field => (
+                <SelectField
+                  key={field.key}
+                  label={`${field.label}${field.required ? ' *' : ''}`}
+                  value={columnMapping[field.key] ?? ''}
+                  onChange={(value) => setColumnMapping({ ...columnMapping, [field.key]: value })}
+                  options={[
+                    { v: '', l: '— Not mapped —' },
+                    ...parsedFile.headers.map((header, index) => ({ v: String(index), l: header || `Column ${index + 1}` }))
+                  ]}
+                  themeClasses={themeClasses}
+                />
+              ))}
+            </div>
+            {unmappedRequired.length > 0 && (
+              <p className="text-[10px] text-amber-600 font-bold mt-2">
+                ⚠ Required column{unmappedRequired.length !== 1 ? 's' : ''} not mapped: {unmappedRequired.map(field => field.label).join(', ')}
+              </p>
+            )}
+          </div>
 
-        {/* CPM Management */}
-        <div className={boxStyle}>
-          <div className="flex justify-between items-center mb-4">
-            <span className="text-[10px] font-black text-slate-500 uppercase">
-              CPM Management
+          {/* Preview */}
+          <div className="flex gap-3 mb-4 items-center">
+            <span className="text-[9px] bg-emerald-600/10 text-emerald-600 px-2 py-0.5 rounded font-bold">
+              {validItems.length} valid
             </span>
-            <input
-              type="checkbox"
-              checked={accAutoMgmt}
-              onChange={(e) => setAccAutoMgmt(e.target.checked)}
-              className="accent-red-600 w-5 h-5 rounded-lg"
-            />
+            <span className="text-[9px] bg-red-600/10 text-red-600 px-2 py-0.5 rounded font-bold">
+              {invalidCount} invalid
+            </span>
+            {warningCount > 0 && (
+              <span className="text-[9px] bg-amber-500/10 text-amber-600 px-2 py-0.5 rounded font-bold">
+                {warningCount} with warnings
+              </span>
+            )}
+            {invalidCount > 0 && (
+              <button
+                onClick={downloadErrorReport}
+                className="ml-auto text-[9px] font-black uppercase tracking-widest text-blue-600 hover:text-blue-700 flex items-center gap-1"
+              >
+                <Download size={12} /> Download Error Report
+              </button>
+            )}
           </div>
-          {!accAutoMgmt && (
-            <div className="space-y-3 w-full mb-4">
-              <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest block">
-                Manual Reason
-              </label>
-              <textarea
-                value={accManualReason}
-                onChange={(e) => setAccManualReason(e.target.value)}
-                className={`w-full h-20 p-3 text-xs rounded-xl border outline-none ${themeClasses.input}`}
-                placeholder="Why is CPM disabled?"
-              />
-            </div>
-          )}
-          <InputField
-            label="Allowed Machines"
-            value={accRemoteMachines}
-            onChange={setAccRemoteMachines}
-            isDark={isDark}
-            placeholder="optional"
-            themeClasses={themeClasses}
-          />
-        </div>
+          <div className={`max-h-96 overflow-auto rounded-lg border mb-6 ${isDark ? 'border-slate-700' : 'border-slate-200'}`}>
+            <table className="w-full text-[10px]">
+              <thead className={isDark ? 'bg-slate-800' : 'bg-slate-100'}>
+                <tr>
+                  <th className="text-left p-2 font-black text-slate-500 uppercase">Line</th>
+                  {tableFields.map(field => (
+                    <th key={field.key} className="text-left p-2 font-black text-slate-500 uppercase whitespace-nowrap">{field.label}</th>
+                  ))}
+                  {renderPreview && <th className="text-left p-2 font-black text-slate-500 uppercase">Resolved</th>}
+                  <th className="text-left p-2 font-black text-slate-500 uppercase">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {validatedRows.map((row, index) => (
+                  <tr
+                    key={index}
+                    className={`border-t ${isDark ? 'border-slate-700' : 'border-slate-200'} ${row.errors.length > 0 ? (isDark ? 'bg-red-900/20' : 'bg-red-50') : ''}`}
+                  >
+                    {/* The line of the file the row starts on, counting the header and blank lines */}
+                    <td className="p-2 text-slate-500">{parsedFile.lineNumbers[index]}</td>
+                    {tableFields.map(field => (
+                      <td key={field.key} className="p-2 font-mono max-w-[12rem] truncate" style={{ color: themeClasses.text }}>
+                        {field.secret && mappedRows[index][field.key] ? '••••••••' : mappedRows[index][field.key]}
+                      </td>
+                    ))}
+                    {renderPreview && <td className="p-2">{renderPreview(row.item)}</td>}
+                    <td className="p-2">
+                      {row.errors.length === 0 ? (
+                        <>
+                          <span className="text-emerald-600 font-bold" title={renderItem ? renderItem(row.item) : undefined}>✓ Ready</span>
+                          {row.warnings?.length > 0 && (
+                            <ul className="text-amber-600 font-bold space-y-0.5 mt-0.5">
+                              {row.warnings.map(warning => <li key={warning}>⚠ {warning}</li>)}
+                            </ul>
+                          )}
+                        </>
+                      ) : (
+                        <ul className="text-red-600 font-bold space-y-0.5">
+                          {row.errors.map(error => <li key={error}>✕ {error}</li>)}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex gap-3">
+            <button
+              onClick={reset}
+              className="flex-1 bg-slate-400 text-white font-black py-3 rounded-xl uppercase tracking-widest text-xs hover:bg-slate-500 transition-all"
+            >
+              Discard Import
+            </button>
+            <button
+              onClick={() => {
+                onStage(validItems);
+                reset();
+              }}
+              disabled={validItems.length === 0}
+              className="flex-[2] bg-red-600 text-white font-black py-3 rounded-xl uppercase tracking-widest text-xs hover:bg-red-700 transition-all shadow-lg disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+            >
+              <PlusCircle size={16} /> Stage {validItems.length} Valid Row{validItems.length !== 1 ? 's' : ''}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Role badge plus one cell per permission (in PERMISSION_KEYS order); hover a cell for its name
+const PermissionMatrixPreview = ({ perms, roleLabel }) => (
+  <div className="flex items-center gap-2">
+    <span className="text-[9px] bg-purple-600/10 text-purple-600 px-2 py-0.5 rounded font-bold uppercase whitespace-nowrap">
+      {roleLabel}
+    </span>
+    <div className="flex gap-0.5">
+      {PERMISSION_KEYS.map(key => (
+        <span
+          key={key}
+          title={`${key}: ${perms[key] ? 'Yes' : 'No'}`}
+          className={`w-2.5 h-2.5 rounded-sm ${perms[key] ? 'bg-emerald-500' : 'bg-slate-400/30'}`}
+        />
+      ))}
+    </div>
+  </div>
+);
+
+// ============================================================================
+// EXECUTION PLAN SECTION
+// ============================================================================
+
+const METHOD_BADGE_COLORS = {
+  GET: 'bg-slate-500/10 text-slate-600',
+  POST: 'bg-emerald-600/10 text-emerald-600',
+  PUT: 'bg-amber-600/10 text-amber-600',
+  DELETE: 'bg-red-600/10 text-red-600'
+};
+
+const ExecutionPlanSection = ({ plan, onDownload, onClose, isDark, themeClasses }) => (
+  <div className={`p-8 rounded-[1.5rem] border ${themeClasses.card}`}>
+    <div className="flex justify-between items-start mb-6">
+      <div>
+        <h3 className="text-xl font-bold" style={{ color: themeClasses.text }}>
+          Execution Plan (Dry Run)
+        </h3>
+        <p className="text-[10px] text-slate-500 mt-1">
+          {plan.steps.length} REST call{plan.steps.length !== 1 ? 's' : ''} in execution order against {plan.vaultUrl || 'the configured vault'} · generated {new Date(plan.generatedAt).toLocaleString()} · nothing has been sent
+        </p>
+      </div>
+      <div className="flex gap-2 flex-shrink-0">
+        <button
+          onClick={onDownload}
+          className="bg-blue-600 text-white text-[10px] font-black px-4 py-2 rounded-xl uppercase tracking-widest shadow-lg hover:bg-blue-700 transition-all flex items-center gap-2"
+        >
+          <Download size={14} /> Download JSON
+        </button>
+        <button
+          onClick={onClose}
+          className="text-2xl text-slate-400 hover:text-slate-600 px-2"
+          aria-label="Close execution plan"
+        >
+          ✕
+        </button>
+      </div>
+    </div>
+    <ol className="space-y-3">
+      {plan.steps.map((step) => (
+        <li key={step.order} className={`p-4 rounded-lg ${isDark ? 'bg-slate-800' : 'bg-slate-100'}`}>
+          <div className="flex items-center gap-3 flex-wrap">
+            <span className="text-[10px] font-black text-slate-500 w-6">#{step.order}</span>
+            <span className={`text-[9px] px-2 py-0.5 rounded font-black ${METHOD_BADGE_COLORS[step.method] || METHOD_BADGE_COLORS.GET}`}>
+              {step.method}
+            </span>
+            <span className="font-mono text-xs break-all" style={{ color: themeClasses.text }}>
+              {step.url}
+            </span>
+          </div>
+          <p className="text-[10px] text-slate-500 mt-2 ml-9">
+            {step.label}
+            {step.runsAfter.length > 0 && ` · runs after #${step.runsAfter.join(', #')}`}
+          </p>
+          {step.preflight && (
+            <p className="text-[10px] text-slate-500 mt-1 ml-9">
+              Reads the current state for the rollback journal first:{' '}
+              <span className="font-mono">{step.preflight.method} {step.preflight.url}</span>
+            </p>
+          )}
+          {step.payload && (
+            <pre className={`mt-2 ml-9 p-3 rounded-lg text-[10px] font-mono overflow-x-auto ${isDark ? 'bg-slate-900 text-slate-300' : 'bg-white text-slate-700 border border-slate-200'}`}>
+              {JSON.stringify(step.payload, null, 2)}
+            </pre>
+          )}
+        </li>
+      ))}
+    </ol>
+  </div>
+);
+
+// ============================================================================
+// DEPLOYMENT RESULTS SECTION
+// ============================================================================
+
+const RESULT_STATUS_STYLES = {
+  succeeded: { badge: 'bg-emerald-600/10 text-emerald-600', label: 'Succeeded' },
+  failed: { badge: 'bg-red-600/10 text-red-600', label: 'Failed' },
+  skipped: { badge: 'bg-slate-500/10 text-slate-600', label: 'Skipped' }
+};
+
+const JOURNAL_STATUS_STYLES = {
+  pending: { badge: 'bg-blue-600/10 text-blue-600', label: 'Reversible' },
+  'rolled-back': { badge: 'bg-emerald-600/10 text-emerald-600', label: 'Rolled Back' },
+  failed: { badge: 'bg-red-600/10 text-red-600', label: 'Rollback Failed' },
+  irreversible: { badge: 'bg-slate-500/10 text-slate-600', label: 'Irreversible' }
+};
+
+// Live done / failed / remaining bar shown while a deployment runs
+const DeploymentProgressBar = ({ progress, paused, onCancel, isDark, themeClasses }) => {
+  const remaining = progress.total - progress.succeeded - progress.failed - progress.skipped;
+  const percent = (count) => `${(count / progress.total) * 100}%`;
+
+  return (
+    <div className={`p-4 rounded-xl border ${isDark ? 'bg-slate-800/50 border-slate-700' : 'bg-slate-50 border-slate-300'}`}>
+      <div className="flex justify-between items-center mb-2">
+        <span className="text-[10px] font-black uppercase tracking-widest" style={{ color: themeClasses.text }}>
+          {paused
+            ? 'Paused — waiting for re-authentication'
+            : progress.cancelling ? 'Cancelling — waiting for in-flight calls…' : 'Deploying…'}
+        </span>
+        <button
+          onClick={onCancel}
+          disabled={progress.cancelling}
+          className="bg-red-600 text-white text-[10px] font-black px-4 py-1.5 rounded-lg uppercase tracking-widest hover:bg-red-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Cancel
+        </button>
+      </div>
+      <div className={`h-2 rounded-full overflow-hidden flex ${isDark ? 'bg-slate-700' : 'bg-slate-200'}`}>
+        <div className="h-full bg-emerald-500 transition-all" style={{ width: percent(progress.succeeded) }} />
+        <div className="h-full bg-red-500 transition-all" style={{ width: percent(progress.failed) }} />
+        <div className="h-full bg-slate-400 transition-all" style={{ width: percent(progress.skipped) }} />
+      </div>
+      <div className="flex gap-3 mt-2 text-[9px] font-bold">
+        <span className="text-emerald-600">{progress.succeeded} done</span>
+        <span className="text-red-600">{progress.failed} failed</span>
+        {progress.skipped > 0 && <span className="text-slate-500">{progress.skipped} skipped</span>}
+        <span className="text-slate-500">{remaining} remaining</span>
       </div>
-      <button
-        onClick={onAddAccount}
-        disabled={!accObject || !accAddress || !accUsername || !accPlatformId || !accSafeName}
-        className={`w-full font-black py-5 rounded-2xl uppercase tracking-widest flex items-center justify-center gap-2 shadow-lg transition-all ${
-          accObject && accAddress && accUsername && accPlatformId && accSafeName
-            ? 'bg-red-600 text-white hover:bg-red-700' 
-            : 'bg-gray-400 text-gray-200 cursor-not-allowed opacity-60'
-        }`}
-      >
-        <PlusCircle size={20} /> Stage Account
-      </button>
     </div>
   );
 };
 
-const QueueSection = ({ title, items, onRemove, isDark, themeClasses, isMember, isAccount, isSafe, isRemoval }) => (
-  <div className={`p-10 rounded-[2.5rem] border shadow-sm ${themeClasses.card}`}>
-    <div className="flex justify-between items-center mb-8">
-      <h2 style={{ color: themeClasses.text }} className="text-xl font-bold uppercase">
-        {title}
-      </h2>
-      <span className="bg-red-600 text-white text-[10px] font-black px-3 py-1 rounded-full">
-        {items.length}
-      </span>
-    </div>
-    {items.length > 0 ? (
-      <div className="space-y-4">
-        {items.map((item, i) => (
-          <div
-            key={i}
-            className={`group p-6 rounded-2xl border flex justify-between items-start transition-all ${
-              isDark
-                ? 'bg-slate-800/40 border-slate-700 hover:bg-slate-800'
-                : 'bg-slate-50 border-slate-200 hover:bg-white hover:shadow-md'
-            }`}
-          >
-            <div className="flex items-start gap-4 overflow-hidden flex-1">
-              <div className={`p-2 rounded-lg flex-shrink-0 ${isDark ? 'bg-slate-700' : 'bg-white border'}`}>
-                {isSafe ? (
-                  <Lock size={16} className="text-red-600" />
-                ) : isMember ? (
-                  <Users size={16} className="text-red-600" />
-                ) : isAccount ? (
-                  <Database size={16} className="text-red-600" />
-                ) : (
-                  <Lock size={16} className="text-red-600" />
-                )}
-              </div>
-              <div className="truncate flex-1">
-                {isSafe ? (
-                  <div className="flex flex-col gap-2">
-                    <div>
-                      <span
-                        className="font-mono text-sm font-black"
-                        style={{ color: themeClasses.text }}
-                      >
-                        {item.name}
-                      </span>
-                      {item.description && (
-                        <p className="text-[9px] text-slate-500 mt-1 italic">
-                          {item.description}
-                        </p>
-                      )}
-                    </div>
-                    <div className="flex flex-wrap gap-2">
-                      {isRemoval ? (
-                        <>
-                          <span className="text-[9px] bg-purple-600/10 text-purple-600 px-2 py-0.5 rounded font-bold">
-                            CPM: {item.managingCPM}
-                          </span>
-                          <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold">
-                            Retention: {item.numberOfVersionsRetention ? `${item.numberOfVersionsRetention} versions` : item.numberOfDaysRetention ? `${item.numberOfDaysRetention} days` : 'Not specified'}
-                          </span>
-                          <span className="text-[9px] bg-slate-500/10 text-slate-600 px-2 py-0.5 rounded font-bold">
-                            ID: {item.id}
-                          </span>
-                        </>
-                      ) : (
-                        <>
-                          <span className="text-[9px] bg-purple-600/10 text-purple-600 px-2 py-0.5 rounded font-bold">
-                            CPM: {item.CPMManaging}
-                          </span>
-                          <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold">
-                            Retention: {item.retentionMode === 'versions' ? `${item.retentionValue} versions` : `${item.retentionValue} days`}
-                          </span>
-                        </>
-                      )}
-                    </div>
-                  </div>
-                ) : isMember ? (
-                  <div className="flex flex-col">
-                    <span
-                      className="font-mono text-xs font-black"
-                      style={{ color: themeClasses.text }}
-                    >
-                      {item.member}
-                      <span className="text-slate-500 font-normal">
-                        {' '}@ {item.domain}
-                      </span>
-                    </span>
-                    <div className="flex gap-2 mt-1">
-                      <span className="text-[9px] bg-purple-600/10 text-purple-600 px-2 py-0.5 rounded font-bold uppercase">
-                        Role: {item.role}
-                      </span>
-                      <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold uppercase">
-                        Safe: {item.safe}
-                      </span>
-                    </div>
-                  </div>
-                ) : isAccount ? (
-                  <div className="flex flex-col gap-2">
-                    <span
-                      className="font-mono text-sm font-black"
-                      style={{ color: themeClasses.text }}
-                    >
-                      {item.userName || item.username}
-                      <span className="text-red-600">{' '}@{' '}</span>
-                      {item.address}
-                    </span>
-                    <div className="flex flex-wrap gap-2">
-                      <span className="text-[9px] bg-orange-600/10 text-orange-600 px-2 py-0.5 rounded font-bold flex items-center gap-1">
-                        <Layers2 size={10} /> Platform: {item.platformId || item.platform}
-                      </span>
-                      <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold flex items-center gap-1">
-                        <Vault size={10} /> Safe: {item.safeName}
-                      </span>
-                      <span className="text-[9px] bg-slate-500/10 text-slate-600 px-2 py-0.5 rounded font-bold">
-                        Object-ID: {item.object}
-                      </span>
-                    </div>
-                  </div>
-                ) : (
-                  <div className="flex flex-col">
-                    <span
-                      className="font-mono text-xs font-black uppercase tracking-tight"
-                      style={{ color: themeClasses.text }}
-                    >
-                      {item}
-                    </span>
-                  </div>
-                )}
-              </div>
+const DeploymentResultsSection = ({ result, onRollback, isRollingBack, onClose, isDark, themeClasses }) => {
+  const summary = summarizeDeploymentResults(result.items);
+  const reversibleCount = result.journal.filter(entry => entry.status === 'pending' || entry.status === 'failed').length;
+
+  return (
+    <div className={`p-8 rounded-[1.5rem] border ${themeClasses.card}`}>
+      <div className="flex justify-between items-start mb-6">
+        <div>
+          <h3 className="text-xl font-bold" style={{ color: themeClasses.text }}>
+            Deployment Results
+          </h3>
+          <p className="text-[10px] text-slate-500 mt-1">
+            Finished {new Date(result.finishedAt).toLocaleString()} · failed and skipped items remain staged for retry
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="text-2xl text-slate-400 hover:text-slate-600 px-2"
+          aria-label="Close deployment results"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className={`p-6 rounded-lg mb-6 flex gap-8 ${isDark ? 'bg-slate-800' : 'bg-slate-100'}`}>
+        <div>
+          <p className="text-slate-500 text-xs mb-1">Succeeded</p>
+          <p className="text-3xl font-black text-emerald-500">{summary.succeeded}</p>
+        </div>
+        <div>
+          <p className="text-slate-500 text-xs mb-1">Failed</p>
+          <p className="text-3xl font-black text-red-500">{summary.failed}</p>
+        </div>
+        <div>
+          <p className="text-slate-500 text-xs mb-1">Skipped</p>
+          <p className="text-3xl font-black text-slate-500">{summary.skipped}</p>
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        {result.items.map((item, idx) => (
+          <div key={idx} className={`p-4 rounded-lg ${isDark ? 'bg-slate-800' : 'bg-slate-100'}`}>
+            <div className="flex items-center gap-3 flex-wrap">
+              <span className={`text-[9px] px-2 py-0.5 rounded font-black uppercase ${RESULT_STATUS_STYLES[item.status].badge}`}>
+                {RESULT_STATUS_STYLES[item.status].label}
+              </span>
+              <span className="font-semibold text-sm" style={{ color: themeClasses.text }}>
+                {item.label}
+              </span>
+              {item.httpStatus && (
+                <span className="text-[9px] bg-slate-500/10 text-slate-600 px-2 py-0.5 rounded font-bold">
+                  HTTP {item.httpStatus}
+                </span>
+              )}
+              {item.attempts > 1 && (
+                <span className="text-[9px] bg-amber-600/10 text-amber-600 px-2 py-0.5 rounded font-bold">
+                  {item.attempts} attempts
+                </span>
+              )}
             </div>
+            {item.error && (
+              <p className="text-[10px] text-red-500 mt-2">{item.error}</p>
+            )}
+            {item.skipReason && (
+              <p className="text-[10px] text-slate-500 mt-2 italic">{item.skipReason}</p>
+            )}
+            {item.errorBody && Object.keys(item.errorBody).length > 0 && (
+              <pre className={`mt-2 p-3 rounded-lg text-[10px] font-mono overflow-x-auto ${isDark ? 'bg-slate-900 text-slate-300' : 'bg-white text-slate-700 border border-slate-200'}`}>
+                {JSON.stringify(item.errorBody, null, 2)}
+              </pre>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {/* Rollback Journal */}
+      {result.journal.length > 0 && (
+        <div className="mt-8 border-t pt-8">
+          <div className="flex justify-between items-center mb-4">
+            <h4 className="text-lg font-bold" style={{ color: themeClasses.text }}>
+              Rollback Journal
+            </h4>
             <button
-              onClick={() => onRemove(i)}
-              className="p-2 rounded-lg text-slate-400 hover:bg-red-600 hover:text-white transition-all flex-shrink-0"
-              aria-label="Remove item"
+              onClick={onRollback}
+              disabled={reversibleCount === 0 || isRollingBack}
+              className="bg-red-600 text-white text-[10px] font-black px-4 py-2 rounded-xl uppercase tracking-widest shadow-lg hover:bg-red-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              <Trash2 size={16} />
+              {isRollingBack ? 'Rolling Back...' : 'Roll Back This Deployment'}
             </button>
           </div>
-        ))}
-        <div className="flex justify-end pt-6">
-          <button className="bg-red-600 text-white font-black py-4 px-10 rounded-xl uppercase text-xs tracking-widest flex items-center gap-2 shadow-xl hover:bg-red-700 transition-all">
-            <Send size={16} /> Execute Deployment
-          </button>
+          <div className="space-y-3">
+            {result.journal.map((entry, idx) => (
+              <div key={idx} className={`p-4 rounded-lg ${isDark ? 'bg-slate-800' : 'bg-slate-100'}`}>
+                <div className="flex items-center gap-3 flex-wrap">
+                  <span className={`text-[9px] px-2 py-0.5 rounded font-black uppercase ${JOURNAL_STATUS_STYLES[entry.status].badge}`}>
+                    {JOURNAL_STATUS_STYLES[entry.status].label}
+                  </span>
+                  <span className="font-semibold text-sm" style={{ color: themeClasses.text }}>
+                    {entry.label}
+                  </span>
+                </div>
+                <p className="text-[10px] text-slate-500 mt-2">
+                  {entry.inverseLabel ? `Undo: ${entry.inverseLabel}` : entry.irreversible}
+                </p>
+                {entry.error && (
+                  <p className="text-[10px] text-red-500 mt-1">{entry.error}</p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ============================================================================
+// CHANGESET SECTION
+// ============================================================================
+
+const ChangesetSection = ({
+  changesetForm, setChangesetForm, loadedChangeset, author, vaultUrl, stagedCount,
+  onExport, onImport, isDark, themeClasses
+}) => {
+  const vaultMismatch = loadedChangeset?.vaultUrl && normalizeVaultUrl(loadedChangeset.vaultUrl) !== normalizeVaultUrl(vaultUrl);
+
+  return (
+    <div className={`p-8 rounded-[1.5rem] border ${themeClasses.card}`}>
+      <h3 className="text-xl font-bold mb-6" style={{ color: themeClasses.text }}>
+        Changeset
+      </h3>
+
+      {loadedChangeset && (
+        <div className={`p-4 rounded-lg mb-6 ${isDark ? 'bg-slate-800' : 'bg-slate-100'}`}>
+          <p className="font-semibold text-sm" style={{ color: themeClasses.text }}>
+            Loaded "{loadedChangeset.name}" v{loadedChangeset.version || '1'}
+          </p>
+          <div className="flex gap-3 mt-2 flex-wrap">
+            <span className="text-[9px] bg-purple-600/10 text-purple-600 px-2 py-0.5 rounded font-bold">
+              Author: {loadedChangeset.author || 'Unknown'}
+            </span>
+            <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold">
+              Ticket: {loadedChangeset.ticket || 'None'}
+            </span>
+            <span className="text-[9px] bg-slate-500/10 text-slate-600 px-2 py-0.5 rounded font-bold">
+              Created: {loadedChangeset.createdAt ? new Date(loadedChangeset.createdAt).toLocaleString() : 'Unknown'}
+            </span>
+            <span className="text-[9px] bg-slate-500/10 text-slate-600 px-2 py-0.5 rounded font-bold">
+              Vault: {loadedChangeset.vaultUrl || 'Not recorded'}
+            </span>
+          </div>
+          {vaultMismatch && (
+            <p className="text-[10px] text-amber-600 font-bold mt-2">
+              ⚠ This changeset was prepared for {loadedChangeset.vaultUrl}, but you are connected to {vaultUrl}.
+            </p>
+          )}
+          {loadedChangeset.secretsOmitted > 0 && (
+            <p className="text-[10px] text-amber-600 font-bold mt-2">
+              ⚠ {loadedChangeset.secretsOmitted} account secret{loadedChangeset.secretsOmitted !== 1 ? 's were' : ' was'} not included in the changeset.
+            </p>
+          )}
         </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-2">
+        <InputField
+          label="Changeset Name"
+          value={changesetForm.name}
+          onChange={(name) => setChangesetForm({ ...changesetForm, name })}
+          placeholder="e.g. Q3 App Onboarding"
+          themeClasses={themeClasses}
+        />
+        <InputField
+          label="Version"
+          value={changesetForm.version}
+          onChange={(version) => setChangesetForm({ ...changesetForm, version })}
+          placeholder="1"
+          themeClasses={themeClasses}
+        />
+        <InputField
+          label="Ticket Number"
+          value={changesetForm.ticket}
+          onChange={(ticket) => setChangesetForm({ ...changesetForm, ticket })}
+          placeholder="e.g. CHG0012345"
+          themeClasses={themeClasses}
+        />
       </div>
-    ) : (
-      <div className="py-10 text-center text-slate-400 italic text-xs">
-        Queue is empty.
+      <p className="text-[10px] text-slate-500 mb-6">
+        Author: {author || 'Unknown'} · Vault: {vaultUrl || 'Not connected'} · Account secrets are never exported.
+      </p>
+
+      <div className="flex gap-3">
+        <button
+          onClick={onExport}
+          disabled={stagedCount === 0 || !changesetForm.name.trim()}
+          className="flex-1 bg-blue-600 hover:bg-blue-700 text-white font-black py-3 rounded-xl uppercase tracking-widest text-xs transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+        >
+          <Download size={16} /> Export Changeset
+        </button>
+        <label className={`flex-1 font-black py-3 rounded-xl uppercase tracking-widest text-xs transition-all cursor-pointer flex items-center justify-center gap-2 border ${
+          isDark ? 'border-slate-700 text-slate-200 hover:bg-slate-800' : 'border-slate-300 text-slate-700 hover:bg-slate-100'
+        }`}>
+          <Upload size={16} /> Import Changeset
+          <input
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(e) => {
+              const [file] = e.target.files;
+              // Reset so the same file can be imported again
+              e.target.value = '';
+              if (file) onImport(file);
+            }}
+          />
+        </label>
       </div>
-    )}
-  </div>
-);
+    </div>
+  );
+};
 
 // ============================================================================
 // SAFE MODIFICATION SECTION
@@ -2789,16 +7286,6 @@ const SafeModifySection = ({
 
   const stagedSafeIds = stagedSafeModifications.map(s => s.id);
 
-  const getRetentionDisplay = (safe) => {
-    if (safe.numberOfVersionsRetention) {
-      return `${safe.numberOfVersionsRetention} versions`;
-    }
-    if (safe.numberOfDaysRetention) {
-      return `${safe.numberOfDaysRetention} days`;
-    }
-    return 'Not specified';
-  };
-
   return (
     <div className={`p-10 rounded-[2.5rem] border shadow-sm ${themeClasses.card}`}>
       <h2 style={{ color: themeClasses.text }} className="text-xl font-bold uppercase mb-8">
@@ -2840,6 +7327,33 @@ const SafeModifySection = ({
                 >
                   {isEditing ? (
                     <div className="space-y-4">
+                      {/* Safe Name */}
+                      <div>
+                        <label className="text-[9px] font-bold text-slate-500 uppercase block mb-1">Safe Name</label>
+                        <input
+                          type="text"
+                          value={editedSafeData.name ?? safe.name}
+                          onChange={(e) => setEditedSafeData({ ...editedSafeData, name: e.target.value })}
+                          className={`w-full p-2 rounded-lg border text-sm outline-none ${themeClasses.input}`}
+                        />
+                        {(editedSafeData.name ?? safe.name).trim() !== safe.name && (
+                          <p className="text-[9px] text-amber-600 mt-1">
+                            Renames "{safe.name}" in the vault; staged members and accounts for this Safe follow the new name.
+                          </p>
+                        )}
+                      </div>
+
+                      {/* Description */}
+                      <div>
+                        <label className="text-[9px] font-bold text-slate-500 uppercase block mb-1">Description</label>
+                        <textarea
+                          value={editedSafeData.description ?? safe.description ?? ''}
+                          onChange={(e) => setEditedSafeData({ ...editedSafeData, description: e.target.value })}
+                          rows="2"
+                          className={`w-full p-2 rounded-lg border text-sm outline-none resize-none ${themeClasses.input}`}
+                        />
+                      </div>
+
                       {/* Managing CPM */}
                       <div>
                         <label className="text-[9px] font-bold text-slate-500 uppercase block mb-1">Managing CPM</label>
@@ -2851,6 +7365,46 @@ const SafeModifySection = ({
                         />
                       </div>
 
+                      {/* Location */}
+                      <div>
+                        <label className="text-[9px] font-bold text-slate-500 uppercase block mb-1">Location</label>
+                        <input
+                          type="text"
+                          value={editedSafeData.location ?? safe.location ?? ''}
+                          onChange={(e) => setEditedSafeData({ ...editedSafeData, location: e.target.value })}
+                          placeholder="\"
+                          className={`w-full p-2 rounded-lg border text-sm font-mono outline-none ${themeClasses.input}`}
+                        />
+                      </div>
+
+                      {/* Object Level Access Control */}
+                      <label className={`flex items-center gap-2 text-xs text-slate-500 ${safe.olacEnabled ? 'opacity-60' : 'cursor-pointer'}`}>
+                        <input
+                          type="checkbox"
+                          checked={editedSafeData.olacEnabled ?? safe.olacEnabled ?? false}
+                          onChange={(e) => setEditedSafeData({ ...editedSafeData, olacEnabled: e.target.checked })}
+                          disabled={safe.olacEnabled}
+                          className="accent-red-600"
+                        />
+                        <span>
+                          <span className="font-bold">Object level access control</span>
+                          {safe.olacEnabled ? ' — already enabled and cannot be turned off' : ' — cannot be turned off again once enabled'}
+                        </span>
+                      </label>
+
+                      {/* Auto Purge */}
+                      <label className="flex items-center gap-2 text-xs text-slate-500 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={editedSafeData.autoPurgeEnabled ?? safe.autoPurgeEnabled ?? false}
+                          onChange={(e) => setEditedSafeData({ ...editedSafeData, autoPurgeEnabled: e.target.checked })}
+                          className="accent-red-600"
+                        />
+                        <span>
+                          <span className="font-bold">Auto purge</span> — purge files once their retention period ends
+                        </span>
+                      </label>
+
                       {/* Retention Type & Value */}
                       <div className="grid grid-cols-2 gap-3">
                         <div>
@@ -2885,6 +7439,7 @@ const SafeModifySection = ({
                           <input
                             type="number"
                             min="1"
+                            max={SAFE_RETENTION_LIMITS[editedSafeData.retentionType || (safe.numberOfVersionsRetention ? 'versions' : 'days')]}
                             value={
                               editedSafeData.retentionType === 'versions' || (!editedSafeData.retentionType && safe.numberOfVersionsRetention)
                                 ? (editedSafeData.retentionValue || safe.numberOfVersionsRetention || '')
@@ -2920,16 +7475,11 @@ const SafeModifySection = ({
                         <p className="font-bold" style={{ color: themeClasses.text }}>
                           {safe.name}
                         </p>
-                        <div className="flex gap-3 mt-2 flex-wrap">
-                          <span className="text-[9px] bg-purple-600/10 text-purple-600 px-2 py-0.5 rounded font-bold">
-                            CPM: {safe.managingCPM}
-                          </span>
-                          <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold">
-                            Retention: {getRetentionDisplay(safe)}
-                          </span>
-                          <span className="text-[9px] bg-slate-500/10 text-slate-600 px-2 py-0.5 rounded font-bold">
-                            ID: {safe.id}
-                          </span>
+                        {safe.description && (
+                          <p className="text-[9px] text-slate-500 mt-1 italic">{safe.description}</p>
+                        )}
+                        <div className="mt-2">
+                          <SafePropertyBadges safe={safe} showId />
                         </div>
                       </div>
                       <button
@@ -3336,16 +7886,6 @@ const SafeRemovalSection = ({
   const stagedSafeIds = stagedSafeRemovals.map(s => s.id);
   const selectedCount = Object.values(selectedSafesForRemoval).filter(Boolean).length;
 
-  const getRetentionDisplay = (safe) => {
-    if (safe.numberOfVersionsRetention) {
-      return `${safe.numberOfVersionsRetention} versions`;
-    }
-    if (safe.numberOfDaysRetention) {
-      return `${safe.numberOfDaysRetention} days`;
-    }
-    return 'Not specified';
-  };
-
   return (
     <div className={`p-10 rounded-[2.5rem] border shadow-sm ${themeClasses.card}`}>
       <h2 style={{ color: themeClasses.text }} className="text-xl font-bold uppercase mb-8">
@@ -3410,16 +7950,8 @@ const SafeRemovalSection = ({
                     <p className="font-bold" style={{ color: themeClasses.text }}>
                       {safe.name}
                     </p>
-                    <div className="flex gap-3 mt-2 flex-wrap">
-                      <span className="text-[9px] bg-purple-600/10 text-purple-600 px-2 py-0.5 rounded font-bold">
-                        CPM: {safe.managingCPM}
-                      </span>
-                      <span className="text-[9px] bg-blue-600/10 text-blue-600 px-2 py-0.5 rounded font-bold">
-                        Retention: {getRetentionDisplay(safe)}
-                      </span>
-                      <span className="text-[9px] bg-slate-500/10 text-slate-600 px-2 py-0.5 rounded font-bold">
-                        ID: {safe.id}
-                      </span>
+                    <div className="mt-2">
+                      <SafePropertyBadges safe={safe} showId />
                     </div>
                   </div>
                 </div>